@@ -1,11 +1,17 @@
 const http = require("http");
 const express = require("express");
-const { Server } = require("colyseus");
+const { Server, LobbyRoom } = require("colyseus");
 const { WebSocketTransport } = require("@colyseus/ws-transport");
 const { PhysicsRoom } = require("./rooms/PhysicsRoom");
 const logger = require("./lib/logger");
+const { findRoomByInviteCode } = require("./lib/matchmaking");
+const { describeProtocol } = require("./lib/protocol");
+const { listLevels } = require("./lib/levels");
+const { renderMetrics } = require("./lib/metrics");
+const { createAdminRouter, requireMetricsToken } = require("./lib/admin");
+const { createScalingOptions } = require("./lib/scaling");
+const { createShutdown, installShutdownHandlers } = require("./lib/shutdown");
 const path = require("path");
-const fs = require("fs");
 const cors = require("cors");
 
 // Create the Express app
@@ -32,16 +38,58 @@ app.get('/health', (req, res) => {
   res.status(200).send('OK');
 });
 
+// Moderation API for live rooms; needs ADMIN_TOKEN
+app.use('/admin', createAdminRouter("physics_room"));
+
+// Prometheus metrics for this process; needs METRICS_TOKEN when that is set
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4');
+  res.send(renderMetrics());
+});
+
+// Machine-readable description of the messages clients can send
+app.get('/protocol', (req, res) => {
+  res.json(describeProtocol());
+});
+
+// Levels rooms can be created with, for the `level` room option
+app.get('/levels', async (req, res) => {
+  res.json({ levels: await listLevels() });
+});
+
+// Resolve a private room's invite code to a room ID clients can joinById().
+// The room may live on another process; joinById() takes the client there.
+app.get('/invite/:code', async (req, res) => {
+  try {
+    const room = await findRoomByInviteCode("physics_room", req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'Invite code not found' });
+    }
+    res.json({
+      roomId: room.roomId,
+      processId: room.processId,
+      publicAddress: room.publicAddress,
+      clients: room.clients,
+      maxClients: room.maxClients,
+      locked: room.locked,
+      metadata: room.metadata
+    });
+  } catch (err) {
+    logger.error("Error resolving invite code:", err);
+    res.status(500).json({ error: 'Failed to resolve invite code' });
+  }
+});
+
 // Create the HTTP server
 const server = http.createServer(app);
 
-// Setup logging to file
-const logFile = path.join(__dirname, './server-logs.txt');
-// Clear previous log file
-fs.writeFileSync(logFile, `Server started at ${new Date().toISOString()}\n`);
-
-// Create the Colyseus server
+// Create the Colyseus server. Shutdown on signals is handled below rather
+// than by Colyseus, so it can be bounded by a deadline and flush the logs.
+// Presence, driver and public address come from the environment; see
+// lib/scaling.js for running several processes behind one matchmaker.
 const gameServer = new Server({
+  ...createScalingOptions(),
+  gracefullyShutdown: false,
   transport: new WebSocketTransport({
     server,
     pingInterval: 5000, // 5 seconds (default is 10s)
@@ -49,8 +97,14 @@ const gameServer = new Server({
   })
 });
 
-// Register the PhysicsRoom
-gameServer.define("physics_room", PhysicsRoom);
+// Lobby clients can join to get a live list of public physics rooms
+gameServer.define("lobby", LobbyRoom);
+
+// Register the PhysicsRoom. joinOrCreate() only matches rooms with the same
+// mode, region and game mode, and room changes are pushed to the lobby as they happen.
+gameServer.define("physics_room", PhysicsRoom)
+  .filterBy(['mode', 'region', 'gameMode'])
+  .enableRealtimeListing();
 
 // Define the port - use environment variable for production
 const port = process.env.PORT || 3002;
@@ -73,5 +127,9 @@ gameServer.listen(port)
     logger.error("Error starting Colyseus server:", err);
   });
 
+// Shut down gracefully on signals, uncaught exceptions and unhandled
+// rejections; see lib/shutdown.js
+installShutdownHandlers(createShutdown(gameServer));
+
 // Export the gameServer for potential use in other files
 module.exports = { gameServer }; 
\ No newline at end of file
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const express = require('express');
+const { matchMaker } = require('colyseus');
+const logger = require('./logger');
+
+// Moderation API for live rooms. Every route needs
+// `Authorization: Bearer <ADMIN_TOKEN>`; without ADMIN_TOKEN the API is off.
+// Rooms are reached through matchMaker.remoteRoomCall(), which also works
+// for rooms living in another process.
+
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+
+// Compare digests so neither the content nor the length of the token leaks
+function tokensMatch(provided, expected) {
+  const providedDigest = crypto.createHash('sha256').update(provided).digest();
+  const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(providedDigest, expectedDigest);
+}
+
+function hasBearerToken(req, expected) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  return Boolean(match) && tokensMatch(match[1], expected);
+}
+
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API is disabled' });
+  }
+
+  if (!hasBearerToken(req, expected)) {
+    logger.warn(`Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// /metrics is open unless METRICS_TOKEN is set, so scrapers work out of the box
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (expected && !hasBearerToken(req, expected)) {
+    logger.warn(`Rejected metrics request from ${req.ip}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+function createAdminRouter(roomName) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+  router.use(express.json());
+
+  async function findRoom(roomId) {
+    const [room] = await matchMaker.query({ name: roomName, roomId });
+    return room;
+  }
+
+  // Run a room's admin method and answer 404 if the room or its target is missing
+  function roomAction(handler) {
+    return async (req, res) => {
+      try {
+        if (!(await findRoom(req.params.roomId))) {
+          return res.status(404).json({ error: 'Room not found' });
+        }
+        const result = await handler(req, res);
+        if (res.headersSent) {
+          return;
+        }
+        if (result === null || result === undefined) {
+          return res.status(404).json({ error: 'Not found' });
+        }
+        res.json(result);
+      } catch (err) {
+        logger.error(`Admin request ${req.method} ${req.originalUrl} failed:`, err.message);
+        res.status(500).json({ error: 'Admin request failed' });
+      }
+    };
+  }
+
+  function getAnnouncement(req, res) {
+    const message = req.body && req.body.message;
+    if (typeof message !== 'string' || message.trim() === '' || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+      res.status(400).json({ error: `message must be a non-empty string of at most ${MAX_ANNOUNCEMENT_LENGTH} characters` });
+      return null;
+    }
+    return message.trim();
+  }
+
+  router.get('/rooms', async (req, res) => {
+    try {
+      const rooms = await matchMaker.query({ name: roomName });
+      res.json(rooms.map(room => ({
+        roomId: room.roomId,
+        processId: room.processId,
+        publicAddress: room.publicAddress,
+        clients: room.clients,
+        maxClients: room.maxClients,
+        locked: room.locked,
+        private: room.private,
+        metadata: room.metadata
+      })));
+    } catch (err) {
+      logger.error('Admin room listing failed:', err.message);
+      res.status(500).json({ error: 'Admin request failed' });
+    }
+  });
+
+  router.get('/rooms/:roomId', roomAction(req =>
+    matchMaker.remoteRoomCall(req.params.roomId, 'adminDump', [])
+  ));
+
+  router.post('/rooms/:roomId/players/:playerId/kick', roomAction(req => {
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.slice(0, 120) : undefined;
+    return matchMaker.remoteRoomCall(req.params.roomId, 'adminKick', reason ? [req.params.playerId, reason] : [req.params.playerId]);
+  }));
+
+  router.post('/rooms/:roomId/players/:playerId/reset', roomAction(req => {
+    const shapeId = req.body && typeof req.body.shapeId === 'string' ? req.body.shapeId : null;
+    return matchMaker.remoteRoomCall(req.params.roomId, 'adminResetShape', [req.params.playerId, shapeId]);
+  }));
+
+  // Muted players' chat and emotes are dropped; `{ "muted": false }` lifts it
+  router.post('/rooms/:roomId/players/:playerId/mute', roomAction(req => {
+    const muted = !(req.body && req.body.muted === false);
+    return matchMaker.remoteRoomCall(req.params.roomId, 'adminMute', [req.params.playerId, muted]);
+  }));
+
+  router.post('/rooms/:roomId/announce', roomAction((req, res) => {
+    const message = getAnnouncement(req, res);
+    return message && matchMaker.remoteRoomCall(req.params.roomId, 'adminAnnounce', [message]);
+  }));
+
+  router.post('/rooms/:roomId/lock', roomAction(req =>
+    matchMaker.remoteRoomCall(req.params.roomId, 'adminLock', [true])
+  ));
+
+  router.post('/rooms/:roomId/unlock', roomAction(req =>
+    matchMaker.remoteRoomCall(req.params.roomId, 'adminLock', [false])
+  ));
+
+  // Announce in every room at once
+  router.post('/announce', async (req, res) => {
+    const message = getAnnouncement(req, res);
+    if (!message) {
+      return;
+    }
+
+    try {
+      const rooms = await matchMaker.query({ name: roomName });
+      const results = await Promise.all(rooms.map(room =>
+        matchMaker.remoteRoomCall(room.roomId, 'adminAnnounce', [message])
+      ));
+      res.json({ rooms: results });
+    } catch (err) {
+      logger.error('Admin announcement failed:', err.message);
+      res.status(500).json({ error: 'Admin request failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter, requireAdminToken, requireMetricsToken };
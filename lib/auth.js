@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// Player tokens are HS256 JWTs: the player ID is the `sub` claim and the
+// signature is an HMAC over header and payload with the server secret.
+
+// Default lifetime of a minted token
+const DEFAULT_TOKEN_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+
+// Persist tokens carry a private room's persist key in `sub` instead, and
+// are marked with this `use` claim so they don't pass as player tokens
+const PERSIST_TOKEN_USE = 'persist';
+const DEFAULT_PERSIST_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Secret used to sign and verify player tokens, or null when auth is disabled
+function getAuthSecret() {
+  return process.env.AUTH_SECRET || null;
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function signToken(payload, secret) {
+  if (!secret) {
+    throw new AuthError('Cannot sign a token without a secret');
+  }
+
+  const unsigned = `${base64UrlEncode(JSON.stringify(HEADER))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  return `${unsigned}.${hmac(unsigned, secret)}`;
+}
+
+// Check a token's signature and expiry and return its payload. Player
+// tokens have no `use` claim; pass `use` to accept other kinds instead.
+// Throws an AuthError describing the first problem found.
+function verifyToken(token, secret, { use = null } = {}) {
+  if (typeof token !== 'string') {
+    throw new AuthError('Missing token');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const expected = hmac(`${encodedHeader}.${encodedPayload}`, secret);
+
+  // Compare in constant time so the signature can't be guessed byte by byte
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(expected);
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (e) {
+    throw new AuthError('Malformed token');
+  }
+
+  if (header.alg !== HEADER.alg) {
+    throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  if ((payload.use || null) !== use) {
+    throw new AuthError(use ? `Not a ${use} token` : 'Not a player token');
+  }
+
+  if (typeof payload.sub !== 'string' || payload.sub.length === 0) {
+    throw new AuthError('Token has no player ID');
+  }
+
+  if (typeof payload.exp === 'number' && payload.exp * 1000 < Date.now()) {
+    throw new AuthError('Token has expired');
+  }
+
+  return payload;
+}
+
+// Mint a token for a player, e.g. from a login backend or in tests
+function mintPlayerToken(playerId, { secret = getAuthSecret(), expiresInSeconds = DEFAULT_TOKEN_TTL_SECONDS, claims = {} } = {}) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  return signToken({
+    ...claims,
+    sub: playerId,
+    iat: issuedAt,
+    exp: issuedAt + expiresInSeconds
+  }, secret);
+}
+
+// Mint a token that lets clients bring back a private room after a restart;
+// see PhysicsRoom.resolvePersistKey()
+function mintPersistToken(persistKey, { secret = getAuthSecret(), expiresInSeconds = DEFAULT_PERSIST_TOKEN_TTL_SECONDS } = {}) {
+  return mintPlayerToken(persistKey, { secret, expiresInSeconds, claims: { use: PERSIST_TOKEN_USE } });
+}
+
+// Return the persist key a persist token was minted for
+function verifyPersistToken(token, secret = getAuthSecret()) {
+  if (!secret) {
+    throw new AuthError('Persist tokens need AUTH_SECRET to be set');
+  }
+  return verifyToken(token, secret, { use: PERSIST_TOKEN_USE }).sub;
+}
+
+module.exports = { AuthError, getAuthSecret, signToken, verifyToken, mintPlayerToken, mintPersistToken, verifyPersistToken };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const logger = require('./logger');
+
+// In-room chat and emotes. Chat text is capped at CHAT_MAX_LENGTH, control
+// characters are stripped and blocked words are masked with asterisks before
+// anyone sees it. Emotes come from a fixed list so clients can render them
+// as icons, optionally above one of the sender's fish.
+//
+// Blocked words come from CHAT_BLOCKED_WORDS (comma-separated) and
+// CHAT_BLOCKED_WORDS_FILE (one word or phrase per line, `#` for comments).
+// They match whole words, ignoring case.
+
+const CHAT_MAX_LENGTH = 200;
+
+const EMOTES = ['wave', 'laugh', 'cry', 'angry', 'heart', 'thumbs_up', 'thumbs_down', 'gg', 'fish', 'splash'];
+
+// Control and format characters (newlines, zero-width spaces, direction
+// overrides) turn into spaces, so nobody can break a chat log into several
+// lines or hide text
+const CONTROL_CHARACTERS = /[\p{Cc}\p{Cf}]/gu;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Masks blocked words in chat messages
+class WordFilter {
+  constructor(words = []) {
+    const unique = [...new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean))];
+    this.size = unique.length;
+    // Longest first, so phrases win over the words inside them
+    this.pattern = unique.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${unique.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+      : null;
+  }
+
+  // The text with every blocked word replaced by asterisks, and whether
+  // anything was replaced
+  filter(text) {
+    if (!this.pattern) {
+      return { text, filtered: false };
+    }
+    let filtered = false;
+    const result = text.replace(this.pattern, match => {
+      filtered = true;
+      return '*'.repeat(match.length);
+    });
+    return { text: result, filtered };
+  }
+}
+
+function loadBlockedWords(env = process.env) {
+  const words = (env.CHAT_BLOCKED_WORDS || '').split(',');
+  if (env.CHAT_BLOCKED_WORDS_FILE) {
+    try {
+      fs.readFileSync(env.CHAT_BLOCKED_WORDS_FILE, 'utf8')
+        .split('\n')
+        .filter(line => !line.trim().startsWith('#'))
+        .forEach(line => words.push(line));
+    } catch (error) {
+      logger.error(`Could not read CHAT_BLOCKED_WORDS_FILE ${env.CHAT_BLOCKED_WORDS_FILE}:`, error.message);
+    }
+  }
+  return words;
+}
+
+// Every room on this process shares one filter, built on first use
+let sharedFilter = null;
+
+function getWordFilter() {
+  if (!sharedFilter) {
+    sharedFilter = new WordFilter(loadBlockedWords());
+    logger.log(`Chat word filter loaded with ${sharedFilter.size} blocked words`);
+  }
+  return sharedFilter;
+}
+
+// Chat text as it will be shown: no control characters, no surrounding
+// whitespace. Empty when nothing is left.
+function cleanChatText(text) {
+  return text.replace(CONTROL_CHARACTERS, ' ').trim();
+}
+
+// The last `size` chat messages of a room, sent to players when they join
+class ChatHistory {
+  constructor(size) {
+    this.size = size;
+    this.messages = [];
+  }
+
+  add(message) {
+    if (this.size === 0) {
+      return;
+    }
+    this.messages.push(message);
+    if (this.messages.length > this.size) {
+      this.messages.shift();
+    }
+  }
+
+  toJSON() {
+    return this.messages.slice();
+  }
+}
+
+module.exports = { CHAT_MAX_LENGTH, EMOTES, WordFilter, loadBlockedWords, getWordFilter, cleanChatText, ChatHistory };
@@ -0,0 +1,393 @@
+// Game modes for physics rooms. A room runs exactly one mode, picked with the
+// `gameMode` room option. The mode drives the round lifecycle synced in
+// `state.round` and decides how players score:
+//
+//   lobby      waiting for `minPlayers` connected players
+//   countdown  `countdownSeconds` before the round starts; back to lobby if
+//              players leave
+//   playing    `roundSeconds` of play; ends early once someone reaches
+//              `scoreLimit` or too few players are left
+//   results    `resultsSeconds` to show the scores, then back to lobby
+//
+// The room calls step() once per simulation step and reports hits and
+// out-of-bounds shapes; modes only score while the phase is `playing`. To
+// add a mode, subclass GameMode and list it in GAME_MODES.
+
+const ROUND_PHASES = {
+  LOBBY: 'lobby',
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  RESULTS: 'results'
+};
+
+// Walls the physics world keeps shapes in; see PhysicsWorld.constrainToBounds()
+const CLOSED_WALLS = { left: true, right: true, top: true, bottom: true };
+
+// The sandbox: no rounds and no scores, the phase stays `playing` forever
+class GameMode {
+  constructor(room) {
+    this.room = room;
+    this.phaseElapsedMs = 0;
+    this.phaseDurationMs = 0;
+  }
+
+  get rounds() {
+    return false;
+  }
+
+  get walls() {
+    return CLOSED_WALLS;
+  }
+
+  // Solid obstacles the mode adds to the arena, as in lib/levels.js
+  get obstacles() {
+    return [];
+  }
+
+  // Where fish appear when the level doesn't say
+  get spawns() {
+    return [];
+  }
+
+  get round() {
+    return this.room.state.round;
+  }
+
+  get config() {
+    return this.room.config;
+  }
+
+  // Called once the room's state exists
+  start() {
+    this.round.gameMode = this.config.gameMode;
+    this.setPhase(this.rounds ? ROUND_PHASES.LOBBY : ROUND_PHASES.PLAYING, 0);
+  }
+
+  // Advance the round by one simulation step of `deltaMs`
+  step(deltaMs) {
+    if (!this.rounds) {
+      return;
+    }
+    this.phaseElapsedMs += deltaMs;
+
+    switch (this.round.phase) {
+      case ROUND_PHASES.LOBBY:
+        if (this.hasEnoughPlayers()) {
+          this.setPhase(ROUND_PHASES.COUNTDOWN, this.config.countdownSeconds * 1000);
+        }
+        break;
+
+      case ROUND_PHASES.COUNTDOWN:
+        if (!this.hasEnoughPlayers()) {
+          this.setPhase(ROUND_PHASES.LOBBY, 0);
+        } else if (this.phaseElapsedMs >= this.phaseDurationMs) {
+          this.startRound();
+        }
+        break;
+
+      case ROUND_PHASES.PLAYING:
+        this.scoreStep(deltaMs);
+        if (this.phaseElapsedMs >= this.phaseDurationMs || this.reachedScoreLimit() || !this.hasEnoughPlayers()) {
+          this.endRound();
+        }
+        break;
+
+      case ROUND_PHASES.RESULTS:
+        if (this.phaseElapsedMs >= this.phaseDurationMs) {
+          this.setPhase(ROUND_PHASES.LOBBY, 0);
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    this.updateTimeLeft();
+  }
+
+  setPhase(phase, durationMs) {
+    this.round.phase = phase;
+    this.phaseElapsedMs = 0;
+    this.phaseDurationMs = durationMs;
+    this.round.phaseEndsAt = durationMs > 0 ? Date.now() + durationMs : 0;
+    this.updateTimeLeft();
+    this.room.logger.log(`Round ${this.round.number} is now ${phase}`);
+  }
+
+  // Whole seconds left in a timed phase, for clients that just show a timer
+  updateTimeLeft() {
+    const timeLeft = this.phaseDurationMs > 0
+      ? Math.max(0, Math.ceil((this.phaseDurationMs - this.phaseElapsedMs) / 1000))
+      : 0;
+    if (this.round.timeLeft !== timeLeft) {
+      this.round.timeLeft = timeLeft;
+    }
+  }
+
+  isPlaying() {
+    return this.round.phase === ROUND_PHASES.PLAYING && this.rounds;
+  }
+
+  hasEnoughPlayers() {
+    return this.room.state.getConnectedPlayerCount() >= this.config.minPlayers;
+  }
+
+  reachedScoreLimit() {
+    if (this.config.scoreLimit === 0) {
+      return false;
+    }
+    let reached = false;
+    this.room.state.players.forEach(player => {
+      reached = reached || player.score >= this.config.scoreLimit;
+    });
+    return reached;
+  }
+
+  // Everyone starts from zero with their fish back on the floor
+  startRound() {
+    this.round.number++;
+    this.round.winnerId = "";
+    this.room.state.players.forEach((player, playerId) => {
+      player.score = 0;
+      if (!player.disconnected) {
+        player.shapes.forEach(shape => this.room.resetShape(playerId, shape));
+      }
+    });
+    this.onRoundStart();
+
+    this.setPhase(ROUND_PHASES.PLAYING, this.config.roundSeconds * 1000);
+    this.room.broadcast("round_started", {
+      round: this.round.number,
+      gameMode: this.round.gameMode,
+      durationMs: this.phaseDurationMs,
+      scoreLimit: this.config.scoreLimit
+    });
+  }
+
+  // The highest score wins; a tie, or nobody scoring, has no winner
+  endRound() {
+    this.onRoundEnd();
+
+    const scores = [];
+    this.room.state.players.forEach((player, playerId) => {
+      scores.push({ playerId, score: player.score });
+    });
+    scores.sort((a, b) => b.score - a.score);
+
+    const best = scores.length > 0 ? scores[0].score : 0;
+    const winnerIds = best > 0 ? scores.filter(entry => entry.score === best).map(entry => entry.playerId) : [];
+    this.round.winnerId = winnerIds.length === 1 ? winnerIds[0] : "";
+
+    this.setPhase(ROUND_PHASES.RESULTS, this.config.resultsSeconds * 1000);
+    this.room.broadcast("round_ended", { round: this.round.number, winnerIds, scores });
+    this.room.logger.log(`Round ${this.round.number} ended`, { winnerIds, scores });
+  }
+
+  addScore(playerId, points) {
+    const player = this.room.state.getPlayer(playerId);
+    if (player) {
+      player.score += points;
+    }
+    return Boolean(player);
+  }
+
+  // Hooks for the modes below
+
+  onRoundStart() {}
+
+  onRoundEnd() {}
+
+  scoreStep() {}
+
+  // `playerId`'s flung fish hit the shape `victimShapeId`
+  onHit() {}
+
+  // A shape went past the boundary and outOfBoundsMargin; the room resets it
+  // afterwards
+  onShapeOutOfBounds() {}
+
+  // A shape left the room, with its player or on its own
+  onShapeRemoved() {}
+}
+
+// Radius of the king of the hill zone
+const HILL_RADIUS = 200;
+
+// Score a point for every second of holding the zone alone. The zone sits on
+// the floor, or on one of the level's goals, somewhere new every round; fish
+// of two or more players in it contest it and nobody scores.
+class KingOfTheHillMode extends GameMode {
+  constructor(room) {
+    super(room);
+    this.holdMs = 0;
+  }
+
+  get rounds() {
+    return true;
+  }
+
+  start() {
+    super.start();
+    this.placeZone();
+  }
+
+  onRoundStart() {
+    this.placeZone();
+    this.holdMs = 0;
+  }
+
+  onRoundEnd() {
+    this.round.holderId = "";
+  }
+
+  // On one of the level's goals if it has any
+  placeZone() {
+    const zone = this.round.zone;
+    const goals = this.room.state.obstacles.filter(obstacle => obstacle.kind === "goal");
+    if (goals.length > 0) {
+      const goal = goals[Math.floor(Math.random() * goals.length)];
+      zone.x = goal.x;
+      zone.y = goal.y;
+      zone.radius = goal.radius;
+      return;
+    }
+
+    const width = this.room.state.boundaryWidth;
+    zone.radius = HILL_RADIUS;
+    zone.x = HILL_RADIUS + Math.random() * (width - 2 * HILL_RADIUS);
+    zone.y = this.room.state.boundaryHeight - HILL_RADIUS;
+  }
+
+  scoreStep(deltaMs) {
+    const zone = this.round.zone;
+    const radiusSq = zone.radius * zone.radius;
+    const inZone = [];
+    this.room.state.players.forEach((player, playerId) => {
+      if (player.disconnected) {
+        return;
+      }
+      const inside = player.shapes.some(shape => {
+        const dx = shape.x - zone.x;
+        const dy = shape.y - zone.y;
+        return dx * dx + dy * dy <= radiusSq;
+      });
+      if (inside) {
+        inZone.push(playerId);
+      }
+    });
+
+    const holderId = inZone.length === 1 ? inZone[0] : "";
+    if (holderId !== this.round.holderId) {
+      this.round.holderId = holderId;
+      this.holdMs = 0;
+    }
+    if (!holderId) {
+      return;
+    }
+
+    this.holdMs += deltaMs;
+    while (this.holdMs >= 1000) {
+      this.holdMs -= 1000;
+      this.addScore(holderId, 1);
+    }
+  }
+}
+
+// How long after a hit a knockout is still credited to the hitter
+const KNOCKOUT_CREDIT_SECONDS = 5;
+
+// The stage fish stand on in knockout rooms: this thick, and this far short
+// of each side of the arena
+const STAGE_HEIGHT = 30;
+const STAGE_INSET = 200;
+
+// Fish appear at this many points spread along the stage
+const STAGE_SPAWNS = 4;
+
+// Every wall is open. Fish stand on a stage that stops short of the sides,
+// so they can be knocked off its ends and out under the arena as well as
+// past the sides. Knock another player's fish out for a point; the last
+// player to hit it in the past five seconds gets the credit, and falling
+// out on your own scores nothing.
+class KnockoutMode extends GameMode {
+  constructor(room) {
+    super(room);
+    this.lastHits = new Map(); // shapeId -> { playerId, tick }
+  }
+
+  get rounds() {
+    return true;
+  }
+
+  get walls() {
+    return { left: false, right: false, top: false, bottom: false };
+  }
+
+  get obstacles() {
+    const { boundaryWidth, boundaryHeight } = this.config;
+    return [{
+      kind: 'platform',
+      id: 'stage',
+      x: boundaryWidth / 2,
+      y: boundaryHeight - STAGE_HEIGHT / 2,
+      width: boundaryWidth - 2 * STAGE_INSET,
+      height: STAGE_HEIGHT
+    }];
+  }
+
+  get spawns() {
+    const { boundaryWidth, boundaryHeight } = this.config;
+    const spacing = (boundaryWidth - 2 * STAGE_INSET) / STAGE_SPAWNS;
+    return Array.from({ length: STAGE_SPAWNS }, (_, index) => ({
+      x: STAGE_INSET + spacing * (index + 0.5),
+      y: boundaryHeight - STAGE_HEIGHT - 50
+    }));
+  }
+
+  onRoundStart() {
+    this.lastHits.clear();
+  }
+
+  // Hits are timed in simulation ticks, so replays credit the same player
+  onHit(victimShapeId, playerId) {
+    this.lastHits.set(victimShapeId, { playerId, tick: this.room.state.tick });
+  }
+
+  onShapeRemoved(shapeId) {
+    this.lastHits.delete(shapeId);
+  }
+
+  onShapeOutOfBounds(ownerId, shape) {
+    const lastHit = this.lastHits.get(shape.id);
+    this.lastHits.delete(shape.id);
+    if (!this.isPlaying()) {
+      return;
+    }
+
+    const creditTicks = KNOCKOUT_CREDIT_SECONDS * this.config.tickRate;
+    const credited = lastHit && lastHit.playerId !== ownerId && this.room.state.tick - lastHit.tick <= creditTicks;
+    const scorerId = credited && this.addScore(lastHit.playerId, 1) ? lastHit.playerId : null;
+    this.room.broadcast("knockout", {
+      playerId: ownerId,
+      shapeId: shape.id,
+      scorerId,
+      points: scorerId ? 1 : 0
+    });
+  }
+}
+
+const GAME_MODES = {
+  sandbox: GameMode,
+  king_of_the_hill: KingOfTheHillMode,
+  knockout: KnockoutMode
+};
+
+function createGameMode(room, name) {
+  const Mode = GAME_MODES[name];
+  if (!Mode) {
+    throw new Error(`Unknown game mode ${name}`);
+  }
+  return new Mode(room);
+}
+
+module.exports = { ROUND_PHASES, GAME_MODES, GameMode, KingOfTheHillMode, KnockoutMode, createGameMode };
@@ -0,0 +1,110 @@
+// Fixed-size ring buffer: once full, every push overwrites the oldest entry
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  // 0 is the oldest entry still held
+  get(index) {
+    if (index < 0 || index >= this.length) {
+      return undefined;
+    }
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  oldest() {
+    return this.get(0);
+  }
+
+  newest() {
+    return this.get(this.length - 1);
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+// Server-side record of where every shape was over the last N ticks
+class ShapeHistory {
+  constructor(maxTicks) {
+    this.maxTicks = maxTicks;
+    this.histories = new Map(); // shapeId -> RingBuffer of snapshots
+  }
+
+  // Record a snapshot of every shape for the given tick. Shapes that no
+  // longer exist are forgotten.
+  record(tick, time, shapes) {
+    const seen = new Set();
+
+    shapes.forEach(shape => {
+      let history = this.histories.get(shape.id);
+      if (!history) {
+        history = new RingBuffer(this.maxTicks);
+        this.histories.set(shape.id, history);
+      }
+
+      history.push({
+        tick,
+        time,
+        x: shape.x,
+        y: shape.y,
+        angle: shape.angle,
+        velocityX: shape.velocity.x,
+        velocityY: shape.velocity.y
+      });
+      seen.add(shape.id);
+    });
+
+    this.histories.forEach((history, shapeId) => {
+      if (!seen.has(shapeId)) {
+        this.histories.delete(shapeId);
+      }
+    });
+  }
+
+  // Snapshot of a shape at the given tick, or the closest one still held
+  // when that tick has already been overwritten
+  getAt(shapeId, tick) {
+    const history = this.histories.get(shapeId);
+    if (!history || history.length === 0) {
+      return null;
+    }
+
+    const oldest = history.oldest();
+    if (tick <= oldest.tick) {
+      return oldest;
+    }
+
+    const newest = history.newest();
+    if (tick >= newest.tick) {
+      return newest;
+    }
+
+    // Ticks are recorded consecutively, so the offset is a direct index
+    const snapshot = history.get(tick - oldest.tick);
+    return snapshot && snapshot.tick === tick ? snapshot : newest;
+  }
+
+  clear() {
+    this.histories.clear();
+  }
+}
+
+module.exports = { RingBuffer, ShapeHistory };
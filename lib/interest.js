@@ -0,0 +1,55 @@
+const { SpatialGrid } = require("./spatialGrid");
+
+// Area-of-interest bookkeeping: which players each client should receive.
+// A player comes into view once one of their shapes is within `radius` of
+// the viewer's focus, and only drops out again beyond `radius + hysteresis`,
+// so fish hovering at the edge don't pop in and out.
+class InterestManager {
+  constructor({ width, height, radius, hysteresis }) {
+    this.radius = radius;
+    this.hysteresis = hysteresis;
+    this.grid = new SpatialGrid(width, height, radius);
+    this.allPlayerIds = new Set();
+    this.shapelessPlayerIds = new Set();
+  }
+
+  // Re-index every shape; call before computing visibility for a round of clients
+  rebuild(state) {
+    this.grid.clear();
+    this.allPlayerIds.clear();
+    this.shapelessPlayerIds.clear();
+
+    state.players.forEach((player, playerId) => {
+      this.allPlayerIds.add(playerId);
+
+      // Players without a shape have nothing to filter on, so they stay in view
+      if (player.shapes.length === 0) {
+        this.shapelessPlayerIds.add(playerId);
+        return;
+      }
+
+      player.shapes.forEach(shape => this.grid.insert(playerId, shape.x, shape.y));
+    });
+  }
+
+  // Players visible from `focus` given what was visible last time. A viewer
+  // without a focus (no fish of its own) sees everyone.
+  getVisiblePlayerIds(focus, previous) {
+    if (!focus) {
+      return new Set(this.allPlayerIds);
+    }
+
+    const visible = new Set(this.shapelessPlayerIds);
+    const radiusSq = this.radius * this.radius;
+
+    this.grid.query(focus.x, focus.y, this.radius + this.hysteresis).forEach(entry => {
+      if (entry.distanceSq <= radiusSq || (previous && previous.has(entry.id))) {
+        visible.add(entry.id);
+      }
+    });
+
+    return visible;
+  }
+}
+
+module.exports = { InterestManager };
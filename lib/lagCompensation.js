@@ -0,0 +1,99 @@
+// Lag-compensated hit detection for flings. When a player flings their fish,
+// they aimed at where the other fish were on their screen, which is roughly
+// half an RTT plus the interpolation delay in the past. For a short window
+// after the fling, the flung shape is tested against the other shapes as they
+// were that many ticks ago, using the server's shape history.
+
+// How long after a fling its hits are still lag compensated (~0.5 seconds)
+const FLING_WINDOW_TICKS = 30;
+
+class LagCompensator {
+  constructor(shapeHistory, options = {}) {
+    this.shapeHistory = shapeHistory;
+    this.maxRewindTicks = options.maxRewindTicks ?? shapeHistory.maxTicks - 1;
+    this.flingWindowTicks = options.flingWindowTicks ?? FLING_WINDOW_TICKS;
+    this.flings = new Map(); // attacker shapeId -> active fling
+  }
+
+  // Start compensating hits for a shape that has just been flung
+  registerFling(shapeId, playerId, rewindTicks, currentTick) {
+    this.flings.set(shapeId, {
+      playerId,
+      rewindTicks: Math.max(0, Math.min(Math.round(rewindTicks), this.maxRewindTicks)),
+      expiresAtTick: currentTick + this.flingWindowTicks,
+      hitShapeIds: new Set()
+    });
+  }
+
+  isFlinging(shapeId) {
+    return this.flings.has(shapeId);
+  }
+
+  // Record that a fling hit a shape. Returns false when that shape was
+  // already hit by the same fling, so each hit is only reported once.
+  claimHit(attackerShapeId, victimShapeId) {
+    const fling = this.flings.get(attackerShapeId);
+    if (!fling || fling.hitShapeIds.has(victimShapeId)) {
+      return false;
+    }
+    fling.hitShapeIds.add(victimShapeId);
+    return true;
+  }
+
+  // Find every flung shape that overlaps another player's shape as the
+  // attacker saw it. `owners` maps shapeId -> playerId, and
+  // contactDistance(attacker, victim) is how close their centres must be.
+  detectHits(currentTick, shapes, owners, contactDistance) {
+    const hits = [];
+
+    this.flings.forEach((fling, attackerShapeId) => {
+      if (currentTick > fling.expiresAtTick) {
+        this.flings.delete(attackerShapeId);
+        return;
+      }
+
+      const attacker = shapes.find(shape => shape.id === attackerShapeId);
+      if (!attacker) {
+        this.flings.delete(attackerShapeId);
+        return;
+      }
+
+      const rewoundTick = currentTick - fling.rewindTicks;
+
+      shapes.forEach(victim => {
+        if (victim === attacker || owners.get(victim.id) === fling.playerId || fling.hitShapeIds.has(victim.id)) {
+          return;
+        }
+
+        const past = this.shapeHistory.getAt(victim.id, rewoundTick);
+        if (!past) {
+          return;
+        }
+
+        const dx = past.x - attacker.x;
+        const dy = past.y - attacker.y;
+        const distanceSq = dx * dx + dy * dy;
+        const minDistance = contactDistance(attacker, victim);
+
+        if (distanceSq < minDistance * minDistance) {
+          const distance = Math.sqrt(distanceSq);
+          hits.push({
+            attacker,
+            victim,
+            rewoundTick,
+            nx: distance > 0 ? dx / distance : 1,
+            ny: distance > 0 ? dy / distance : 0
+          });
+        }
+      });
+    });
+
+    return hits;
+  }
+
+  clear() {
+    this.flings.clear();
+  }
+}
+
+module.exports = { LagCompensator, FLING_WINDOW_TICKS };
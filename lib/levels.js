@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { validateValue, MessageValidationError } = require('./protocol');
+const { ROOM_OPTIONS_SCHEMA } = require('./roomConfig');
+const { BODY_RADIUS } = require('./physics');
+
+// Authored levels: static obstacles placed in the arena, one JSON file per
+// level in LEVELS_DIR (default: levels/). A room picks one with the `level`
+// option. Positions are the centre of each obstacle, like shape positions.
+//
+//   {
+//     "name": "Platforms",
+//     "boundaryWidth": 2400,            optional, replaces the room's
+//     "boundaryHeight": 1800,           optional, replaces the room's
+//     "obstacles": [
+//       { "kind": "platform", "id": "ledge", "x": 600, "y": 1300, "width": 500, "height": 30 },
+//       { "kind": "wall", "x": 1200, "y": 1650, "width": 60, "height": 300 },
+//       { "kind": "bumper", "x": 1800, "y": 900, "radius": 60, "bounce": 1.5 },
+//       { "kind": "goal", "x": 1200, "y": 400, "radius": 150 }
+//     ],
+//     "spawns": [{ "x": 300, "y": 1750 }]  optional, where fish appear
+//   }
+//
+// Platforms and walls are solid rectangles, bumpers solid circles that
+// bounce fish back faster than they came, and goals circles fish pass
+// through (game modes use them as zones). Levels are checked when loaded:
+// every obstacle must lie inside the boundary and spawns must be clear.
+
+const LEVELS_DIR = process.env.LEVELS_DIR || path.join(__dirname, '..', 'levels');
+
+// Level names are file names
+const LEVEL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const OBSTACLE_ID = { type: 'string', maxLength: 32, pattern: /^[A-Za-z0-9_-]+$/, optional: true };
+const POSITION = { type: 'number', min: 0, max: 10000 };
+const LENGTH = { type: 'number', min: 1, max: 10000 };
+const RADIUS = { type: 'number', min: 1, max: 2000 };
+
+const RECTANGLE = { kind: { type: 'string' }, id: OBSTACLE_ID, x: POSITION, y: POSITION, width: LENGTH, height: LENGTH };
+const CIRCLE = { kind: { type: 'string' }, id: OBSTACLE_ID, x: POSITION, y: POSITION, radius: RADIUS };
+
+function boundaryField(name) {
+  const { type, min, max } = ROOM_OPTIONS_SCHEMA[name];
+  return { type, min, max, optional: true };
+}
+
+const LEVEL_SCHEMA = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', maxLength: 64, optional: true },
+    boundaryWidth: boundaryField('boundaryWidth'),
+    boundaryHeight: boundaryField('boundaryHeight'),
+    obstacles: {
+      type: 'array',
+      maxItems: 200,
+      items: {
+        type: 'object',
+        discriminator: 'kind',
+        variants: {
+          platform: RECTANGLE,
+          wall: RECTANGLE,
+          bumper: { ...CIRCLE, bounce: { type: 'number', min: 0, max: 3, optional: true } },
+          goal: CIRCLE
+        }
+      }
+    },
+    spawns: {
+      type: 'array',
+      maxItems: 64,
+      optional: true,
+      items: { type: 'object', fields: { x: POSITION, y: POSITION } }
+    }
+  }
+};
+
+// Bumpers without a `bounce` send fish back this much faster
+const DEFAULT_BUMPER_BOUNCE = 1.5;
+
+class LevelError extends Error {
+  constructor(level, message) {
+    super(`Invalid level ${level}: ${message}`);
+    this.name = 'LevelError';
+  }
+}
+
+// Goals are the only obstacles fish pass through
+function isSolid(obstacle) {
+  return obstacle.kind !== 'goal';
+}
+
+// Whether a circle at (x, y) overlaps the obstacle
+function overlapsObstacle(obstacle, x, y, radius = 0) {
+  if (obstacle.radius > 0) {
+    return Math.hypot(x - obstacle.x, y - obstacle.y) < obstacle.radius + radius;
+  }
+  const dx = Math.max(Math.abs(x - obstacle.x) - obstacle.width / 2, 0);
+  const dy = Math.max(Math.abs(y - obstacle.y) - obstacle.height / 2, 0);
+  return dx * dx + dy * dy < radius * radius || (dx === 0 && dy === 0);
+}
+
+// Every field filled in, so the schema and the physics don't need defaults
+function normalizeObstacle(obstacle, index) {
+  const circle = obstacle.kind === 'bumper' || obstacle.kind === 'goal';
+  return {
+    id: obstacle.id || `${obstacle.kind}-${index}`,
+    kind: obstacle.kind,
+    x: obstacle.x,
+    y: obstacle.y,
+    width: circle ? 0 : obstacle.width,
+    height: circle ? 0 : obstacle.height,
+    radius: circle ? obstacle.radius : 0,
+    bounce: obstacle.kind === 'bumper' ? obstacle.bounce ?? DEFAULT_BUMPER_BOUNCE : 0
+  };
+}
+
+// Check a parsed level against the schema and the arena it will be used in.
+// `config` is the room's resolved config; the level's own boundary, if it
+// has one, takes precedence. Throws a LevelError.
+function validateLevel(name, data, config) {
+  let level;
+  try {
+    level = validateValue(LEVEL_SCHEMA, data, '');
+  } catch (error) {
+    if (error instanceof MessageValidationError) {
+      throw new LevelError(name, error.message);
+    }
+    throw error;
+  }
+
+  const width = level.boundaryWidth || config.boundaryWidth;
+  const height = level.boundaryHeight || config.boundaryHeight;
+  const obstacles = level.obstacles.map(normalizeObstacle);
+  const ids = new Set();
+
+  obstacles.forEach((obstacle, index) => {
+    if (ids.has(obstacle.id)) {
+      throw new LevelError(name, `obstacles[${index}].id: ${obstacle.id} is used twice`);
+    }
+    ids.add(obstacle.id);
+
+    const halfWidth = obstacle.radius || obstacle.width / 2;
+    const halfHeight = obstacle.radius || obstacle.height / 2;
+    if (obstacle.x - halfWidth < 0 || obstacle.x + halfWidth > width || obstacle.y - halfHeight < 0 || obstacle.y + halfHeight > height) {
+      throw new LevelError(name, `obstacles[${index}]: must lie inside the ${width}x${height} boundary`);
+    }
+  });
+
+  const spawns = level.spawns || [];
+  spawns.forEach((spawn, index) => {
+    if (spawn.x > width || spawn.y > height) {
+      throw new LevelError(name, `spawns[${index}]: must lie inside the ${width}x${height} boundary`);
+    }
+    const blocking = obstacles.find(obstacle => isSolid(obstacle) && overlapsObstacle(obstacle, spawn.x, spawn.y, BODY_RADIUS));
+    if (blocking) {
+      throw new LevelError(name, `spawns[${index}]: overlaps ${blocking.id}`);
+    }
+  });
+
+  return { name, title: level.name || name, boundaryWidth: width, boundaryHeight: height, obstacles, spawns };
+}
+
+// Read and validate a level from LEVELS_DIR. Throws a LevelError for unknown
+// or invalid levels.
+async function loadLevel(name, config, directory = LEVELS_DIR) {
+  if (typeof name !== 'string' || !LEVEL_NAME_PATTERN.test(name)) {
+    throw new LevelError(name, 'level names may only use letters, digits, _ and -');
+  }
+
+  let contents;
+  try {
+    contents = await fs.promises.readFile(path.join(directory, `${name}.json`), 'utf8');
+  } catch (error) {
+    throw new LevelError(name, error.code === 'ENOENT' ? 'no such level' : error.message);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(contents);
+  } catch (error) {
+    throw new LevelError(name, `not valid JSON (${error.message})`);
+  }
+  return validateLevel(name, data, config);
+}
+
+// Names of the levels in LEVELS_DIR
+async function listLevels(directory = LEVELS_DIR) {
+  const files = await fs.promises.readdir(directory).catch(() => []);
+  return files
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(name => LEVEL_NAME_PATTERN.test(name))
+    .sort();
+}
+
+module.exports = { LEVELS_DIR, LEVEL_SCHEMA, LevelError, isSolid, overlapsObstacle, validateLevel, loadLevel, listLevels };
@@ -1,5 +1,19 @@
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logger. Every line is a JSON object:
+//   { "time": "...", "level": "warn", "msg": "...", "roomId": "...", ... }
+// Warnings and errors go to stderr right away. Other lines are buffered and
+// written to stdout in chunks, and every line is buffered for the log file,
+// which is appended to asynchronously and rotated by size.
+//
+// Environment:
+//   LOG_LEVEL        debug | log | info | warn | error | silent (default: log)
+//   LOG_STDOUT_ONLY  "true" to skip the log file (for container hosts)
+//   LOG_FILE         log file path (default: server-logs.txt in the cwd)
+//   LOG_MAX_BYTES    rotate the file past this size (default: 10 MB)
+//   LOG_MAX_FILES    rotated files to keep, as LOG_FILE.1 ... (default: 5)
 
 // Log levels
 const LogLevel = {
@@ -8,90 +22,323 @@ const LogLevel = {
   INFO: 2,
   WARN: 3,
   ERROR: 4,
+  SILENT: 5,
 };
 
+const LEVEL_NAMES = ['debug', 'log', 'info', 'warn', 'error'];
+
+// How often buffered lines are written to the file
+const FLUSH_INTERVAL_MS = 1000;
+
+// How often buffered lines are written to stdout
+const STDOUT_FLUSH_INTERVAL_MS = 100;
+
+// Lines held in memory while the file (or stdout) can't keep up; beyond this
+// they are dropped (and counted) rather than growing without bound
+const MAX_BUFFERED_LINES = 10000;
+
+// A sampled log key emits at most one line per window
+const DEFAULT_SAMPLE_WINDOW_MS = 1000;
+
+function parseLevel(value, fallback) {
+  if (typeof value === 'number' && Object.values(LogLevel).includes(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && LogLevel[value.toUpperCase()] !== undefined) {
+    return LogLevel[value.toUpperCase()];
+  }
+  return fallback;
+}
+
 // Current log level
-let currentLogLevel = LogLevel.LOG;
+let currentLogLevel = parseLevel(process.env.LOG_LEVEL, LogLevel.LOG);
+
+// Log file settings from the environment. An unset or empty variable means
+// the default, so LOG_MAX_FILES="" doesn't turn into 0 (no rotated files).
+function readSettings(env = process.env) {
+  const maxFiles = (env.LOG_MAX_FILES || '').trim() === '' ? NaN : Number(env.LOG_MAX_FILES);
+  return {
+    stdoutOnly: env.LOG_STDOUT_ONLY === 'true',
+    logFilePath: env.LOG_FILE || path.join(process.cwd(), 'server-logs.txt'),
+    maxFileBytes: Number(env.LOG_MAX_BYTES) || 10 * 1024 * 1024,
+    maxFiles: Number.isInteger(maxFiles) && maxFiles >= 0 ? maxFiles : 5
+  };
+}
+
+const { stdoutOnly, logFilePath, maxFileBytes, maxFiles } = readSettings();
+
+let buffer = [];
+let droppedLines = 0;
+let flushTimer = null;
+let flushing = null;
+let fileSize = null; // Unknown until the first flush
+
+let stdoutBuffer = [];
+let stdoutDroppedLines = 0;
+let stdoutTimer = null;
+let stdoutDraining = false; // Set while waiting for stdout to drain
+
+// Fields added by withContext() to every line logged inside its callback,
+// including lines from code that has no logger of its own bound to them
+const contextStorage = new AsyncLocalStorage();
+
+// JSON.stringify that copes with BigInt (msgpack decodes large client
+// integers as BigInt), errors and circular references
+function safeStringify(value) {
+  const seen = new WeakSet();
+  return JSON.stringify(value, (key, current) => {
+    if (typeof current === 'bigint') {
+      return Number(current);
+    }
+    if (current instanceof Error) {
+      return { name: current.name, message: current.message, stack: current.stack };
+    }
+    if (current !== null && typeof current === 'object') {
+      if (seen.has(current)) {
+        return '[Circular]';
+      }
+      seen.add(current);
+    }
+    return current;
+  });
+}
 
-// Log file path
-const logFilePath = path.join(process.cwd(), 'server-logs.txt');
+// The message text, as the old logger produced it, plus the first error
+function formatArgs(args) {
+  let error;
+  const msg = args.map(arg => {
+    if (arg instanceof Error) {
+      error = error || arg;
+      return arg.message;
+    }
+    return arg !== null && typeof arg === 'object' ? safeStringify(arg) : String(arg);
+  }).join(' ');
+  return { msg, error };
+}
 
-// Ensure log directory exists
-const logDir = path.dirname(logFilePath);
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
+async function rotate() {
+  for (let index = maxFiles - 1; index >= 1; index--) {
+    await fs.promises.rename(`${logFilePath}.${index}`, `${logFilePath}.${index + 1}`).catch(() => {});
+  }
+  if (maxFiles > 0) {
+    await fs.promises.rename(logFilePath, `${logFilePath}.1`).catch(() => {});
+  } else {
+    await fs.promises.rm(logFilePath, { force: true });
+  }
+  fileSize = 0;
 }
 
-// Helper function to format date for logs
-function getTimestamp() {
-  return new Date().toISOString();
+async function writeChunk(chunk) {
+  if (fileSize === null) {
+    await fs.promises.mkdir(path.dirname(logFilePath), { recursive: true });
+    fileSize = await fs.promises.stat(logFilePath).then(stats => stats.size, () => 0);
+  }
+  if (fileSize > 0 && fileSize + Buffer.byteLength(chunk) > maxFileBytes) {
+    await rotate();
+  }
+  await fs.promises.appendFile(logFilePath, chunk);
+  fileSize += Buffer.byteLength(chunk);
 }
 
-// Helper function to write to log file
-function writeToLogFile(level, message) {
-  const timestamp = getTimestamp();
-  const logMessage = `[${timestamp}] [${level}] ${message}\n`;
-  
-  fs.appendFileSync(logFilePath, logMessage);
+// Write the lines buffered for stdout as one chunk. When stdout is a slow
+// pipe, the next chunk waits until it has drained.
+function flushStdout() {
+  if (stdoutTimer) {
+    clearTimeout(stdoutTimer);
+    stdoutTimer = null;
+  }
+  if (stdoutDraining) {
+    return;
+  }
+
+  if (stdoutDroppedLines > 0) {
+    stdoutBuffer.push(safeStringify({ time: new Date().toISOString(), level: 'warn', msg: `Dropped ${stdoutDroppedLines} log lines while stdout was busy` }) + '\n');
+    stdoutDroppedLines = 0;
+  }
+  if (stdoutBuffer.length === 0) {
+    return;
+  }
+
+  const chunk = stdoutBuffer.join('');
+  stdoutBuffer = [];
+  if (!process.stdout.write(chunk)) {
+    stdoutDraining = true;
+    process.stdout.once('drain', () => {
+      stdoutDraining = false;
+      flushStdout();
+    });
+  }
 }
 
-// Logger functions
-const logger = {
-  setLogLevel: (level) => {
-    if (Object.values(LogLevel).includes(level)) {
-      currentLogLevel = level;
+function scheduleStdoutFlush() {
+  if (!stdoutTimer && !stdoutDraining) {
+    stdoutTimer = setTimeout(flushStdout, STDOUT_FLUSH_INTERVAL_MS);
+    stdoutTimer.unref();
+  }
+}
+
+// Write everything buffered so far to stdout and the log file
+function flush() {
+  flushStdout();
+
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  // Writes happen one at a time so lines stay in order across rotations
+  const previous = flushing || Promise.resolve();
+  const current = previous.then(() => {
+    if (droppedLines > 0) {
+      buffer.push(safeStringify({ time: new Date().toISOString(), level: 'warn', msg: `Dropped ${droppedLines} log lines while the log file was busy` }) + '\n');
+      droppedLines = 0;
     }
-  },
-  
-  debug: (...args) => {
-    if (currentLogLevel <= LogLevel.DEBUG) {
-      const message = args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg) : arg
-      ).join(' ');
-      console.debug(message);
-      writeToLogFile('DEBUG', message);
+    if (buffer.length === 0) {
+      return;
     }
-  },
-  
-  log: (...args) => {
-    if (currentLogLevel <= LogLevel.LOG) {
-      const message = args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg) : arg
-      ).join(' ');
-      console.log(message);
-      writeToLogFile('INFO', message);
+    const chunk = buffer.join('');
+    buffer = [];
+    return writeChunk(chunk);
+  }).catch((error) => {
+    process.stderr.write(`Failed to write log file ${logFilePath}: ${error.message}\n`);
+  });
+
+  flushing = current.finally(() => {
+    if (flushing === current) {
+      flushing = null;
     }
-  },
-  
-  info: (...args) => {
-    if (currentLogLevel <= LogLevel.INFO) {
-      const message = args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg) : arg
-      ).join(' ');
-      console.info(message);
-      writeToLogFile('INFO', message);
+  });
+  return current;
+}
+
+function scheduleFlush() {
+  if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+}
+
+// Last resort for lines still buffered when the process exits
+process.on('exit', () => {
+  if (stdoutBuffer.length > 0) {
+    try {
+      fs.writeSync(process.stdout.fd, stdoutBuffer.join(''));
+    } catch (e) {
+      // Nothing left to report it to
     }
-  },
-  
-  warn: (...args) => {
-    if (currentLogLevel <= LogLevel.WARN) {
-      const message = args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg) : arg
-      ).join(' ');
-      console.warn(message);
-      writeToLogFile('WARN', message);
+  }
+  if (!stdoutOnly && buffer.length > 0) {
+    try {
+      fs.appendFileSync(logFilePath, buffer.join(''));
+    } catch (e) {
+      // Nothing left to report it to
     }
-  },
-  
-  error: (...args) => {
-    if (currentLogLevel <= LogLevel.ERROR) {
-      const message = args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg) : arg
-      ).join(' ');
-      console.error(message);
-      writeToLogFile('ERROR', message);
+  }
+});
+
+function write(level, context, args) {
+  if (currentLogLevel > level) {
+    return;
+  }
+
+  const { msg, error } = formatArgs(args);
+  const entry = { time: new Date().toISOString(), level: LEVEL_NAMES[level], msg, ...contextStorage.getStore(), ...context };
+  if (error) {
+    entry.error = error;
+  }
+  const line = safeStringify(entry) + '\n';
+
+  if (level >= LogLevel.WARN) {
+    process.stderr.write(line);
+  } else {
+    if (stdoutBuffer.length >= MAX_BUFFERED_LINES) {
+      stdoutDroppedLines++;
+    } else {
+      stdoutBuffer.push(line);
     }
+    scheduleStdoutFlush();
   }
+
+  if (!stdoutOnly) {
+    if (buffer.length >= MAX_BUFFERED_LINES) {
+      droppedLines++;
+    } else {
+      buffer.push(line);
+    }
+    scheduleFlush();
+  }
+}
+
+// Last emit time and suppressed count per sample key
+const samples = new Map();
+
+function pruneSamples(now, windowMs) {
+  samples.forEach((sample, key) => {
+    if (now - sample.lastEmitted > windowMs) {
+      samples.delete(key);
+    }
+  });
+}
+
+function createLogger(context = {}) {
+  const log = (level) => (...args) => write(level, context, args);
+
+  const instance = {
+    debug: log(LogLevel.DEBUG),
+    log: log(LogLevel.LOG),
+    info: log(LogLevel.INFO),
+    warn: log(LogLevel.WARN),
+    error: log(LogLevel.ERROR),
+
+    // Logger that adds these fields (e.g. roomId, sessionId, playerId) to every line
+    child: (fields) => createLogger({ ...context, ...fields }),
+
+    // For hot paths: the first call per `key` in each window logs, the rest
+    // are counted and reported as `suppressed` on the next line that gets out
+    sampled: (key, windowMs = DEFAULT_SAMPLE_WINDOW_MS) => {
+      const now = Date.now();
+      const sample = samples.get(key);
+      if (sample && now - sample.lastEmitted < windowMs) {
+        sample.suppressed++;
+        return silentLogger;
+      }
+
+      if (samples.size > 1000) {
+        pruneSamples(now, windowMs);
+      }
+      samples.set(key, { lastEmitted: now, suppressed: 0 });
+      return sample && sample.suppressed > 0
+        ? createLogger({ ...context, suppressed: sample.suppressed })
+        : instance;
+    }
+  };
+  return instance;
+}
+
+const noop = () => {};
+const silentLogger = {
+  debug: noop,
+  log: noop,
+  info: noop,
+  warn: noop,
+  error: noop,
+  child: () => silentLogger,
+  sampled: () => silentLogger
 };
 
-module.exports = logger; 
\ No newline at end of file
+const logger = createLogger();
+
+logger.LogLevel = LogLevel;
+
+logger.setLogLevel = (level) => {
+  currentLogLevel = parseLevel(level, currentLogLevel);
+};
+
+logger.flush = flush;
+
+logger.readSettings = readSettings;
+
+logger.withContext = (fields, callback) =>
+  contextStorage.run({ ...contextStorage.getStore(), ...fields }, callback);
+
+module.exports = logger;
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { matchMaker } = require("colyseus");
+
+// Invite codes avoid characters that are easy to mix up (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function normalizeInviteCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Listing of the live room with this invite code, or undefined
+async function findRoomByInviteCode(roomName, code) {
+  const normalized = normalizeInviteCode(code);
+  if (normalized.length !== INVITE_CODE_LENGTH) {
+    return undefined;
+  }
+
+  const rooms = await matchMaker.query({ name: roomName });
+  return rooms.find(room => room.metadata && room.metadata.inviteCode === normalized);
+}
+
+// An invite code no live room of this type is using yet
+async function generateUniqueInviteCode(roomName) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = generateInviteCode();
+    if (!(await findRoomByInviteCode(roomName, code))) {
+      return code;
+    }
+  }
+  throw new Error('Could not generate a unique invite code');
+}
+
+module.exports = { generateInviteCode, generateUniqueInviteCode, findRoomByInviteCode, normalizeInviteCode };
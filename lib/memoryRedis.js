@@ -0,0 +1,393 @@
+const net = require('net');
+const logger = require('./logger');
+
+// In-memory stand-in for Redis, for running several workers locally or in
+// tests without a Redis server. It speaks just enough of the Redis protocol
+// (RESP) for @colyseus/redis-presence and @colyseus/redis-driver: strings
+// with expiry, hashes, sets, counters and pub/sub. Everything lives in this
+// process and is lost when it exits; use a real Redis in production.
+
+const CRLF = '\r\n';
+
+class ProtocolError extends Error {}
+
+// Parse one RESP array of bulk strings from `buffer` starting at `offset`.
+// Returns { args, offset } or null if the command isn't complete yet.
+function parseCommand(buffer, offset) {
+  const readLine = (start) => {
+    const end = buffer.indexOf(CRLF, start);
+    return end === -1 ? null : { line: buffer.toString('utf8', start, end), next: end + 2 };
+  };
+
+  const header = readLine(offset);
+  if (!header) {
+    return null;
+  }
+  if (header.line[0] !== '*') {
+    // Inline command, e.g. typed into telnet
+    return { args: header.line.trim().split(/\s+/).filter(Boolean), offset: header.next };
+  }
+
+  const count = parseInt(header.line.slice(1), 10);
+  const args = [];
+  let position = header.next;
+  for (let i = 0; i < count; i++) {
+    const lengthLine = readLine(position);
+    if (!lengthLine) {
+      return null;
+    }
+    if (lengthLine.line[0] !== '$') {
+      throw new ProtocolError(`expected '$', got '${lengthLine.line[0]}'`);
+    }
+    const length = parseInt(lengthLine.line.slice(1), 10);
+    if (buffer.length < lengthLine.next + length + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf8', lengthLine.next, lengthLine.next + length));
+    position = lengthLine.next + length + 2;
+  }
+  return { args, offset: position };
+}
+
+// RESP encoding of a reply
+function encode(value) {
+  if (value === null || value === undefined) {
+    return `$-1${CRLF}`;
+  }
+  if (value instanceof Error) {
+    return `-${value.message}${CRLF}`;
+  }
+  if (typeof value === 'number') {
+    return `:${value}${CRLF}`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}${CRLF}${value.map(encode).join('')}`;
+  }
+  if (value && value.status) {
+    return `+${value.status}${CRLF}`;
+  }
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}${CRLF}${text}${CRLF}`;
+}
+
+const OK = { status: 'OK' };
+
+// Redis glob patterns (`*`, `?`) as a RegExp
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+class MemoryRedisServer {
+  constructor() {
+    this.data = new Map(); // key -> { type, value, expiresAt }
+    this.channels = new Map(); // channel -> Set of sockets
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  // Resolves with the port once listening; port 0 picks a free one
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handleConnection(socket) {
+    socket.subscriptions = new Set();
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+      buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      try {
+        let parsed;
+        while (offset < buffer.length && (parsed = parseCommand(buffer, offset))) {
+          offset = parsed.offset;
+          if (parsed.args.length > 0) {
+            this.execute(socket, parsed.args);
+          }
+        }
+      } catch (error) {
+        socket.end(encode(new Error(`ERR Protocol error: ${error.message}`)));
+        return;
+      }
+      buffer = buffer.subarray(offset);
+    });
+
+    socket.on('close', () => {
+      socket.subscriptions.forEach(channel => this.unsubscribe(socket, channel));
+    });
+    socket.on('error', (error) => {
+      logger.debug(`Memory Redis connection error: ${error.message}`);
+    });
+  }
+
+  execute(socket, [name, ...args]) {
+    const command = name.toLowerCase();
+    let reply;
+    try {
+      if (command === 'subscribe') {
+        args.forEach(channel => socket.write(encode(['subscribe', channel, this.subscribe(socket, channel)])));
+        return;
+      }
+      if (command === 'unsubscribe') {
+        const channels = args.length > 0 ? args : Array.from(socket.subscriptions);
+        if (channels.length === 0) {
+          socket.write(encode(['unsubscribe', null, 0]));
+        }
+        channels.forEach(channel => socket.write(encode(['unsubscribe', channel, this.unsubscribe(socket, channel)])));
+        return;
+      }
+      if (command === 'quit') {
+        socket.end(encode(OK));
+        return;
+      }
+
+      const handler = COMMANDS[command];
+      reply = handler
+        ? handler.call(this, args)
+        : new Error(`ERR unknown command '${name}'`);
+    } catch (error) {
+      reply = new Error(error.message.startsWith('ERR') || error.message.startsWith('WRONGTYPE') ? error.message : `ERR ${error.message}`);
+    }
+    socket.write(encode(reply));
+  }
+
+  subscribe(socket, channel) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(socket);
+    socket.subscriptions.add(channel);
+    return socket.subscriptions.size;
+  }
+
+  unsubscribe(socket, channel) {
+    const subscribers = this.channels.get(channel);
+    if (subscribers) {
+      subscribers.delete(socket);
+      if (subscribers.size === 0) {
+        this.channels.delete(channel);
+      }
+    }
+    socket.subscriptions.delete(channel);
+    return socket.subscriptions.size;
+  }
+
+  // Entry for `key` if it exists and hasn't expired
+  getEntry(key, type) {
+    const entry = this.data.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return undefined;
+    }
+    if (type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+
+  // Entry for `key`, created empty if missing
+  ensureEntry(key, type, createValue) {
+    let entry = this.getEntry(key, type);
+    if (!entry) {
+      entry = { type, value: createValue(), expiresAt: null };
+      this.data.set(key, entry);
+    }
+    return entry;
+  }
+
+  // Drop collections that became empty, as Redis does
+  pruneEmpty(key, entry) {
+    if (entry.value.size === 0) {
+      this.data.delete(key);
+    }
+  }
+
+  incrementBy(key, amount) {
+    const entry = this.ensureEntry(key, 'string', () => '0');
+    const current = parseInt(entry.value, 10);
+    if (Number.isNaN(current)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    entry.value = String(current + amount);
+    return current + amount;
+  }
+}
+
+// Commands other than (un)subscribe and quit, called with the server as `this`
+const COMMANDS = {
+  ping(args) {
+    return args.length > 0 ? args[0] : { status: 'PONG' };
+  },
+  echo([message]) {
+    return message;
+  },
+  info() {
+    return ['# Server', 'redis_version:7.0.0', 'redis_mode:standalone', '# Persistence', 'loading:0', ''].join(CRLF);
+  },
+  select() {
+    return OK;
+  },
+  client() {
+    return OK;
+  },
+
+  get([key]) {
+    const entry = this.getEntry(key, 'string');
+    return entry ? entry.value : null;
+  },
+  set([key, value, ...options]) {
+    let expiresAt = null;
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toLowerCase();
+      if (option === 'ex') {
+        expiresAt = Date.now() + Number(options[++i]) * 1000;
+      } else if (option === 'px') {
+        expiresAt = Date.now() + Number(options[++i]);
+      }
+    }
+    this.data.set(key, { type: 'string', value, expiresAt });
+    return OK;
+  },
+  setex([key, seconds, value]) {
+    this.data.set(key, { type: 'string', value, expiresAt: Date.now() + Number(seconds) * 1000 });
+    return OK;
+  },
+  del(keys) {
+    return keys.filter(key => this.getEntry(key) && this.data.delete(key)).length;
+  },
+  exists(keys) {
+    return keys.filter(key => this.getEntry(key)).length;
+  },
+  expire([key, seconds]) {
+    const entry = this.getEntry(key);
+    if (!entry) {
+      return 0;
+    }
+    entry.expiresAt = Date.now() + Number(seconds) * 1000;
+    return 1;
+  },
+  incr([key]) {
+    return this.incrementBy(key, 1);
+  },
+  decr([key]) {
+    return this.incrementBy(key, -1);
+  },
+
+  hset([key, ...pairs]) {
+    if (pairs.length === 0 || pairs.length % 2 !== 0) {
+      throw new Error("ERR wrong number of arguments for 'hset' command");
+    }
+    const hash = this.ensureEntry(key, 'hash', () => new Map()).value;
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!hash.has(pairs[i])) {
+        added++;
+      }
+      hash.set(pairs[i], pairs[i + 1]);
+    }
+    return added;
+  },
+  hget([key, field]) {
+    const entry = this.getEntry(key, 'hash');
+    return entry && entry.value.has(field) ? entry.value.get(field) : null;
+  },
+  hgetall([key]) {
+    const entry = this.getEntry(key, 'hash');
+    return entry ? Array.from(entry.value).flat() : [];
+  },
+  hdel([key, ...fields]) {
+    const entry = this.getEntry(key, 'hash');
+    if (!entry) {
+      return 0;
+    }
+    const removed = fields.filter(field => entry.value.delete(field)).length;
+    this.pruneEmpty(key, entry);
+    return removed;
+  },
+  hexists([key, field]) {
+    const entry = this.getEntry(key, 'hash');
+    return entry && entry.value.has(field) ? 1 : 0;
+  },
+  hlen([key]) {
+    const entry = this.getEntry(key, 'hash');
+    return entry ? entry.value.size : 0;
+  },
+  hincrby([key, field, amount]) {
+    const hash = this.ensureEntry(key, 'hash', () => new Map()).value;
+    const current = parseInt(hash.get(field) || '0', 10);
+    const next = current + parseInt(amount, 10);
+    hash.set(field, String(next));
+    return next;
+  },
+
+  sadd([key, ...members]) {
+    const set = this.ensureEntry(key, 'set', () => new Set()).value;
+    return members.filter(member => !set.has(member) && set.add(member)).length;
+  },
+  srem([key, ...members]) {
+    const entry = this.getEntry(key, 'set');
+    if (!entry) {
+      return 0;
+    }
+    const removed = members.filter(member => entry.value.delete(member)).length;
+    this.pruneEmpty(key, entry);
+    return removed;
+  },
+  smembers([key]) {
+    const entry = this.getEntry(key, 'set');
+    return entry ? Array.from(entry.value) : [];
+  },
+  sismember([key, member]) {
+    const entry = this.getEntry(key, 'set');
+    return entry && entry.value.has(member) ? 1 : 0;
+  },
+  scard([key]) {
+    const entry = this.getEntry(key, 'set');
+    return entry ? entry.value.size : 0;
+  },
+  sinter(keys) {
+    const sets = keys.map(key => this.getEntry(key, 'set'));
+    if (sets.some(entry => !entry)) {
+      return [];
+    }
+    const [first, ...rest] = sets.map(entry => entry.value);
+    return Array.from(first).filter(member => rest.every(set => set.has(member)));
+  },
+
+  publish([channel, message]) {
+    const subscribers = this.channels.get(channel);
+    if (!subscribers) {
+      return 0;
+    }
+    const payload = encode(['message', channel, message]);
+    subscribers.forEach(socket => socket.write(payload));
+    return subscribers.size;
+  },
+  pubsub([subcommand, ...args]) {
+    switch (subcommand.toLowerCase()) {
+      case 'channels': {
+        const pattern = args[0] ? globToRegExp(args[0]) : null;
+        return Array.from(this.channels.keys()).filter(channel => !pattern || pattern.test(channel));
+      }
+      case 'numsub':
+        return args.flatMap(channel => [channel, this.channels.has(channel) ? this.channels.get(channel).size : 0]);
+      default:
+        throw new Error(`ERR unknown subcommand '${subcommand}'`);
+    }
+  }
+};
+
+module.exports = { MemoryRedisServer };
@@ -0,0 +1,225 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in
+// the text exposition format served at /metrics. Room-level gauges are
+// computed from the live rooms when scraped rather than kept up to date.
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Values keyed by their label set; `initialValue` creates the value of a new one
+class LabelledValues {
+  constructor(initialValue = () => 0) {
+    this.initialValue = initialValue;
+    this.values = new Map(); // formatted labels -> { labels, value }
+  }
+
+  get(labels) {
+    const key = formatLabels(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, value: this.initialValue() };
+      this.values.set(key, entry);
+    }
+    return entry;
+  }
+
+  delete(labels) {
+    this.values.delete(formatLabels(labels));
+  }
+
+  clear() {
+    this.values.clear();
+  }
+
+  entries() {
+    return Array.from(this.values.values());
+  }
+
+  lines(name) {
+    return Array.from(this.values.values()).map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`);
+  }
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new LabelledValues();
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.values.get(labels).value += amount;
+  }
+
+  collect() {
+    return this.values.lines(this.name);
+  }
+}
+
+class Gauge {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.values = new LabelledValues();
+  }
+
+  set(labels, value) {
+    this.values.get(labels).value = value;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  collect() {
+    return this.values.lines(this.name);
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.values = new LabelledValues(() => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+  }
+
+  observe(labels, value) {
+    const series = this.values.get(labels).value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Drop a label set's series, e.g. once its room is gone
+  remove(labels) {
+    this.values.delete(labels);
+  }
+
+  collect() {
+    const lines = [];
+    this.values.entries().forEach(({ labels, value: series }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+const messagesReceived = new Counter('fling_messages_received_total',
+  'Client messages received, by message type');
+const messagesRejected = new Counter('fling_messages_rejected_total',
+  'Client messages not handled, by message type and reason (error code)');
+const messagesCoalesced = new Counter('fling_messages_coalesced_total',
+  'Client messages replaced by a newer one while rate limited, by message type');
+const simulationStepDuration = new Histogram('fling_simulation_step_duration_seconds',
+  'Time spent running one fixed simulation step',
+  [0.0005, 0.001, 0.002, 0.005, 0.01, 0.016, 0.033, 0.05, 0.1]);
+const patchBytesSent = new Counter('fling_patch_bytes_sent_total',
+  'Bytes of state patches sent to clients');
+
+const roomsActive = new Gauge('fling_rooms_active', 'Physics rooms running in this process');
+const players = new Gauge('fling_players', 'Players in each room, by connection status');
+// One series per room rather than per client, so neither session IDs nor
+// an ever-growing number of series reach the scraper
+const clientRtt = new Histogram('fling_client_rtt_milliseconds',
+  'Round-trip times measured by ping/pong, per room',
+  [10, 25, 50, 75, 100, 150, 200, 300, 500, 1000, 2000]);
+
+const metrics = [
+  messagesReceived, messagesRejected, messagesCoalesced, simulationStepDuration, patchBytesSent, clientRtt,
+  roomsActive, players
+];
+
+// Rooms whose players and clients are reported on scrape
+const trackedRooms = new Set();
+
+function trackRoom(room) {
+  trackedRooms.add(room);
+}
+
+function untrackRoom(room) {
+  trackedRooms.delete(room);
+  clientRtt.remove({ room_id: room.roomId });
+}
+
+// Count state patch bytes sent to this client. Colyseus sends patches through
+// client.raw() with the ROOM_STATE_PATCH protocol byte first.
+const ROOM_STATE_PATCH = 15;
+
+function instrumentClient(client) {
+  if (client.metricsInstrumented) {
+    return;
+  }
+  client.metricsInstrumented = true;
+
+  const raw = client.raw.bind(client);
+  client.raw = (data, options, cb) => {
+    if (data && data[0] === ROOM_STATE_PATCH) {
+      patchBytesSent.inc({}, data.length);
+    }
+    return raw(data, options, cb);
+  };
+}
+
+function collectRoomGauges() {
+  roomsActive.reset();
+  players.reset();
+
+  roomsActive.set({}, trackedRooms.size);
+  trackedRooms.forEach(room => {
+    if (!room.state) {
+      return;
+    }
+    players.set({ room_id: room.roomId, status: 'connected' }, room.state.getConnectedPlayerCount());
+    players.set({ room_id: room.roomId, status: 'disconnected' }, room.state.getDisconnectedPlayerCount());
+  });
+}
+
+// Everything in the Prometheus text format
+function renderMetrics() {
+  collectRoomGauges();
+
+  const lines = [];
+  metrics.forEach(metric => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.collect());
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  messagesReceived,
+  messagesRejected,
+  messagesCoalesced,
+  simulationStepDuration,
+  patchBytesSent,
+  clientRtt,
+  trackRoom,
+  untrackRoom,
+  instrumentClient,
+  renderMetrics
+};
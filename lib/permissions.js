@@ -0,0 +1,55 @@
+// Who may act on a shape. A shape is owned by the player whose `shapes` it's
+// in, and its `permission` says who else may move, fling or grab it:
+//
+//   owner   only the owner
+//   team    the owner and players on the owner's team (Player.team)
+//   anyone  every player
+//
+// A shape grabbed by another player (Shape.heldBy) can only be moved by that
+// player until they release it or the owner takes it back.
+
+const SHAPE_PERMISSIONS = ['owner', 'team', 'anyone'];
+
+// `reason` in rejection replies
+const REJECTION_REASONS = {
+  NOT_OWNER: 'not_owner', // Shape is owner-only
+  NOT_TEAMMATE: 'not_teammate', // Shape is team-only and the player isn't on the owner's team
+  HELD: 'held', // Another player is holding the shape
+  NOT_HELD: 'not_held' // Release of a shape nobody holds
+};
+
+// Why `actor` may not move or grab `shape` (owned by `owner`), or null if
+// they may
+function checkShapeAccess(shape, owner, actor) {
+  if (shape.heldBy) {
+    return shape.heldBy === actor.id ? null : REJECTION_REASONS.HELD;
+  }
+  return checkPermission(shape, owner, actor);
+}
+
+// Whether the shape's permission lets `actor` act on it, ignoring who holds it
+function checkPermission(shape, owner, actor) {
+  if (owner.id === actor.id) {
+    return null;
+  }
+
+  switch (shape.permission) {
+    case 'anyone':
+      return null;
+    case 'team':
+      return owner.team && owner.team === actor.team ? null : REJECTION_REASONS.NOT_TEAMMATE;
+    default:
+      return REJECTION_REASONS.NOT_OWNER;
+  }
+}
+
+// Why `actor` may not release `shape`, or null if they may. The holder can
+// let go, and the owner can always take their shape back.
+function checkRelease(shape, owner, actor) {
+  if (!shape.heldBy) {
+    return REJECTION_REASONS.NOT_HELD;
+  }
+  return shape.heldBy === actor.id || owner.id === actor.id ? null : REJECTION_REASONS.HELD;
+}
+
+module.exports = { SHAPE_PERMISSIONS, REJECTION_REASONS, checkShapeAccess, checkPermission, checkRelease };
@@ -0,0 +1,459 @@
+// Fixed-step 2D rigid-body simulation for the shapes in a PhysicsState.
+// Velocities are expressed in pixels per FIXED_TIME_STEP_MS (the same unit as
+// the flings clients send in `input` and `physics_action` messages), and so
+// are the per-step options below. Worlds stepping at another `stepMs` scale
+// them by the step length, so bodies move just as fast at any tick rate.
+// Frozen bodies (fish of players who are reconnecting) don't move but still
+// block everything else.
+
+// Default length of one simulation step (~60 steps per second). Rooms with
+// a different `tickRate` step at 1000 / tickRate instead.
+const FIXED_TIME_STEP_MS = 1000 / 60;
+
+// Never run more than this many steps per update, so a stalled event loop
+// doesn't turn into a burst of catch-up steps
+const MAX_STEPS_PER_UPDATE = 5;
+
+// Shapes without a kind of their own (see lib/shapes.js) are circles of this
+// radius
+const BODY_RADIUS = 30;
+
+const DEFAULT_OPTIONS = {
+  stepMs: FIXED_TIME_STEP_MS, // Length of one step()
+  gravity: 0.28,          // Pixels per step, per step
+  bodyRadius: BODY_RADIUS,
+  restitution: 0.5,       // Bounciness of bodies without a restitution of their own
+  airDamping: 0.995,      // Velocity multiplier applied every step
+  angularDamping: 0.98,   // Angular velocity multiplier applied every step
+  groundFriction: 0.9,    // Horizontal velocity multiplier on the floor, for bodies without a friction of their own
+  sleepVelocity: 0.05,    // Below this speed a resting body is brought to a full stop
+  walls: { left: true, right: true, top: true, bottom: true }, // Open sides let bodies fly out
+  obstacles: []           // Solid level obstacles (lib/levels.js); they never move
+};
+
+// Bodies are circles (`radius`), boxes (`width` x `height`) or convex
+// polygons (`vertices` around the centre), rotated by `angle`. Contacts
+// between them use the separating axis test. Glancing blows set every kind
+// spinning in the air. On the floor or a platform only circles roll; boxes
+// and polygons stop turning, slide, and keep whatever angle they land at.
+class PhysicsWorld {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    // The per-step options, for a step of stepMs
+    this.stepScale = this.options.stepMs / FIXED_TIME_STEP_MS;
+    this.stepGravity = this.options.gravity * this.stepScale;
+    this.stepAirDamping = this.options.airDamping ** this.stepScale;
+    this.stepAngularDamping = this.options.angularDamping ** this.stepScale;
+
+    // Obstacles collide like any other body that can't move
+    this.obstacleBodies = this.options.obstacles.map(obstacle => ({
+      obstacle,
+      kind: obstacle.radius > 0 ? 'circle' : 'box',
+      x: obstacle.x,
+      y: obstacle.y,
+      angle: 0,
+      radius: obstacle.radius,
+      width: obstacle.width,
+      height: obstacle.height
+    }));
+  }
+
+  // Advance every shape by one fixed step inside a width x height box.
+  // Returns the shape-vs-shape contacts resolved during this step.
+  step(shapes, width, height) {
+    // Always process bodies in the same order so every run is deterministic
+    const bodies = shapes.slice().sort(compareById);
+
+    bodies.forEach(body => this.integrate(body, height));
+
+    const contacts = [];
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const contact = this.collide(bodies[i], bodies[j]);
+        if (contact) {
+          contacts.push(contact);
+        }
+      }
+    }
+
+    bodies.forEach(body => this.collideWithObstacles(body));
+    bodies.forEach(body => this.constrainToBounds(body, width, height));
+
+    return contacts;
+  }
+
+  integrate(body, height) {
+    const velocity = body.velocity;
+
+    if (body.frozen) {
+      return;
+    }
+
+    // Bodies at rest on the floor stay put (and out of the state patches)
+    // until something gives them velocity again
+    if (velocity.x === 0 && velocity.y === 0 && body.angularVelocity === 0 && body.y === height - this.getExtents(body).bottom) {
+      return;
+    }
+
+    // Semi-implicit Euler: update velocity first, then position
+    velocity.y += this.stepGravity;
+    velocity.x *= this.stepAirDamping;
+    velocity.y *= this.stepAirDamping;
+
+    body.x += velocity.x * this.stepScale;
+    body.y += velocity.y * this.stepScale;
+
+    body.angularVelocity *= this.stepAngularDamping;
+    body.angle += body.angularVelocity * this.stepScale;
+  }
+
+  collide(a, b) {
+    if (a.frozen && b.frozen) {
+      return null;
+    }
+
+    // Cheap test on the bounding circles first
+    const reach = this.getBoundingRadius(a) + this.getBoundingRadius(b);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    if (dx * dx + dy * dy >= reach * reach) {
+      return null;
+    }
+
+    const contact = this.findContact(a, b);
+    if (!contact) {
+      return null;
+    }
+    return this.resolveContact(a, b, contact.nx, contact.ny, contact.penetration);
+  }
+
+  // Separate two overlapping bodies along the normal (pointing from a to b)
+  // and exchange momentum between them. Exposed so callers can resolve hits
+  // that were detected somewhere other than in step().
+  resolveContact(a, b, nx, ny, penetration) {
+    // Heavier bodies move less; frozen bodies can't be moved at all
+    const inverseMassA = a.frozen ? 0 : 1 / (a.mass || 1);
+    const inverseMassB = b.frozen ? 0 : 1 / (b.mass || 1);
+    const inverseMassSum = inverseMassA + inverseMassB;
+
+    if (inverseMassSum === 0) {
+      return null;
+    }
+
+    // Push the bodies out of each other, split by how movable they are
+    if (penetration > 0) {
+      const correction = penetration / inverseMassSum;
+      a.x -= nx * correction * inverseMassA;
+      a.y -= ny * correction * inverseMassA;
+      b.x += nx * correction * inverseMassB;
+      b.y += ny * correction * inverseMassB;
+    }
+
+    const relativeNormalVelocity =
+      (b.velocity.x - a.velocity.x) * nx +
+      (b.velocity.y - a.velocity.y) * ny;
+
+    // Already separating, nothing to exchange
+    if (relativeNormalVelocity >= 0) {
+      return { a: a.id, b: b.id, impulse: 0, nx, ny };
+    }
+
+    const restitution = (this.getRestitution(a) + this.getRestitution(b)) / 2;
+    const impulse = -(1 + restitution) * relativeNormalVelocity / inverseMassSum;
+
+    a.velocity.x -= nx * impulse * inverseMassA;
+    a.velocity.y -= ny * impulse * inverseMassA;
+    b.velocity.x += nx * impulse * inverseMassB;
+    b.velocity.y += ny * impulse * inverseMassB;
+
+    // Glancing blows make both fish spin
+    const tangentVelocity =
+      (b.velocity.x - a.velocity.x) * -ny +
+      (b.velocity.y - a.velocity.y) * nx;
+    const spin = tangentVelocity / ((this.getBoundingRadius(a) + this.getBoundingRadius(b)) * 2);
+    a.angularVelocity += spin * inverseMassA;
+    b.angularVelocity += spin * inverseMassB;
+
+    return { a: a.id, b: b.id, impulse, nx, ny };
+  }
+
+  // Push a body out of any obstacle it overlaps. Obstacles are immovable:
+  // bodies bounce off them like off the boundary (bumpers harder), and come
+  // to rest on top of them like on the floor.
+  collideWithObstacles(body) {
+    const { sleepVelocity } = this.options;
+    const velocity = body.velocity;
+
+    if (body.frozen) {
+      return;
+    }
+
+    this.obstacleBodies.forEach(obstacleBody => {
+      const obstacle = obstacleBody.obstacle;
+      const contact = this.findContact(obstacleBody, body);
+      if (!contact) {
+        return;
+      }
+
+      const { nx, ny, penetration } = contact;
+      body.x += nx * penetration;
+      body.y += ny * penetration;
+
+      const normalVelocity = velocity.x * nx + velocity.y * ny;
+      if (normalVelocity < 0) {
+        const bounce = obstacle.kind === 'bumper' ? obstacle.bounce : this.getRestitution(body);
+        velocity.x -= (1 + bounce) * normalVelocity * nx;
+        velocity.y -= (1 + bounce) * normalVelocity * ny;
+      }
+
+      // Standing on top of a platform or wall
+      if (obstacle.kind !== 'bumper' && ny < -0.7) {
+        this.applySurfaceFriction(body);
+        if (Math.abs(velocity.y) < this.stepGravity * 2) {
+          velocity.y = 0;
+        }
+        if (Math.abs(velocity.x) < sleepVelocity) {
+          velocity.x = 0;
+          body.angularVelocity = 0;
+        }
+      }
+    });
+  }
+
+  constrainToBounds(body, width, height) {
+    const { sleepVelocity, walls } = this.options;
+    const velocity = body.velocity;
+
+    if (body.frozen) {
+      return;
+    }
+
+    const extents = this.getExtents(body);
+    const restitution = this.getRestitution(body);
+
+    if (walls.left && body.x < extents.left) {
+      body.x = extents.left;
+      velocity.x = Math.abs(velocity.x) * restitution;
+    } else if (walls.right && body.x > width - extents.right) {
+      body.x = width - extents.right;
+      velocity.x = -Math.abs(velocity.x) * restitution;
+    }
+
+    if (walls.top && body.y < extents.top) {
+      body.y = extents.top;
+      velocity.y = Math.abs(velocity.y) * restitution;
+    } else if (walls.bottom && body.y >= height - extents.bottom && this.isAboveFloor(body, width)) {
+      body.y = height - extents.bottom;
+      velocity.y = -Math.abs(velocity.y) * restitution;
+
+      // Roll or slide along the floor instead of moving forever
+      this.applySurfaceFriction(body);
+
+      if (Math.abs(velocity.x) < sleepVelocity && Math.abs(velocity.y) < this.stepGravity * 2) {
+        velocity.x = 0;
+        velocity.y = 0;
+        body.angularVelocity = 0;
+      }
+    }
+  }
+
+  // Beyond an open side wall there is no floor either, so bodies pushed off
+  // the edge fall out of the world
+  isAboveFloor(body, width) {
+    const { walls } = this.options;
+    return (walls.left || body.x >= 0) && (walls.right || body.x <= width);
+  }
+
+  applySurfaceFriction(body) {
+    const velocity = body.velocity;
+    velocity.x *= (1 - this.getFriction(body)) ** this.stepScale;
+    body.angularVelocity = isCircle(body) ? velocity.x / this.getBoundingRadius(body) : 0;
+  }
+
+  getRestitution(body) {
+    return body.restitution ?? this.options.restitution;
+  }
+
+  getFriction(body) {
+    return body.friction ?? 1 - this.options.groundFriction;
+  }
+
+  // Radius of the smallest circle around the centre that holds the body
+  getBoundingRadius(body) {
+    if (isCircle(body)) {
+      return body.radius || this.options.bodyRadius;
+    }
+    return getOutline(body).boundingRadius;
+  }
+
+  // How far the body reaches from its centre in each direction
+  getExtents(body) {
+    if (isCircle(body)) {
+      const radius = body.radius || this.options.bodyRadius;
+      return { left: radius, right: radius, top: radius, bottom: radius };
+    }
+    return getOutline(body).extents;
+  }
+
+  // Normal (pointing from a to b) and depth of the overlap between two
+  // bodies, or null when they don't touch
+  findContact(a, b) {
+    if (isCircle(a) && isCircle(b)) {
+      return circleContact(a.x, a.y, this.getBoundingRadius(a), b.x, b.y, this.getBoundingRadius(b));
+    }
+    if (isCircle(a)) {
+      const contact = polygonCircleContact(b, getWorldVertices(b), a.x, a.y, this.getBoundingRadius(a));
+      return contact && { nx: -contact.nx, ny: -contact.ny, penetration: contact.penetration };
+    }
+    if (isCircle(b)) {
+      return polygonCircleContact(a, getWorldVertices(a), b.x, b.y, this.getBoundingRadius(b));
+    }
+    return polygonContact(a, getWorldVertices(a), b, getWorldVertices(b));
+  }
+}
+
+function isCircle(body) {
+  return !body.kind || body.kind === 'circle';
+}
+
+// Outlines of boxes and polygons, rotated by the body's angle, are cached
+// until the angle changes. A body's size never changes once it is simulated.
+const outlines = new WeakMap();
+
+function getOutline(body) {
+  const cached = outlines.get(body);
+  if (cached && cached.angle === body.angle) {
+    return cached;
+  }
+
+  const local = body.kind === 'box'
+    ? [
+      { x: -body.width / 2, y: -body.height / 2 },
+      { x: body.width / 2, y: -body.height / 2 },
+      { x: body.width / 2, y: body.height / 2 },
+      { x: -body.width / 2, y: body.height / 2 }
+    ]
+    : Array.from(body.vertices);
+  const cos = Math.cos(body.angle || 0);
+  const sin = Math.sin(body.angle || 0);
+  const offsets = local.map(vertex => ({
+    x: vertex.x * cos - vertex.y * sin,
+    y: vertex.x * sin + vertex.y * cos
+  }));
+
+  const outline = {
+    angle: body.angle,
+    offsets,
+    boundingRadius: Math.max(...offsets.map(offset => Math.hypot(offset.x, offset.y))),
+    extents: {
+      left: -Math.min(...offsets.map(offset => offset.x)),
+      right: Math.max(...offsets.map(offset => offset.x)),
+      top: -Math.min(...offsets.map(offset => offset.y)),
+      bottom: Math.max(...offsets.map(offset => offset.y))
+    }
+  };
+  outlines.set(body, outline);
+  return outline;
+}
+
+function getWorldVertices(body) {
+  return getOutline(body).offsets.map(offset => ({ x: body.x + offset.x, y: body.y + offset.y }));
+}
+
+// Overlap of two circles, the normal pointing from the first to the second
+function circleContact(ax, ay, radiusA, bx, by, radiusB) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const distance = Math.hypot(dx, dy);
+  const minDistance = radiusA + radiusB;
+  if (distance >= minDistance) {
+    return null;
+  }
+  // Two bodies at exactly the same spot are pushed apart horizontally
+  return distance > 0
+    ? { nx: dx / distance, ny: dy / distance, penetration: minDistance - distance }
+    : { nx: 1, ny: 0, penetration: minDistance };
+}
+
+function projectVertices(vertices, nx, ny) {
+  let min = Infinity;
+  let max = -Infinity;
+  vertices.forEach(vertex => {
+    const projection = vertex.x * nx + vertex.y * ny;
+    min = Math.min(min, projection);
+    max = Math.max(max, projection);
+  });
+  return { min, max };
+}
+
+// Unit normals of a convex polygon's edges
+function edgeNormals(vertices) {
+  return vertices.map((vertex, i) => {
+    const next = vertices[(i + 1) % vertices.length];
+    const length = Math.hypot(next.x - vertex.x, next.y - vertex.y) || 1;
+    return { x: (next.y - vertex.y) / length, y: -(next.x - vertex.x) / length };
+  });
+}
+
+// The axis of least overlap, or null if any axis separates the shapes.
+// `project(nx, ny)` gives both shapes' extent along an axis.
+function leastOverlap(axes, project) {
+  let best = null;
+  for (const axis of axes) {
+    const { a, b } = project(axis.x, axis.y);
+    const overlap = Math.min(a.max, b.max) - Math.max(a.min, b.min);
+    if (overlap <= 0) {
+      return null;
+    }
+    if (!best || overlap < best.penetration) {
+      best = { nx: axis.x, ny: axis.y, penetration: overlap };
+    }
+  }
+  return best;
+}
+
+// Turn the normal around if it points from b to a
+function orient(contact, a, b) {
+  if (contact && (b.x - a.x) * contact.nx + (b.y - a.y) * contact.ny < 0) {
+    contact.nx = -contact.nx;
+    contact.ny = -contact.ny;
+  }
+  return contact;
+}
+
+// Overlap of two convex polygons, the normal pointing from a to b
+function polygonContact(a, verticesA, b, verticesB) {
+  const axes = edgeNormals(verticesA).concat(edgeNormals(verticesB));
+  const contact = leastOverlap(axes, (nx, ny) => ({
+    a: projectVertices(verticesA, nx, ny),
+    b: projectVertices(verticesB, nx, ny)
+  }));
+  return orient(contact, a, b);
+}
+
+// Overlap of a convex polygon and a circle, the normal pointing from the
+// polygon to the circle
+function polygonCircleContact(polygon, vertices, cx, cy, radius) {
+  const closest = vertices.reduce((best, vertex) =>
+    Math.hypot(vertex.x - cx, vertex.y - cy) < Math.hypot(best.x - cx, best.y - cy) ? vertex : best);
+  const toCentre = Math.hypot(cx - closest.x, cy - closest.y) || 1;
+  const axes = edgeNormals(vertices).concat({ x: (cx - closest.x) / toCentre, y: (cy - closest.y) / toCentre });
+
+  const contact = leastOverlap(axes, (nx, ny) => {
+    const centre = cx * nx + cy * ny;
+    return {
+      a: projectVertices(vertices, nx, ny),
+      b: { min: centre - radius, max: centre + radius }
+    };
+  });
+  return orient(contact, polygon, { x: cx, y: cy });
+}
+
+function compareById(a, b) {
+  if (a.id < b.id) return -1;
+  if (a.id > b.id) return 1;
+  return 0;
+}
+
+module.exports = { PhysicsWorld, FIXED_TIME_STEP_MS, MAX_STEPS_PER_UPDATE, BODY_RADIUS };
@@ -0,0 +1,392 @@
+const { SHAPE_PERMISSIONS } = require('./permissions');
+const { SHAPE_KINDS, SHAPE_LIMITS } = require('./shapes');
+const { CHAT_MAX_LENGTH, EMOTES } = require('./chat');
+
+// Declarative schemas for every message a client can send to a physics_room.
+// Messages are checked against these before they reach a handler: numbers
+// must be finite, arrays are capped and fields not listed here are rejected.
+// describeProtocol() turns the same schemas into a machine-readable
+// description served at /protocol.
+
+const PROTOCOL_VERSION = 1;
+
+// Codes sent back to the client in `error` messages
+const ERROR_CODES = {
+  INVALID_MESSAGE: 'INVALID_MESSAGE', // Payload isn't an object
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  MISSING_FIELD: 'MISSING_FIELD',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  INVALID_FIELD: 'INVALID_FIELD', // Wrong type, NaN/Infinity, out of range or bad format
+  TOO_MANY_ITEMS: 'TOO_MANY_ITEMS',
+  RATE_LIMITED: 'RATE_LIMITED', // Sender exceeded the message type's rate limit
+  NOT_PERMITTED: 'NOT_PERMITTED', // Valid message, but the sender may not act on that shape; see lib/permissions.js
+  SHAPE_LIMIT_REACHED: 'SHAPE_LIMIT_REACHED', // The sender already has the room's maxShapesPerPlayer shapes
+  MUTED: 'MUTED', // A moderator muted the sender, so their chat and emotes are dropped
+  WRONG_ROLE: 'WRONG_ROLE' // Gameplay message from a spectator, or `follow` from a player
+};
+
+// Positions beyond this are nonsense no matter how large the arena is
+const COORDINATE_LIMIT = 1e6;
+
+// Limits shared by several messages
+const SHAPE_ID = { type: 'string', maxLength: 128 };
+const COORDINATE = { type: 'number', min: -COORDINATE_LIMIT, max: COORDINATE_LIMIT };
+const VECTOR = { type: 'object', fields: { x: COORDINATE, y: COORDINATE } };
+const TIMESTAMP = { type: 'timestamp' }; // Milliseconds; msgpack may decode these as BigInt
+
+// Optional number within one of the SHAPE_LIMITS ranges
+function shapeField(name) {
+  const { min, max } = SHAPE_LIMITS[name];
+  return { type: 'number', min, max, optional: true };
+}
+
+const VERTEX_COORDINATE = { type: 'number', min: SHAPE_LIMITS.vertex.min, max: SHAPE_LIMITS.vertex.max };
+
+const MESSAGE_SCHEMAS = {
+  shape_update: {
+    description: 'Client-simulated state of the sender\'s own shapes; a hint the server ignores, positions come from `input`',
+    schema: {
+      type: 'object',
+      fields: {
+        shapes: {
+          type: 'array',
+          maxItems: 20,
+          items: {
+            type: 'object',
+            fields: {
+              id: SHAPE_ID,
+              x: COORDINATE,
+              y: COORDINATE,
+              angle: { type: 'number' },
+              velocity: VECTOR,
+              angularVelocity: { type: 'number', optional: true }
+            }
+          }
+        },
+        timestamp: { ...TIMESTAMP, optional: true }
+      }
+    }
+  },
+  physics_action: {
+    description: 'Fling, grab or release a shape the sender may act on; relayed to nearby clients. `position` is a hint the server ignores',
+    schema: {
+      type: 'object',
+      fields: {
+        action: {
+          type: 'object',
+          discriminator: 'type',
+          variants: {
+            position: {
+              type: { type: 'string' },
+              shapeId: SHAPE_ID,
+              x: COORDINATE,
+              y: COORDINATE,
+              angle: { type: 'number', optional: true },
+              velocity: { ...VECTOR, optional: true },
+              timestamp: { ...TIMESTAMP, optional: true }
+            },
+            impulse: {
+              type: { type: 'string' },
+              shapeId: SHAPE_ID,
+              velocity: VECTOR,
+              timestamp: { ...TIMESTAMP, optional: true }
+            },
+            grab: {
+              type: { type: 'string' },
+              shapeId: SHAPE_ID,
+              timestamp: { ...TIMESTAMP, optional: true }
+            },
+            release: {
+              type: { type: 'string' },
+              shapeId: SHAPE_ID,
+              velocity: { ...VECTOR, optional: true }, // Throw it on release
+              timestamp: { ...TIMESTAMP, optional: true }
+            }
+          }
+        }
+      }
+    }
+  },
+  set_shape_permission: {
+    description: 'Set who else may move one of the sender\'s shapes: owner, team or anyone',
+    schema: {
+      type: 'object',
+      fields: {
+        shapeId: SHAPE_ID,
+        permission: { type: 'string', maxLength: 16, enum: SHAPE_PERMISSIONS }
+      }
+    }
+  },
+  create_shape: {
+    description: 'Spawn a shape for the sender, optionally choosing its kind, size and material (see lib/shapes.js)',
+    schema: {
+      type: 'object',
+      fields: {
+        kind: { type: 'string', maxLength: 16, enum: SHAPE_KINDS, optional: true },
+        radius: shapeField('radius'),
+        width: shapeField('width'),
+        height: shapeField('height'),
+        vertices: {
+          type: 'array',
+          maxItems: SHAPE_LIMITS.maxVertices,
+          optional: true,
+          items: { type: 'object', fields: { x: VERTEX_COORDINATE, y: VERTEX_COORDINATE } }
+        },
+        mass: shapeField('mass'),
+        restitution: shapeField('restitution'),
+        friction: shapeField('friction')
+      }
+    }
+  },
+  remove_shape: {
+    description: 'Remove one of the sender\'s shapes',
+    schema: { type: 'object', fields: { shapeId: SHAPE_ID } }
+  },
+  input: {
+    description: 'Fling input, applied on the next simulation step and acknowledged through Player.lastProcessedInput',
+    schema: {
+      type: 'object',
+      fields: {
+        seq: { type: 'integer', min: 0 },
+        tick: { type: 'integer', min: 0 },
+        fling: VECTOR,
+        shapeId: { ...SHAPE_ID, optional: true }
+      }
+    }
+  },
+  change_block_color: {
+    description: 'Recolor all of the sender\'s shapes',
+    schema: {
+      type: 'object',
+      fields: { color: { type: 'string', maxLength: 7, pattern: /^#[0-9A-Fa-f]{6}$/ } }
+    }
+  },
+  chat: {
+    description: 'Say something to everyone in the room; broadcast as `chat` after the word filter',
+    schema: {
+      type: 'object',
+      fields: { text: { type: 'string', maxLength: CHAT_MAX_LENGTH } }
+    }
+  },
+  emote: {
+    description: 'Show a quick emote, optionally above one of the sender\'s shapes',
+    schema: {
+      type: 'object',
+      fields: {
+        emote: { type: 'string', maxLength: 32, enum: EMOTES },
+        shapeId: { ...SHAPE_ID, optional: true }
+      }
+    }
+  },
+  follow: {
+    description: 'Spectators only: center the area of interest on a player\'s fish, or on the whole arena without playerId; answered with `following`',
+    schema: {
+      type: 'object',
+      fields: { playerId: { type: 'string', maxLength: 128, optional: true } }
+    }
+  },
+  ping: {
+    description: 'Keep-alive; answered with `pong` echoing clientTime',
+    schema: {
+      type: 'object',
+      fields: {
+        clientTime: { ...TIMESTAMP, optional: true },
+        timestamp: { ...TIMESTAMP, optional: true }
+      }
+    }
+  },
+  pong: {
+    description: 'Reply to a server `ping`, used to measure round-trip time',
+    schema: { type: 'object', fields: { timestamp: TIMESTAMP } }
+  },
+  time_sync: {
+    description: 'Clock sync request; answered with `time_sync`',
+    schema: { type: 'object', fields: { clientTime: TIMESTAMP } }
+  }
+};
+
+class MessageValidationError extends Error {
+  constructor(code, path, message) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'MessageValidationError';
+    this.code = code;
+    this.path = path;
+  }
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkRange(spec, value, path) {
+  if (spec.min !== undefined && value < spec.min) {
+    throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, `must be at least ${spec.min}`);
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, `must be at most ${spec.max}`);
+  }
+}
+
+function validateFields(fields, value, path) {
+  if (!isPlainObject(value)) {
+    throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, 'must be an object');
+  }
+
+  Object.keys(value).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      throw new MessageValidationError(ERROR_CODES.UNKNOWN_FIELD, joinPath(path, key), 'is not a known field');
+    }
+  });
+
+  const result = {};
+  Object.entries(fields).forEach(([key, fieldSpec]) => {
+    const fieldPath = joinPath(path, key);
+    if (value[key] === undefined || value[key] === null) {
+      if (!fieldSpec.optional) {
+        throw new MessageValidationError(ERROR_CODES.MISSING_FIELD, fieldPath, 'is required');
+      }
+      return;
+    }
+    result[key] = validateValue(fieldSpec, value[key], fieldPath);
+  });
+  return result;
+}
+
+// Check a value against its spec and return the cleaned-up value
+function validateValue(spec, value, path) {
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, 'must be a finite number');
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, 'must be an integer');
+      }
+      checkRange(spec, value, path);
+      return value;
+
+    case 'timestamp': {
+      const timestamp = typeof value === 'bigint' ? Number(value) : value;
+      if (typeof timestamp !== 'number' || !Number.isFinite(timestamp) || timestamp < 0) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, 'must be a timestamp in milliseconds');
+      }
+      return timestamp;
+    }
+
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, 'must be a non-empty string');
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, `must be at most ${spec.maxLength} characters`);
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, `must match ${spec.pattern}`);
+      }
+      if (spec.enum && !spec.enum.includes(value)) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, `must be one of ${spec.enum.join(', ')}`);
+      }
+      return value;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, 'must be true or false');
+      }
+      return value;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, path, 'must be an array');
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        throw new MessageValidationError(ERROR_CODES.TOO_MANY_ITEMS, path, `must have at most ${spec.maxItems} items`);
+      }
+      return value.map((item, index) => validateValue(spec.items, item, joinPath(path, index)));
+
+    case 'object': {
+      if (!spec.variants) {
+        return validateFields(spec.fields, value, path);
+      }
+
+      // Objects with variants pick their fields by the discriminator value
+      const variant = isPlainObject(value) ? value[spec.discriminator] : undefined;
+      if (typeof variant !== 'string' || !Object.prototype.hasOwnProperty.call(spec.variants, variant)) {
+        throw new MessageValidationError(ERROR_CODES.INVALID_FIELD, joinPath(path, spec.discriminator),
+          `must be one of ${Object.keys(spec.variants).join(', ')}`);
+      }
+      return validateFields(spec.variants[variant], value, path);
+    }
+
+    default:
+      throw new Error(`Unknown schema type ${spec.type} at ${path}`);
+  }
+}
+
+// Validate a client message. Returns { value } with the cleaned-up message,
+// or { error } describing the first problem found.
+function validateMessage(type, message) {
+  const entry = MESSAGE_SCHEMAS[type];
+  if (!entry) {
+    return { error: new MessageValidationError(ERROR_CODES.UNKNOWN_MESSAGE_TYPE, '', `Unknown message type ${type}`) };
+  }
+
+  // Messages whose fields are all optional may be sent without a payload
+  const payload = message === undefined || message === null ? {} : message;
+  if (!isPlainObject(payload)) {
+    return { error: new MessageValidationError(ERROR_CODES.INVALID_MESSAGE, '', 'Message must be an object') };
+  }
+
+  try {
+    return { value: validateValue(entry.schema, payload, '') };
+  } catch (error) {
+    if (error instanceof MessageValidationError) {
+      return { error };
+    }
+    throw error;
+  }
+}
+
+// JSON-friendly copy of a schema (regular expressions become strings)
+function describeSchema(spec) {
+  const description = {};
+  Object.entries(spec).forEach(([key, value]) => {
+    if (value instanceof RegExp) {
+      description[key] = value.source;
+    } else if (key === 'fields' || key === 'variants') {
+      description[key] = Object.fromEntries(Object.entries(value).map(([name, child]) => [
+        name,
+        key === 'variants' ? describeSchema({ type: 'object', fields: child }).fields : describeSchema(child)
+      ]));
+    } else if (key === 'items') {
+      description[key] = describeSchema(value);
+    } else {
+      description[key] = value;
+    }
+  });
+  return description;
+}
+
+function describeProtocol() {
+  return {
+    version: PROTOCOL_VERSION,
+    messages: Object.fromEntries(Object.entries(MESSAGE_SCHEMAS).map(([type, entry]) => [
+      type,
+      { description: entry.description, schema: describeSchema(entry.schema) }
+    ])),
+    errors: {
+      message: 'error',
+      fields: { code: 'string', type: 'string', path: 'string', message: 'string' },
+      codes: Object.values(ERROR_CODES)
+    }
+  };
+}
+
+module.exports = { PROTOCOL_VERSION, ERROR_CODES, MESSAGE_SCHEMAS, MessageValidationError, validateValue, validateMessage, describeProtocol };
@@ -0,0 +1,145 @@
+// Per-client flood protection. Every message type has a token bucket: it
+// holds up to `burst` tokens, refills at `perSecond` and each message takes
+// one. Messages arriving at an empty bucket are either dropped or, for
+// state-style messages where only the newest one matters, coalesced into a
+// single pending message applied once a token frees up.
+
+// Defaults per message type; rooms can override them with the `rateLimits`
+// creation option. `*` covers message types without an entry of their own.
+const DEFAULT_RATE_LIMITS = {
+  shape_update: { perSecond: 30, burst: 30, onExceed: 'coalesce' },
+  physics_action: { perSecond: 20, burst: 10, onExceed: 'drop' },
+  set_shape_permission: { perSecond: 2, burst: 5, onExceed: 'drop' },
+  input: { perSecond: 60, burst: 30, onExceed: 'drop' },
+  create_shape: { perSecond: 2, burst: 5, onExceed: 'drop' },
+  remove_shape: { perSecond: 2, burst: 5, onExceed: 'drop' },
+  change_block_color: { perSecond: 2, burst: 5, onExceed: 'drop' },
+  chat: { perSecond: 0.5, burst: 3, onExceed: 'drop' },
+  emote: { perSecond: 1, burst: 3, onExceed: 'drop' },
+  follow: { perSecond: 2, burst: 5, onExceed: 'drop' },
+  ping: { perSecond: 5, burst: 5, onExceed: 'drop' },
+  pong: { perSecond: 5, burst: 5, onExceed: 'drop' },
+  time_sync: { perSecond: 10, burst: 20, onExceed: 'drop' },
+  '*': { perSecond: 5, burst: 10, onExceed: 'drop' }
+};
+
+// A client whose dropped messages outpace this decay long enough is
+// disconnected. Coalescing is the expected outcome for clients that send
+// state faster than the limit, so it doesn't count.
+const DEFAULT_OFFENDER_THRESHOLDS = {
+  kickScore: 200, // Dropped messages, net of decay
+  decayPerSecond: 10
+};
+
+class TokenBucket {
+  constructor(perSecond, burst, now = Date.now()) {
+    this.perSecond = perSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = now;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.perSecond);
+    this.lastRefill = now;
+  }
+
+  take(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  // Milliseconds until the next token is available
+  getRetryAfterMs() {
+    return Math.ceil(Math.max(0, 1 - this.tokens) / this.perSecond * 1000);
+  }
+}
+
+// Rate limits for one client
+class RateLimiter {
+  constructor(limits = DEFAULT_RATE_LIMITS, thresholds = {}) {
+    this.limits = limits;
+    this.thresholds = { ...DEFAULT_OFFENDER_THRESHOLDS, ...thresholds };
+    this.buckets = new Map(); // message type -> TokenBucket
+    this.offenderScore = 0;
+    this.lastDecay = Date.now();
+    this.counters = { allowed: 0, dropped: 0, coalesced: 0 };
+  }
+
+  // Types without a limit of their own, including made-up ones like
+  // `__proto__`, share the `*` limit
+  hasOwnLimit(type) {
+    return Object.prototype.hasOwnProperty.call(this.limits, type);
+  }
+
+  getLimit(type) {
+    return this.hasOwnLimit(type) ? this.limits[type] : this.limits['*'];
+  }
+
+  getBucket(type, now) {
+    const key = this.hasOwnLimit(type) ? type : '*';
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      const limit = this.getLimit(type);
+      bucket = new TokenBucket(limit.perSecond, limit.burst, now);
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  // Try to admit a message. Returns "allow", or how an excess message of
+  // this type should be handled: "drop" or "coalesce".
+  check(type, now = Date.now()) {
+    if (this.getBucket(type, now).take(now)) {
+      this.counters.allowed++;
+      return 'allow';
+    }
+
+    if (this.getLimit(type).onExceed === 'coalesce') {
+      this.counters.coalesced++;
+      return 'coalesce';
+    }
+
+    this.decay(now);
+    this.offenderScore++;
+    this.counters.dropped++;
+    return 'drop';
+  }
+
+  // Take a token for a message that was coalesced earlier, without
+  // counting anything against the client
+  tryTake(type, now = Date.now()) {
+    return this.getBucket(type, now).take(now);
+  }
+
+  getRetryAfterMs(type) {
+    return this.getBucket(type, Date.now()).getRetryAfterMs();
+  }
+
+  isOffender(now = Date.now()) {
+    this.decay(now);
+    return this.offenderScore >= this.thresholds.kickScore;
+  }
+
+  decay(now) {
+    const elapsed = Math.max(0, now - this.lastDecay) / 1000;
+    this.offenderScore = Math.max(0, this.offenderScore - elapsed * this.thresholds.decayPerSecond);
+    this.lastDecay = now;
+  }
+}
+
+// Defaults with a room's overrides applied on top, per message type
+function mergeRateLimits(overrides = {}) {
+  const limits = {};
+  Object.entries(DEFAULT_RATE_LIMITS).forEach(([type, limit]) => {
+    limits[type] = { ...limit, ...(overrides[type] || {}) };
+  });
+  return limits;
+}
+
+module.exports = { DEFAULT_RATE_LIMITS, DEFAULT_OFFENDER_THRESHOLDS, TokenBucket, RateLimiter, mergeRateLimits };
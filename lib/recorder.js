@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Match recordings are newline-delimited JSON, one event per line. Every
+// event carries the simulation `tick` it happened at and `at`, milliseconds
+// since recording started:
+//
+//   header     { version, roomId, startedAt, config }   always the first line
+//   join       { sessionId, playerId, player }           player as in PhysicsState.toSnapshot()
+//   leave      { sessionId, playerId, consented, kicked }
+//   reconnect  { sessionId, playerId }
+//   remove     { playerId }
+//   message    { sessionId, type, message, rtt }         accepted (validated) client messages
+//   shape_created { playerId, shape }                    shape as in PhysicsState.getShapeSnapshot()
+//   shape_reset { playerId, shapeId, x, y }              shape put back at a spawn point, at rest
+//   keyframe   { state }                                 full PhysicsState.toSnapshot()
+//   end        {}
+//
+// A message recorded at tick T was handled after step T and before step
+// T + 1, which is what lets lib/replay.js feed it back at the same point.
+// A create_shape message that made a shape is followed by shape_created with
+// the shape's random ID and spawn point; replays apply that one instead.
+// Likewise shape_reset carries the random spawn point a reset shape got.
+
+const RECORDING_VERSION = 3;
+
+// Seconds between full-state keyframes
+const DEFAULT_KEYFRAME_INTERVAL_SECONDS = 5;
+
+class MatchRecorder {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.startedAt = Date.now();
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      logger.error(`Recording to ${filePath} failed:`, error.message);
+      this.stream = null;
+    });
+  }
+
+  record(event, tick, data = {}) {
+    if (!this.stream) {
+      return;
+    }
+    this.stream.write(JSON.stringify({ event, tick, at: Date.now() - this.startedAt, ...data }) + '\n');
+  }
+
+  // Finish the file; resolves once everything is on disk
+  close() {
+    return new Promise((resolve) => {
+      if (!this.stream) {
+        resolve();
+        return;
+      }
+      this.stream.end(resolve);
+      this.stream = null;
+    });
+  }
+}
+
+// A recorder for this room if RECORDINGS_DIR is set, otherwise null
+function createMatchRecorder(roomId, env = process.env) {
+  const directory = env.RECORDINGS_DIR;
+  if (!directory) {
+    return null;
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return new MatchRecorder(path.join(directory, `${roomId}-${stamp}.ndjson`));
+}
+
+// Keyframe interval from RECORDING_KEYFRAME_SECONDS, falling back to the default
+function getKeyframeIntervalSeconds(env = process.env) {
+  const seconds = Number(env.RECORDING_KEYFRAME_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_KEYFRAME_INTERVAL_SECONDS;
+}
+
+module.exports = { RECORDING_VERSION, MatchRecorder, createMatchRecorder, getKeyframeIntervalSeconds };
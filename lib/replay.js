@@ -0,0 +1,214 @@
+const fs = require('fs');
+const { PhysicsRoom } = require('../rooms/PhysicsRoom');
+const { RECORDING_VERSION } = require('./recorder');
+
+// Feeds a match recording (see lib/recorder.js) back through a headless
+// PhysicsRoom: no sockets, timers or matchmaking, just the same handlers and
+// simulation steps in the same order. At every recorded keyframe the
+// reconstructed state is compared with the recorded one.
+
+// Stand-in for a connected client; everything sent to it is discarded
+class ReplayClient {
+  constructor(sessionId, playerId) {
+    this.sessionId = sessionId;
+    this.id = sessionId;
+    this.auth = { playerId };
+    this.userData = {};
+    this.readyState = 1; // WebSocket.OPEN
+  }
+
+  send() {}
+
+  enqueueRaw() {}
+
+  raw() {}
+
+  leave() {}
+}
+
+function readRecording(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+}
+
+function indexShapes(snapshot) {
+  const shapes = new Map();
+  snapshot.players.forEach(player => {
+    player.shapes.forEach(shape => shapes.set(shape.id, shape));
+  });
+  return shapes;
+}
+
+// How far the reconstructed state is from the recorded one
+function diffSnapshots(expected, actual) {
+  const expectedShapes = indexShapes(expected);
+  const actualShapes = indexShapes(actual);
+
+  let maxPositionError = 0;
+  const missingShapes = [];
+  expectedShapes.forEach((shape, shapeId) => {
+    const replayed = actualShapes.get(shapeId);
+    if (!replayed) {
+      missingShapes.push(shapeId);
+      return;
+    }
+    maxPositionError = Math.max(maxPositionError, Math.hypot(replayed.x - shape.x, replayed.y - shape.y));
+  });
+
+  const extraShapes = [];
+  actualShapes.forEach((shape, shapeId) => {
+    if (!expectedShapes.has(shapeId)) {
+      extraShapes.push(shapeId);
+    }
+  });
+
+  return { maxPositionError, missingShapes, extraShapes };
+}
+
+// Put every shape the keyframe knows about back where the recording says it
+// was. Server-side corrections that aren't recorded as events would otherwise
+// add up over a long match.
+function applyKeyframe(room, snapshot) {
+  const shapes = indexShapes(snapshot);
+  room.state.getAllShapes().forEach(shape => {
+    const recorded = shapes.get(shape.id);
+    if (recorded) {
+      shape.setPosition(recorded.x, recorded.y, recorded.angle);
+      shape.setVelocity(recorded.velocity.x, recorded.velocity.y);
+      shape.angularVelocity = recorded.angularVelocity;
+    }
+  });
+}
+
+// Replay a recording. `onFrame` is called at every keyframe with
+// { tick, at, state, divergence }. With `resync` (the default) the room is
+// corrected to each keyframe after comparing, so one divergence doesn't
+// smear across the rest of the match.
+async function replayRecording(entries, { onFrame = () => {}, resync = true } = {}) {
+  const [header] = entries;
+  if (!header || header.event !== 'header') {
+    throw new Error('Recording does not start with a header');
+  }
+  if (header.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${header.version}`);
+  }
+
+  const room = new PhysicsRoom();
+  room.headless = true;
+  room.autoDispose = false; // Never registered with the matchmaker, so nothing disposes it
+  room.roomId = header.roomId;
+  room.setPatchRate(null);
+  await room.onCreate({ ...header.config, private: false });
+
+  const clients = new Map(); // sessionId -> ReplayClient
+  let maxPositionError = 0;
+  let frames = 0;
+
+  const removeClient = (sessionId) => {
+    const index = room.clients.findIndex(c => c.sessionId === sessionId);
+    if (index !== -1) {
+      room.clients.splice(index, 1);
+    }
+    clients.delete(sessionId);
+  };
+
+  try {
+    for (const entry of entries.slice(1)) {
+      // Events recorded at tick T happened after step T
+      while (room.state.tick < entry.tick) {
+        room.stepSimulation();
+      }
+
+      switch (entry.event) {
+        case 'join': {
+          const client = new ReplayClient(entry.sessionId, entry.playerId);
+          clients.set(entry.sessionId, client);
+          room.clients.push(client);
+          room.onJoin(client, {});
+          // Spawn positions and colors are random; use the recorded ones
+          room.state.restorePlayer(entry.player);
+          break;
+        }
+
+        case 'leave':
+          removeClient(entry.sessionId);
+          room.state.releaseShapesHeldBy(entry.playerId);
+          if (!entry.consented && !entry.kicked) {
+            room.state.markPlayerConnected(entry.playerId, false);
+            room.pendingInputs.delete(entry.playerId);
+          }
+          break;
+
+        case 'reconnect': {
+          const client = new ReplayClient(entry.sessionId, entry.playerId);
+          clients.set(entry.sessionId, client);
+          room.clients.push(client);
+          room.state.markPlayerConnected(entry.playerId, true);
+          break;
+        }
+
+        case 'remove':
+          room.removePlayerFromRoom(entry.playerId);
+          break;
+
+        case 'message': {
+          // Shapes come from the shape_created events instead, with the ID
+          // and spawn point they got in the recorded match
+          if (entry.type === 'create_shape') {
+            break;
+          }
+          const client = clients.get(entry.sessionId);
+          const handler = room.messageHandlers.get(entry.type);
+          if (client && handler) {
+            client.userData.rtt = entry.rtt;
+            handler(client, entry.message);
+          }
+          break;
+        }
+
+        case 'shape_created': {
+          const player = room.state.getPlayer(entry.playerId);
+          if (player) {
+            room.state.restoreShape(player, entry.shape);
+          }
+          break;
+        }
+
+        case 'shape_reset': {
+          // The replayed room reset the shape too, but to a random spawn point
+          const found = room.state.findShape(entry.shapeId);
+          if (found) {
+            found.shape.setPosition(entry.x, entry.y, 0);
+            found.shape.setVelocity(0, 0);
+            found.shape.angularVelocity = 0;
+          }
+          break;
+        }
+
+        case 'keyframe': {
+          const state = room.state.toSnapshot();
+          const divergence = diffSnapshots(entry.state, state);
+          maxPositionError = Math.max(maxPositionError, divergence.maxPositionError);
+          frames++;
+          onFrame({ tick: entry.tick, at: entry.at, state, divergence });
+          if (resync) {
+            applyKeyframe(room, entry.state);
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+    }
+  } finally {
+    room.clock.clear();
+    room.setPatchRate(null);
+  }
+
+  return { roomId: header.roomId, ticks: room.state.tick, frames, maxPositionError };
+}
+
+module.exports = { ReplayClient, readRecording, diffSnapshots, replayRecording };
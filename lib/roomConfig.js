@@ -0,0 +1,207 @@
+const { DEFAULT_RATE_LIMITS } = require('./rateLimiter');
+const { SHAPE_PERMISSIONS } = require('./permissions');
+const { GAME_MODES } = require('./gameModes');
+const { DEFAULT_THRESHOLDS } = require('../stateValidator');
+
+// Matchmaking buckets. Fixed lists, so clients can't spread rooms over names
+// of their own choosing.
+const ROOM_MODES = ['sandbox', 'casual', 'competitive'];
+const REGIONS = ['global', 'na', 'sa', 'eu', 'asia', 'oceania'];
+
+// Options a physics_room can be created with. Each entry describes the
+// allowed values, the built-in default and the environment variable that
+// overrides that default for every room on this server.
+const ROOM_OPTIONS_SCHEMA = {
+  mode: { type: 'string', maxLength: 32, enum: ROOM_MODES, default: 'sandbox', env: 'ROOM_DEFAULT_MODE' },
+  region: { type: 'string', maxLength: 32, enum: REGIONS, default: 'global', env: 'ROOM_DEFAULT_REGION' },
+  private: { type: 'boolean', default: false },
+  persist: { type: 'boolean', default: false }, // Private rooms only; see PhysicsRoom.resolvePersistKey()
+  maxClients: { type: 'integer', min: 2, max: 500, default: 200, env: 'ROOM_MAX_CLIENTS' }, // Player seats
+  maxSpectators: { type: 'integer', min: 0, max: 500, default: 20, env: 'ROOM_MAX_SPECTATORS' }, // Seats on top of maxClients
+  boundaryWidth: { type: 'number', min: 800, max: 10000, default: 2400, env: 'ROOM_BOUNDARY_WIDTH' },
+  boundaryHeight: { type: 'number', min: 600, max: 10000, default: 1800, env: 'ROOM_BOUNDARY_HEIGHT' },
+  gravity: { type: 'number', min: 0, max: 2, default: 0.28, env: 'ROOM_GRAVITY' }, // Pixels per 1/60 s, per 1/60 s, at any tick rate
+  tickRate: { type: 'integer', min: 20, max: 120, default: 60, env: 'ROOM_TICK_RATE' }, // Simulation steps per second; doesn't change game speed
+  maxShapesPerPlayer: { type: 'integer', min: 1, max: 20, default: 5, env: 'ROOM_MAX_SHAPES_PER_PLAYER' }, // Enforced on `create_shape`
+  outOfBoundsMargin: { type: 'number', min: 0, max: 400, default: 100, env: 'ROOM_OUT_OF_BOUNDS_MARGIN' }, // Shapes further out are reset
+  interestRadius: { type: 'number', min: 200, max: 10000, default: 900, env: 'ROOM_INTEREST_RADIUS' },
+  shapePermission: { type: 'string', maxLength: 16, enum: SHAPE_PERMISSIONS, default: 'owner', env: 'ROOM_SHAPE_PERMISSION' }, // For new shapes; see lib/permissions.js
+  gameMode: { type: 'string', maxLength: 32, enum: Object.keys(GAME_MODES), default: 'sandbox', env: 'ROOM_GAME_MODE' }, // See lib/gameModes.js
+  roundSeconds: { type: 'integer', min: 30, max: 1800, default: 180, env: 'ROOM_ROUND_SECONDS' },
+  countdownSeconds: { type: 'integer', min: 0, max: 30, default: 5, env: 'ROOM_COUNTDOWN_SECONDS' },
+  resultsSeconds: { type: 'integer', min: 1, max: 60, default: 10, env: 'ROOM_RESULTS_SECONDS' },
+  minPlayers: { type: 'integer', min: 1, max: 50, default: 2, env: 'ROOM_MIN_PLAYERS' }, // Connected players needed to start a round
+  scoreLimit: { type: 'integer', min: 0, max: 1000, default: 0, env: 'ROOM_SCORE_LIMIT' }, // Ends the round early; 0 for no limit
+  level: { type: 'string', maxLength: 64, default: null, env: 'ROOM_LEVEL' }, // File in levels/; see lib/levels.js
+  chatHistorySize: { type: 'integer', min: 0, max: 100, default: 20, env: 'ROOM_CHAT_HISTORY_SIZE' }, // Chat messages sent to joining players
+  reconnectionGraceSeconds: { type: 'integer', min: 0, max: 600, default: 60, env: 'ROOM_RECONNECTION_GRACE_SECONDS' },
+  snapshotIntervalSeconds: { type: 'integer', min: 5, max: 3600, default: 30, env: 'ROOM_SNAPSHOT_INTERVAL_SECONDS' },
+  rateLimits: { type: 'rateLimits', default: {} }, // Per message type overrides of DEFAULT_RATE_LIMITS
+  validationThresholds: { type: 'validationThresholds', default: {} } // Overrides of the StateValidator's DEFAULT_THRESHOLDS
+};
+
+// Allowed values inside a `rateLimits` override
+const RATE_LIMIT_RANGES = {
+  perSecond: { type: 'number', min: 0.1, max: 1000 },
+  burst: { type: 'integer', min: 1, max: 1000 }
+};
+
+// Allowed values inside a `validationThresholds` override
+const VALIDATION_THRESHOLD_RANGES = {
+  maxVelocity: { type: 'number', min: 1, max: 1000 }, // Per axis, pixels per step
+  warnScore: { type: 'number', min: 1, max: 10000 },
+  kickScore: { type: 'number', min: 1, max: 10000 },
+  decayPerSecond: { type: 'number', min: 0, max: 1000 }
+};
+
+class RoomConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid room options: ${errors.join('; ')}`);
+    this.name = 'RoomConfigError';
+    this.errors = errors;
+  }
+}
+
+// Environment values are strings; convert them to the option's type
+function parseEnvValue(spec, raw) {
+  switch (spec.type) {
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : raw;
+    case 'string':
+      return raw;
+    default:
+      return raw.trim() === '' ? raw : Number(raw);
+  }
+}
+
+// Why a value doesn't satisfy its spec, or null when it does
+function checkValue(spec, value) {
+  switch (spec.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) return 'must be a non-empty string';
+      if (value.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+      if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.join(', ')}`;
+      return null;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a finite number';
+      if (spec.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+      if (value < spec.min || value > spec.max) return `must be between ${spec.min} and ${spec.max}`;
+      return null;
+    case 'rateLimits':
+      return checkRateLimits(value);
+    case 'validationThresholds':
+      return checkValidationThresholds(value);
+    default:
+      return `has unknown type ${spec.type}`;
+  }
+}
+
+// e.g. { shape_update: { perSecond: 20, burst: 20 }, ping: { onExceed: 'drop' } }
+function checkRateLimits(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object keyed by message type';
+  }
+
+  for (const [type, limit] of Object.entries(value)) {
+    if (!DEFAULT_RATE_LIMITS[type]) {
+      return `has an unknown message type ${type}`;
+    }
+    if (limit === null || typeof limit !== 'object' || Array.isArray(limit)) {
+      return `${type} must be an object`;
+    }
+    for (const [field, fieldValue] of Object.entries(limit)) {
+      if (field === 'onExceed') {
+        if (fieldValue !== 'drop' && fieldValue !== 'coalesce') {
+          return `${type}.onExceed must be drop or coalesce`;
+        }
+        continue;
+      }
+      if (!RATE_LIMIT_RANGES[field]) {
+        return `${type} has an unknown field ${field}`;
+      }
+      const problem = checkValue(RATE_LIMIT_RANGES[field], fieldValue);
+      if (problem) {
+        return `${type}.${field} ${problem}`;
+      }
+    }
+  }
+  return null;
+}
+
+// e.g. { maxVelocity: 30, kickScore: 50 }
+function checkValidationThresholds(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object';
+  }
+
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (!VALIDATION_THRESHOLD_RANGES[field]) {
+      return `has an unknown field ${field}`;
+    }
+    const problem = checkValue(VALIDATION_THRESHOLD_RANGES[field], fieldValue);
+    if (problem) {
+      return `${field} ${problem}`;
+    }
+  }
+
+  // Warning only makes sense before the kick
+  const { warnScore, kickScore } = { ...DEFAULT_THRESHOLDS, ...value };
+  if (warnScore >= kickScore) {
+    return `warnScore (${warnScore}) must be below kickScore (${kickScore})`;
+  }
+  return null;
+}
+
+// Defaults for every option, with environment overrides applied
+function getDefaults(env = process.env) {
+  const defaults = {};
+  const errors = [];
+
+  Object.entries(ROOM_OPTIONS_SCHEMA).forEach(([name, spec]) => {
+    let value = spec.default;
+    if (spec.env && env[spec.env] !== undefined) {
+      value = parseEnvValue(spec, env[spec.env]);
+      const problem = checkValue(spec, value);
+      if (problem) {
+        errors.push(`${spec.env} ${problem}`);
+        return;
+      }
+    }
+    defaults[name] = value;
+  });
+
+  if (errors.length > 0) {
+    throw new RoomConfigError(errors);
+  }
+  return defaults;
+}
+
+// Effective config for a new room. Options not in the schema (join options
+// such as `token` arrive here too) are ignored; invalid ones are collected
+// and thrown together as a RoomConfigError.
+function resolveRoomConfig(options = {}, env = process.env) {
+  const config = getDefaults(env);
+  const errors = [];
+
+  Object.entries(ROOM_OPTIONS_SCHEMA).forEach(([name, spec]) => {
+    if (options[name] === undefined || options[name] === null) {
+      return;
+    }
+    const problem = checkValue(spec, options[name]);
+    if (problem) {
+      errors.push(`${name} ${problem}`);
+    } else {
+      config[name] = options[name];
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new RoomConfigError(errors);
+  }
+  return config;
+}
+
+module.exports = { ROOM_MODES, REGIONS, ROOM_OPTIONS_SCHEMA, RoomConfigError, getDefaults, resolveRoomConfig };
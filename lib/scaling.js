@@ -0,0 +1,65 @@
+const { LocalPresence, LocalDriver, RedisPresence, RedisDriver } = require('colyseus');
+const logger = require('./logger');
+
+// Presence (pub/sub and shared keys) and matchmaking driver (the room
+// listings) for the Colyseus server. With the default `local` backends one
+// process is on its own; with `redis` every process pointed at the same Redis
+// shares matchmaking, and clients are routed to the process that owns a room
+// through its public address.
+//
+// Environment:
+//   PRESENCE        local | redis (default: redis when REDIS_URL is set)
+//   DRIVER          local | redis (default: same as PRESENCE)
+//   REDIS_URL       e.g. redis://localhost:6379
+//   PUBLIC_ADDRESS  host[:port][/path] clients can reach this process at
+
+const BACKENDS = ['local', 'redis'];
+
+class ScalingConfigError extends Error {}
+
+function resolveBackend(name, value, fallback) {
+  const backend = value || fallback;
+  if (!BACKENDS.includes(backend)) {
+    throw new ScalingConfigError(`${name} must be one of ${BACKENDS.join(', ')}, got "${backend}"`);
+  }
+  return backend;
+}
+
+function getScalingConfig(env = process.env) {
+  const presence = resolveBackend('PRESENCE', env.PRESENCE, env.REDIS_URL ? 'redis' : 'local');
+  const driver = resolveBackend('DRIVER', env.DRIVER, presence);
+  const redisUrl = env.REDIS_URL || 'redis://localhost:6379';
+
+  // A shared driver with per-process presence would list rooms no other
+  // process can reach, and the reverse can't find rooms at all
+  if (presence !== driver) {
+    throw new ScalingConfigError(`PRESENCE (${presence}) and DRIVER (${driver}) must use the same backend`);
+  }
+
+  return {
+    presence,
+    driver,
+    redisUrl,
+    publicAddress: env.PUBLIC_ADDRESS || undefined
+  };
+}
+
+// Options for `new Server()`: presence, driver and publicAddress
+function createScalingOptions(env = process.env) {
+  const config = getScalingConfig(env);
+
+  if (config.presence === 'redis') {
+    logger.log(`Sharing presence and matchmaking through ${config.redisUrl.replace(/\/\/[^@]*@/, '//***@')}`);
+  }
+  if (config.presence === 'redis' && !config.publicAddress) {
+    logger.warn('PUBLIC_ADDRESS is not set: clients will connect to rooms on other processes through this one\'s address');
+  }
+
+  return {
+    presence: config.presence === 'redis' ? new RedisPresence(config.redisUrl) : new LocalPresence(),
+    driver: config.driver === 'redis' ? new RedisDriver(config.redisUrl) : new LocalDriver(),
+    publicAddress: config.publicAddress
+  };
+}
+
+module.exports = { ScalingConfigError, getScalingConfig, createScalingOptions };
@@ -0,0 +1,175 @@
+const { BODY_RADIUS } = require('./physics');
+
+// What a shape's body can be. Players pick the kind, size and material when
+// they send `create_shape`; anything outside these limits is rejected, and
+// fields left out get the defaults below.
+//
+//   circle   { radius }
+//   box      { width, height }
+//   polygon  { vertices: [{ x, y }, ...] }  up to 8 points around the centre;
+//            the server keeps their convex hull, centred on its centroid
+//
+// Material, for every kind:
+//   mass         heavier bodies push lighter ones around
+//   restitution  bounciness, 0 (none) to 1 (keeps all its speed)
+//   friction     share of sliding speed lost per step on the floor or an obstacle
+
+const SHAPE_KINDS = ['circle', 'box', 'polygon'];
+
+const SHAPE_LIMITS = {
+  radius: { min: 10, max: 80 },
+  width: { min: 20, max: 160 },
+  height: { min: 20, max: 160 },
+  vertex: { min: -80, max: 80 }, // Each vertex coordinate, relative to the centre
+  maxVertices: 8,
+  mass: { min: 0.25, max: 4 },
+  restitution: { min: 0, max: 1 },
+  friction: { min: 0, max: 1 }
+};
+
+// Polygons thinner than this are rejected rather than simulated
+const MIN_POLYGON_AREA = 300;
+
+// Box size when only the kind is given
+const DEFAULT_BOX_SIZE = 60;
+
+// Every fish before shape kinds existed, and still the default
+const DEFAULT_BODY = {
+  kind: 'circle',
+  radius: BODY_RADIUS,
+  width: 0,
+  height: 0,
+  vertices: [],
+  mass: 1,
+  restitution: 0.5,
+  friction: 0.1
+};
+
+// Size fields that go with each kind
+const KIND_FIELDS = {
+  circle: ['radius'],
+  box: ['width', 'height'],
+  polygon: ['vertices']
+};
+
+class ShapeSpecError extends Error {
+  constructor(path, message) {
+    super(`${path}: ${message}`);
+    this.name = 'ShapeSpecError';
+    this.path = path;
+  }
+}
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+// Convex hull of a set of points (Andrew's monotone chain), without
+// collinear points
+function convexHull(points) {
+  const sorted = points
+    .map(point => ({ x: point.x, y: point.y }))
+    .sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) {
+    return sorted;
+  }
+
+  const lower = [];
+  sorted.forEach(point => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+      lower.pop();
+    }
+    lower.push(point);
+  });
+
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const point = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+      upper.pop();
+    }
+    upper.push(point);
+  }
+
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+// Signed area and centroid of a simple polygon
+function polygonCentroid(vertices) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  vertices.forEach((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    const step = a.x * b.y - b.x * a.y;
+    area += step;
+    cx += (a.x + b.x) * step;
+    cy += (a.y + b.y) * step;
+  });
+  area /= 2;
+  return area === 0 ? { area: 0, x: 0, y: 0 } : { area, x: cx / (6 * area), y: cy / (6 * area) };
+}
+
+// Turn `create_shape` options (already checked against the message schema
+// in lib/protocol.js) into a complete body. Throws a ShapeSpecError for
+// combinations the schema can't express.
+function resolveShapeBody(options = {}) {
+  const kind = options.kind || DEFAULT_BODY.kind;
+
+  Object.entries(KIND_FIELDS).forEach(([otherKind, fields]) => {
+    if (otherKind === kind) {
+      return;
+    }
+    fields.forEach(field => {
+      if (options[field] !== undefined && !KIND_FIELDS[kind].includes(field)) {
+        throw new ShapeSpecError(field, `does not apply to ${kind} shapes`);
+      }
+    });
+  });
+
+  const body = {
+    ...DEFAULT_BODY,
+    kind,
+    mass: options.mass ?? DEFAULT_BODY.mass,
+    restitution: options.restitution ?? DEFAULT_BODY.restitution,
+    friction: options.friction ?? DEFAULT_BODY.friction
+  };
+
+  switch (kind) {
+    case 'circle':
+      body.radius = options.radius ?? DEFAULT_BODY.radius;
+      break;
+
+    case 'box':
+      body.radius = 0;
+      body.width = options.width ?? DEFAULT_BOX_SIZE;
+      body.height = options.height ?? DEFAULT_BOX_SIZE;
+      break;
+
+    case 'polygon': {
+      if (!options.vertices) {
+        throw new ShapeSpecError('vertices', 'is required for polygon shapes');
+      }
+      const hull = convexHull(options.vertices);
+      const centroid = polygonCentroid(hull);
+      if (hull.length < 3 || Math.abs(centroid.area) < MIN_POLYGON_AREA) {
+        throw new ShapeSpecError('vertices', `must enclose an area of at least ${MIN_POLYGON_AREA}`);
+      }
+      body.radius = 0;
+      body.vertices = hull.map(vertex => ({ x: vertex.x - centroid.x, y: vertex.y - centroid.y }));
+      const { min, max } = SHAPE_LIMITS.vertex;
+      if (body.vertices.some(vertex => Math.min(vertex.x, vertex.y) < min || Math.max(vertex.x, vertex.y) > max)) {
+        throw new ShapeSpecError('vertices', `must lie within ${max} of their centroid`);
+      }
+      break;
+    }
+
+    default:
+      // Unreachable: the message schema only lets known kinds through
+      throw new ShapeSpecError('kind', `must be one of ${SHAPE_KINDS.join(', ')}`);
+  }
+
+  return body;
+}
+
+module.exports = { SHAPE_KINDS, SHAPE_LIMITS, DEFAULT_BODY, ShapeSpecError, convexHull, resolveShapeBody };
@@ -0,0 +1,62 @@
+const logger = require('./logger');
+
+// Graceful shutdown: rooms are locked so they take no more joins, every
+// PhysicsRoom broadcasts `server_shutdown` and disconnects its clients, then
+// rooms dispose (saving their snapshots) and the logs are flushed. Exits with
+// 1 when shutting down because of an uncaught error, or when rooms miss the
+// deadline, and with 0 otherwise. Colyseus logs errors raised while rooms
+// shut down instead of rejecting, so they don't change the exit code.
+
+// How long rooms get to notify clients, save snapshots and dispose before
+// the process exits anyway
+const DEFAULT_SHUTDOWN_DEADLINE_MS = Number(process.env.SHUTDOWN_DEADLINE_MS) || 10000;
+
+// shutdown(reason, error) for this Colyseus server. Only the first call
+// shuts down; errors raised while it runs are logged.
+function createShutdown(gameServer, { deadlineMs = DEFAULT_SHUTDOWN_DEADLINE_MS, exit = code => process.exit(code) } = {}) {
+  let shuttingDown = false;
+
+  return async function shutdown(reason, error) {
+    if (shuttingDown) {
+      if (error) {
+        logger.error(`${reason} during shutdown:`, error);
+      }
+      return;
+    }
+    shuttingDown = true;
+    const exitCode = error ? 1 : 0;
+
+    if (error) {
+      logger.error(`Shutting down after ${reason}:`, error);
+    } else {
+      logger.log(`Received ${reason}, shutting down`);
+    }
+
+    const deadline = setTimeout(() => {
+      logger.error(`Rooms did not dispose within ${deadlineMs}ms, exiting anyway`);
+      logger.flush().finally(() => exit(1));
+    }, deadlineMs);
+
+    await gameServer.gracefullyShutdown(false);
+    logger.log('Shutdown complete');
+
+    clearTimeout(deadline);
+    await logger.flush();
+    exit(exitCode);
+  };
+}
+
+// Signals shut down cleanly; uncaught exceptions and unhandled rejections
+// shut down with exit code 1
+function installShutdownHandlers(shutdown, target = process) {
+  ['SIGTERM', 'SIGINT', 'SIGUSR2'].forEach(signal => {
+    target.once(signal, () => shutdown(signal));
+  });
+  target.on('uncaughtException', (err) => shutdown('uncaught exception', err));
+  // Promises can be rejected with anything, including nothing at all
+  target.on('unhandledRejection', (reason) => {
+    shutdown('unhandled rejection', reason instanceof Error ? reason : new Error(`Promise rejected with ${reason}`));
+  });
+}
+
+module.exports = { createShutdown, installShutdownHandlers };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Where room snapshots are kept between server restarts. A store is any
+// object with these async methods:
+//
+//   save(key, snapshot)  persist a JSON-serialisable snapshot under key
+//   load(key)            the last snapshot saved under key, or null
+//   delete(key)          forget the snapshot for key
+//
+// SNAPSHOT_STORE picks the implementation: "file" (default) or "none".
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', 'snapshots');
+
+// One JSON file per key. Writes go to a temporary file first and are then
+// renamed over the old snapshot, so a crash mid-write never leaves a
+// truncated file behind.
+class FileSnapshotStore {
+  constructor(directory = DEFAULT_SNAPSHOT_DIR) {
+    this.directory = directory;
+  }
+
+  // Keys may hold any character; percent-encode all but letters, digits, `_`
+  // and `-` so they make safe file names and different keys never share one
+  filePath(key) {
+    const safeKey = encodeURIComponent(String(key)).replace(/[!'()*.~]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return path.join(this.directory, `${safeKey}.json`);
+  }
+
+  async save(key, snapshot) {
+    const target = this.filePath(key);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(temporary, JSON.stringify(snapshot));
+    await fs.promises.rename(temporary, target);
+  }
+
+  async load(key) {
+    try {
+      const contents = await fs.promises.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      if (error instanceof SyntaxError) {
+        logger.warn(`Ignoring unreadable snapshot for ${key}: ${error.message}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+}
+
+// Store used when persistence is switched off
+class NullSnapshotStore {
+  async save() {}
+
+  async load() {
+    return null;
+  }
+
+  async delete() {}
+}
+
+function createSnapshotStore(env = process.env) {
+  const kind = env.SNAPSHOT_STORE || 'file';
+  switch (kind) {
+    case 'file':
+      return new FileSnapshotStore(env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR);
+    case 'none':
+      return new NullSnapshotStore();
+    default:
+      throw new Error(`Unknown SNAPSHOT_STORE: ${kind}`);
+  }
+}
+
+module.exports = { FileSnapshotStore, NullSnapshotStore, createSnapshotStore };
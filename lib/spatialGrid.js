@@ -0,0 +1,71 @@
+// Uniform grid over the room boundary for fast "what is near this point"
+// queries. Rebuilt from scratch whenever interest is recalculated, which is
+// cheaper than tracking every move for a few hundred fish.
+class SpatialGrid {
+  constructor(width, height, cellSize) {
+    this.cellSize = cellSize;
+    this.columns = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.cells = new Map(); // cell index -> array of entries
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  insert(id, x, y) {
+    const index = this.cellIndex(this.column(x), this.row(y));
+    let cell = this.cells.get(index);
+    if (!cell) {
+      cell = [];
+      this.cells.set(index, cell);
+    }
+    cell.push({ id, x, y });
+  }
+
+  // Every entry within `radius` of (x, y), with its squared distance
+  query(x, y, radius) {
+    const results = [];
+    const radiusSq = radius * radius;
+
+    const minColumn = this.column(x - radius);
+    const maxColumn = this.column(x + radius);
+    const minRow = this.row(y - radius);
+    const maxRow = this.row(y + radius);
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        const cell = this.cells.get(this.cellIndex(column, row));
+        if (!cell) {
+          continue;
+        }
+
+        cell.forEach(entry => {
+          const dx = entry.x - x;
+          const dy = entry.y - y;
+          const distanceSq = dx * dx + dy * dy;
+          if (distanceSq <= radiusSq) {
+            results.push({ id: entry.id, distanceSq });
+          }
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // Shapes can leave the boundary for a moment, so clamp to the edge cells
+  column(x) {
+    return Math.min(this.columns - 1, Math.max(0, Math.floor(x / this.cellSize)));
+  }
+
+  row(y) {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+  }
+
+  cellIndex(column, row) {
+    return row * this.columns + column;
+  }
+}
+
+module.exports = { SpatialGrid };
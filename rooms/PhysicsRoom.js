@@ -1,166 +1,802 @@
-const { Room } = require("colyseus");
+const crypto = require("crypto");
+const { Room, ServerError, ErrorCode, updateLobby, matchMaker } = require("colyseus");
 const { PhysicsState, Shape } = require("../schema/PhysicsState");
 const logger = require("../lib/logger");
+const { PhysicsWorld, MAX_STEPS_PER_UPDATE } = require("../lib/physics");
+const { StateValidator } = require("../stateValidator");
+const { ShapeHistory } = require("../lib/history");
+const { LagCompensator } = require("../lib/lagCompensation");
+const { InterestManager } = require("../lib/interest");
+const { getAuthSecret, verifyToken, mintPersistToken, verifyPersistToken } = require("../lib/auth");
+const { generateUniqueInviteCode } = require("../lib/matchmaking");
+const { resolveRoomConfig } = require("../lib/roomConfig");
+const { ERROR_CODES, validateMessage } = require("../lib/protocol");
+const { RateLimiter, mergeRateLimits } = require("../lib/rateLimiter");
+const { createSnapshotStore } = require("../lib/snapshotStore");
+const { RECORDING_VERSION, createMatchRecorder, getKeyframeIntervalSeconds } = require("../lib/recorder");
+const metrics = require("../lib/metrics");
+const { REJECTION_REASONS, checkShapeAccess, checkPermission, checkRelease } = require("../lib/permissions");
+const { createGameMode } = require("../lib/gameModes");
+const { isSolid, loadLevel } = require("../lib/levels");
+const { ShapeSpecError, resolveShapeBody } = require("../lib/shapes");
+const { ChatHistory, cleanChatText, getWordFilter } = require("../lib/chat");
+
+// Close code used when a player is kicked for repeated validation violations
+const KICK_CLOSE_CODE = 4001;
+
+// Close code for a session replaced by a newer one with the same identity
+const SESSION_REPLACED_CLOSE_CODE = 4003;
+
+// Close code for clients disconnected for flooding the room with messages
+const RATE_LIMIT_CLOSE_CODE = 4004;
+
+// Close code for clients disconnected because the server is shutting down
+const SERVER_SHUTDOWN_CLOSE_CODE = 4005;
+
+// How long clients are told to wait before rejoining after a shutdown; about
+// as long as a deploy takes to bring the next server up
+const SHUTDOWN_RECONNECT_DELAY_MS = Number(process.env.SHUTDOWN_RECONNECT_DELAY_MS) || 5000;
+
+// Inputs waiting to be applied beyond this are dropped
+const MAX_PENDING_INPUTS = 32;
+
+// How many ticks of shape positions the server keeps (~1 second)
+const SHAPE_HISTORY_TICKS = 64;
+
+// Format version written into room snapshots
+const SNAPSHOT_VERSION = 1;
+
+// Presence hashes of persist keys claimed by live rooms, shared by every
+// process on the same presence. A second room with the same key runs without
+// persistence instead of overwriting the first one's snapshots.
+const PERSIST_KEY_CLAIMS = "physics_room:persist_key_claims"; // key -> claim count
+const PERSIST_KEY_OWNERS = "physics_room:persist_key_owners"; // key -> { roomId, claimedAt }
+const PERSIST_KEY_TAKEOVERS = "physics_room:persist_key_takeovers"; // "<key>:<dead roomId>" -> takeover attempts
+
+// A claim whose room no longer exists is taken over once it's this old (its
+// process died without releasing it); younger rooms may still be in onCreate
+const STALE_PERSIST_CLAIM_MS = 30000;
+
+// Disconnected players who aren't held for reconnection (restored from a
+// snapshot) are removed once they've been gone this long
+const INACTIVE_PLAYER_TIMEOUT_MS = 300000;
+
+// Delay clients should render remote shapes at, behind the newest snapshot
+const INTERPOLATION_DELAY_MS = 100;
+
+// The only messages spectators may send; gameplay messages need a player
+const SPECTATOR_MESSAGE_TYPES = new Set(["follow", "ping", "pong", "time_sync"]);
 
 class PhysicsRoom extends Room {
   // Physics simulation settings
   constructor() {
     super();
-    this.SIMULATION_INTERVAL_MS = 16; // ~60 fps
-    this.MAX_SHAPES_PER_PLAYER = 5;
+    this.INTEREST_HYSTERESIS = 150; // Extra distance before a fish in view drops out again
+    this.INTEREST_UPDATE_INTERVAL_MS = 100;
     this.playerIdToSessionId = new Map(); // Map player IDs to session IDs
     this.sessionIdToPlayerId = new Map(); // Map session IDs to player IDs
     
-    // Set to false to keep the room alive even when all clients disconnect
-    this.autoDispose = false;
+    // Authoritative physics simulation, advanced in fixed steps from update().
+    // The world itself is created in onCreate once the room's gravity is known.
+    this.physicsWorld = null;
+    this.simulationAccumulator = 0;
+    this.shapeHistory = new ShapeHistory(SHAPE_HISTORY_TICKS);
+    this.lagCompensator = new LagCompensator(this.shapeHistory);
     
-    // Set a longer seat reservation time (in milliseconds)
-    this.seatReservationTime = 300000; // 5 minutes (300000ms)
+    // Clamps client-reported state and tracks per-player violation scores.
+    // Created in onCreate with the room's validationThresholds.
+    this.stateValidator = null;
+    
+    // Client inputs waiting for the next simulation step, per player ID
+    this.pendingInputs = new Map();
+    
+    // Handlers registered through registerMessage(), per message type
+    this.messageHandlers = new Map();
+    
+    // Totals of rate-limited messages, per message type
+    this.rateLimitStats = { dropped: {}, coalesced: {}, disconnected: 0 };
+    
+    // Dispose once the last client has left and no dropped player is held
+    // for reconnection (held players keep a reserved seat). onDispose() saves
+    // the snapshot persisted rooms are restored from.
+    this.autoDispose = true;
+    
+    // Seat reservations only cover the gap between matchmaking and the socket
+    // connecting (in seconds); dropped players are held by allowReconnection()
+    this.seatReservationTime = 30;
+    
+    this.pendingReconnections = new Map(); // playerId -> allowReconnection() deferred
     
     // Track the last activity time to avoid disposing the room too quickly
     this.lastActivityTime = Date.now();
+    
+    // Set by the replay runner before onCreate: no listing, persistence,
+    // recording or simulation interval. The caller steps the simulation.
+    this.headless = false;
+    this.recorder = null;
+    
+    // Replaced in onCreate() by one that tags every line with the room ID
+    this.logger = logger;
+    
+    // Set once the server starts shutting down; see onBeforeShutdown()
+    this.shuttingDown = false;
   }
 
-  onCreate(options) {
-    logger.log("PhysicsRoom created!", options);
+  async onCreate(options) {
+    this.logger = logger.child({ roomId: this.roomId });
+    this.logger.log("PhysicsRoom created!", { ...options, ...(options.persistToken ? { persistToken: "[redacted]" } : {}) });
+    
+    // joinOrCreate() falls through to creating a room once the existing ones
+    // are locked for shutdown; don't start rooms that are about to go away
+    if (matchMaker.isGracefullyShuttingDown) {
+      throw new ServerError(ErrorCode.MATCHMAKE_UNHANDLED, "Server is shutting down");
+    }
+    
+    // Resolve the room's options against lib/roomConfig.js; anything out of
+    // range fails room creation instead of being silently clamped. So does a
+    // level that doesn't exist or doesn't fit the arena.
+    try {
+      this.config = resolveRoomConfig(options);
+      this.level = this.config.level ? await loadLevel(this.config.level, this.config) : null;
+    } catch (error) {
+      this.logger.warn(`Rejecting room options: ${error.message}`);
+      throw new ServerError(ErrorCode.APPLICATION_ERROR, error.message);
+    }
     
-    // Initialize the room state
-    this.setState(new PhysicsState());
+    // Where snapshots go; a bad persist token fails room creation
+    let persistKey;
+    try {
+      persistKey = this.resolvePersistKey(options);
+    } catch (error) {
+      this.logger.warn(`Rejecting persist token: ${error.message}`);
+      throw new ServerError(ErrorCode.AUTH_FAILED, error.message);
+    }
+    
+    // A level may bring its own arena size
+    if (this.level) {
+      this.config.boundaryWidth = this.level.boundaryWidth;
+      this.config.boundaryHeight = this.level.boundaryHeight;
+    }
+    
+    // Length of one simulation step at this room's tick rate
+    this.fixedTimeStepMs = 1000 / this.config.tickRate;
+    
+    // Rounds and scoring; the mode also decides which walls hold fish in
+    this.gameMode = createGameMode(this, this.config.gameMode);
+    const levelObstacles = this.level ? this.level.obstacles.filter(isSolid) : [];
+    this.physicsWorld = new PhysicsWorld({
+      stepMs: this.fixedTimeStepMs,
+      gravity: this.config.gravity,
+      walls: this.gameMode.walls,
+      obstacles: levelObstacles.concat(this.gameMode.obstacles)
+    });
+    this.rateLimits = mergeRateLimits(this.config.rateLimits);
+    this.stateValidator = new StateValidator(this.config.validationThresholds);
+    
+    // Initialize the room state; the effective config is synced to clients
+    this.setState(new PhysicsState(this.config));
+    if (this.level) {
+      this.state.setLevel(this.level);
+    }
+    this.state.addModeGeometry(this.gameMode.obstacles, this.gameMode.spawns);
+    this.gameMode.start();
+    
+    // Matchmaking: rooms are filtered by mode and region, and private rooms
+    // are hidden from the lobby and joined through their invite code
+    this.mode = this.config.mode;
+    this.region = this.config.region;
+    // Spectators have seats of their own on top of the player seats
+    this.maxClients = this.config.maxClients + this.config.maxSpectators;
+    
+    this.inviteCode = null;
+    if (!this.headless) {
+      await this.setUpListing(persistKey);
+    }
+    
+    this.interest = new InterestManager({
+      width: this.state.boundaryWidth,
+      height: this.state.boundaryHeight,
+      radius: this.config.interestRadius,
+      hysteresis: this.INTEREST_HYSTERESIS
+    });
+    
+    // Recent chat for players who join later; see lib/chat.js
+    this.chatHistory = new ChatHistory(this.config.chatHistorySize);
+    this.wordFilter = getWordFilter();
+    this.nextChatId = 1;
     
-    // Set up physics simulation interval
-    this.setSimulationInterval(() => this.update(), this.SIMULATION_INTERVAL_MS);
+    // Set up physics simulation interval. Only one simulation interval can be
+    // active per room, so periodic jobs below go through this.clock instead.
+    // The clock only advances with this interval, so none of them run headless.
+    if (!this.headless) {
+      this.setSimulationInterval((deltaTime) => this.update(deltaTime), this.fixedTimeStepMs);
+    }
     
-    // Register message handlers
-    this.onMessage("shape_update", (client, message) => {
+    // Register message handlers. Each message is checked against its schema
+    // in lib/protocol.js first, so handlers only ever see well-formed data.
+    this.registerMessage("shape_update", (client, message) => {
       this.handleShapeUpdate(client, message);
     });
     
-    this.onMessage("physics_action", (client, message) => {
+    this.registerMessage("physics_action", (client, message) => {
       this.handlePhysicsAction(client, message);
     });
     
-    this.onMessage("create_shape", (client) => {
-      this.handleCreateShape(client);
+    // Owners choose who else may move each of their shapes
+    this.registerMessage("set_shape_permission", (client, message) => {
+      this.handleSetShapePermission(client, message);
     });
     
-    this.onMessage("remove_shape", (client, message) => {
+    this.registerMessage("create_shape", (client, message) => {
+      this.handleCreateShape(client, message);
+    });
+    
+    this.registerMessage("remove_shape", (client, message) => {
       this.handleRemoveShape(client, message);
     });
     
+    // Inputs are applied by the simulation; clients predict locally and
+    // reconcile against Player.lastProcessedInput in the state
+    this.registerMessage("input", (client, message) => {
+      this.handleInput(client, message);
+    });
+    
     // Add handler for changing block color
-    this.onMessage("change_block_color", (client, message) => {
+    this.registerMessage("change_block_color", (client, message) => {
       this.handleChangeBlockColor(client, message);
     });
     
-    // Add a ping message handler to keep the connection alive
-    this.onMessage("ping", (client) => {
+    this.registerMessage("chat", (client, message) => {
+      this.handleChat(client, message);
+    });
+    
+    this.registerMessage("emote", (client, message) => {
+      this.handleEmote(client, message);
+    });
+    
+    this.registerMessage("follow", (client, message) => {
+      this.handleFollow(client, message);
+    });
+    
+    // Add a ping message handler to keep the connection alive. The reply
+    // echoes the client's own clock so it can double as a time sample.
+    this.registerMessage("ping", (client, message) => {
       try {
         if (client.readyState === 1) { // WebSocket.OPEN
-          client.send("pong", { timestamp: Date.now() });
+          client.send("pong", {
+            timestamp: Date.now(),
+            clientTime: message.clientTime ?? null,
+            tick: this.state.tick
+          });
           this.lastActivityTime = Date.now(); // Update last activity time
         } else {
-          logger.debug(`Client ${client.sessionId} not ready for pong, state: ${client.readyState}`);
+          this.logger.debug(`Client ${client.sessionId} not ready for pong, state: ${client.readyState}`);
         }
       } catch (error) {
-        logger.debug(`Error sending pong to client ${client.sessionId}: ${error.message}`);
+        this.logger.debug(`Error sending pong to client ${client.sessionId}: ${error.message}`);
       }
     });
     
-    logger.log("PhysicsRoom initialized with simulation interval:", this.SIMULATION_INTERVAL_MS);
+    // Replies to our own periodic pings, used to measure each client's RTT
+    this.registerMessage("pong", (client, message) => {
+      this.handlePong(client, message);
+    });
     
-    // Set up a periodic check to log room status
-    this.setSimulationInterval(() => {
-      // Check room status
-      const connectedPlayers = Array.from(this.state.players.values())
-        .filter(player => !player.disconnected)
-        .length;
-      
-      const disconnectedPlayers = Array.from(this.state.players.values())
-        .filter(player => player.disconnected)
-        .length;
+    // NTP-style clock sync: the client sends its clock, we answer with when we
+    // received it, when we replied and the current tick
+    this.registerMessage("time_sync", (client, message) => {
+      this.handleTimeSync(client, message);
+    });
+    
+    // Anything without a handler gets an error instead of vanishing
+    this.onMessage("*", (client, type, message) => {
+      // Message types are client-chosen, so unknown ones share one label
+      metrics.messagesReceived.inc({ type: "unknown" });
+      this.withClientContext(client, () => {
+        if (!this.admitMessage(client, type, message)) {
+          return;
+        }
+        metrics.messagesRejected.inc({ type: "unknown", reason: ERROR_CODES.UNKNOWN_MESSAGE_TYPE });
+        this.logger.sampled(`unknown-type:${client.sessionId}`).warn(`Unknown message type ${type} from ${client.sessionId}`);
+        this.sendError(client, ERROR_CODES.UNKNOWN_MESSAGE_TYPE, type, { message: `Unknown message type ${type}` });
+      });
+    });
+    
+    this.logger.log("PhysicsRoom initialized with config:", this.config);
+    
+    // Log player counts, rate limiting and client states every minute
+    this.clock.setInterval(() => {
+      this.logRoomStatus();
+    }, 60000);
+    
+    this.clock.setInterval(() => {
+      this.removeInactivePlayers();
+    }, 10000);
+    
+    // Recalculate which fish each client gets to see
+    this.clock.setInterval(() => {
+      this.updateAreaOfInterest();
+    }, this.INTEREST_UPDATE_INTERVAL_MS);
+    
+    if (this.persistKey) {
+      this.clock.setInterval(() => {
+        this.saveSnapshot();
+      }, this.config.snapshotIntervalSeconds * 1000);
+    }
+    
+    if (!this.headless) {
+      this.startRecording();
+      metrics.trackRoom(this);
+    }
+  }
+
+  // Matchmaking: rooms are filtered by mode and region, and private rooms
+  // are hidden from the lobby and joined through their invite code
+  async setUpListing(persistKey) {
+    // Store the resolved values so later filterBy lookups match them
+    this.listing.mode = this.mode;
+    this.listing.region = this.region;
+    this.listing.gameMode = this.config.gameMode;
+    
+    // Rooms with a persist key pick up where the previous server left off
+    const snapshot = await this.restoreSnapshot(persistKey);
+    
+    if (this.config.private) {
+      await this.setPrivate(true);
+      this.inviteCode = (snapshot && snapshot.inviteCode) || await generateUniqueInviteCode(this.roomName);
+      this.logger.log(`Private room created with invite code ${this.inviteCode}`);
+    }
+    
+    await this.updateRoomMetadata();
+  }
+
+  // Record this match if RECORDINGS_DIR is set; see lib/recorder.js
+  startRecording() {
+    this.recorder = createMatchRecorder(this.roomId);
+    if (!this.recorder) {
+      return;
+    }
+    
+    this.logger.log(`Recording room ${this.roomId} to ${this.recorder.filePath}`);
+    this.recordEvent("header", {
+      version: RECORDING_VERSION,
+      roomId: this.roomId,
+      startedAt: this.recorder.startedAt,
+      config: this.config
+    });
+    this.recordEvent("keyframe", { state: this.state.toSnapshot() });
+    
+    this.clock.setInterval(() => {
+      this.recordEvent("keyframe", { state: this.state.toSnapshot() });
+    }, getKeyframeIntervalSeconds() * 1000);
+  }
+
+  recordEvent(event, data) {
+    if (this.recorder) {
+      this.recorder.record(event, this.state.tick, data);
+    }
+  }
+
+  getSnapshotStore() {
+    if (!PhysicsRoom.snapshotStore) {
+      PhysicsRoom.snapshotStore = createSnapshotStore();
+    }
+    return PhysicsRoom.snapshotStore;
+  }
+
+  // The key this room's snapshots are kept under, or null to not persist.
+  // Clients never name keys themselves: public rooms persist under their game
+  // mode, mode and region, and private rooms created with `persist` get a fresh key.
+  // Their clients are handed a signed `persistToken` for it, and creating a
+  // private room with that token brings the room back.
+  resolvePersistKey(options) {
+    if (!this.config.private) {
+      // Each part encoded, so no part's characters can run into the separator
+      return [this.config.gameMode, this.config.mode, this.config.region].map(encodeURIComponent).join(":");
+    }
+    if (options.persistToken !== undefined) {
+      return verifyPersistToken(options.persistToken);
+    }
+    if (!this.config.persist) {
+      return null;
+    }
+    if (!getAuthSecret()) {
+      this.logger.warn("Not persisting private room: AUTH_SECRET is needed to sign its persist token");
+      return null;
+    }
+    return `private-${crypto.randomUUID()}`;
+  }
+
+  // Token clients of a persisted private room use to bring it back
+  getPersistToken() {
+    return this.config.private && this.persistKey ? mintPersistToken(this.persistKey) : null;
+  }
+
+  // Claim this room's persist key and load its last snapshot into the state
+  async restoreSnapshot(key) {
+    if (!key) {
+      return null;
+    }
+    
+    if (!(await this.claimPersistKey(key))) {
+      this.logger.log(`Persist key ${key} is in use by another room, not persisting this one`);
+      return null;
+    }
+    this.persistKey = key;
+    
+    let snapshot = null;
+    try {
+      snapshot = await this.getSnapshotStore().load(key);
+    } catch (error) {
+      this.logger.error(`Failed to load snapshot ${key}:`, error);
+      return null;
+    }
+    
+    if (!snapshot) {
+      return null;
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      this.logger.warn(`Ignoring snapshot ${key} with unsupported version ${snapshot.version}`);
+      return null;
+    }
+    
+    const restoredCount = this.state.restoreSnapshot(snapshot.state);
+    this.logger.log(`Restored ${restoredCount} players from snapshot ${key} saved at ${new Date(snapshot.savedAt).toISOString()}`);
+    return snapshot;
+  }
+
+  // Claim `key` for this room across every process sharing the presence
+  async claimPersistKey(key) {
+    const owner = JSON.stringify({ roomId: this.roomId, claimedAt: Date.now() });
+    if (await this.presence.hincrby(PERSIST_KEY_CLAIMS, key, 1) === 1) {
+      await this.presence.hset(PERSIST_KEY_OWNERS, key, owner);
+      return true;
+    }
+    await this.presence.hincrby(PERSIST_KEY_CLAIMS, key, -1);
+    
+    const current = await this.presence.hget(PERSIST_KEY_OWNERS, key);
+    if (!current) {
+      return false;
+    }
+    const { roomId, claimedAt } = JSON.parse(current);
+    if (Date.now() - claimedAt < STALE_PERSIST_CLAIM_MS || await this.roomExists(roomId)) {
+      return false;
+    }
+    
+    // Several rooms can find the same dead owner; counting attempts per dead
+    // room lets exactly one of them take over
+    if (await this.presence.hincrby(PERSIST_KEY_TAKEOVERS, `${key}:${roomId}`, 1) !== 1) {
+      return false;
+    }
+    this.persistKeyTakenOverFrom = roomId;
+    
+    this.logger.warn(`Taking over persist key ${key} from room ${roomId}, which no longer exists`);
+    await this.presence.hset(PERSIST_KEY_OWNERS, key, owner);
+    return true;
+  }
+
+  async releasePersistKey(key) {
+    const current = await this.presence.hget(PERSIST_KEY_OWNERS, key);
+    if (current && JSON.parse(current).roomId === this.roomId) {
+      await this.presence.hdel(PERSIST_KEY_OWNERS, key);
+      await this.presence.hdel(PERSIST_KEY_CLAIMS, key);
+      if (this.persistKeyTakenOverFrom) {
+        await this.presence.hdel(PERSIST_KEY_TAKEOVERS, `${key}:${this.persistKeyTakenOverFrom}`);
+      }
+    }
+  }
+
+  async roomExists(roomId) {
+    return (await matchMaker.query({ roomId })).length > 0;
+  }
+
+  // Write the current state to the snapshot store. Overlapping saves are
+  // skipped; the next interval catches up.
+  async saveSnapshot() {
+    if (!this.persistKey || this.snapshotInProgress) {
+      return;
+    }
+    
+    this.snapshotInProgress = true;
+    try {
+      await this.getSnapshotStore().save(this.persistKey, {
+        version: SNAPSHOT_VERSION,
+        savedAt: Date.now(),
+        roomId: this.roomId,
+        mode: this.mode,
+        region: this.region,
+        inviteCode: this.inviteCode,
+        state: this.state.toSnapshot()
+      });
+      this.logger.debug(`Saved snapshot ${this.persistKey}`);
+    } catch (error) {
+      this.logger.error(`Failed to save snapshot ${this.persistKey}:`, error);
+    } finally {
+      this.snapshotInProgress = false;
+    }
+  }
+
+  // onMessage() behind rate limiting and schema validation: excess messages
+  // are dropped or coalesced, invalid ones are answered with an `error`, and
+  // neither reaches the handler
+  registerMessage(type, handler) {
+    this.messageHandlers.set(type, handler);
+    this.onMessage(type, (client, message) => {
+      metrics.messagesReceived.inc({ type });
+      this.withClientContext(client, () => {
+        if (this.admitMessage(client, type, message)) {
+          this.dispatchMessage(client, type, message);
+        }
+      });
+    });
+  }
+
+  // Run `callback` with the client's session and player IDs on every log line,
+  // including lines from PhysicsState and other helpers it calls into
+  withClientContext(client, callback) {
+    return logger.withContext({ roomId: this.roomId, sessionId: client.sessionId, playerId: this.sessionIdToPlayerId.get(client.sessionId) }, callback);
+  }
+
+  dispatchMessage(client, type, message) {
+    if (this.isSpectator(client) && !SPECTATOR_MESSAGE_TYPES.has(type)) {
+      this.rejectWrongRole(client, type, `Spectators can't send ${type}`);
+      return;
+    }
+    
+    const { value, error } = validateMessage(type, message);
+    if (error) {
+      const metricType = this.getMetricType(type);
+      metrics.messagesRejected.inc({ type: metricType, reason: error.code });
+      this.logger.sampled(`rejected:${client.sessionId}:${metricType}`).warn(`Rejected ${type} from ${client.sessionId}: ${error.message}`);
+      this.sendError(client, error.code, type, { path: error.path, message: error.message });
+      return;
+    }
+    // Spectators don't touch the simulation, so replays don't need their messages
+    if (!this.isSpectator(client)) {
+      this.recordEvent("message", { sessionId: client.sessionId, type, message: value, rtt: client.userData?.rtt });
+    }
+    this.messageHandlers.get(type)(client, value);
+  }
+
+  // Message types as counted in stats, metrics and per-client maps. Types a
+  // client makes up all count as "unknown", so they can't add keys of their own.
+  getMetricType(type) {
+    return this.messageHandlers.has(type) ? type : "unknown";
+  }
+
+  getRateLimiter(client) {
+    client.userData = client.userData || {};
+    if (!client.userData.rateLimiter) {
+      client.userData.rateLimiter = new RateLimiter(this.rateLimits);
+      client.userData.coalescedMessages = new Map(); // type -> newest held-back message
+      client.userData.rateLimitNotified = new Map(); // type -> when the client was last told
+    }
+    return client.userData.rateLimiter;
+  }
+
+  // Apply the client's token bucket for this message type. Returns true when
+  // the message should be handled now.
+  admitMessage(client, type, message) {
+    if (client.userData?.kicked) {
+      return false;
+    }
+    
+    const limiter = this.getRateLimiter(client);
+    const outcome = limiter.check(type);
+    if (outcome === "allow") {
+      return true;
+    }
+    
+    const metricType = this.getMetricType(type);
+    const counters = outcome === "coalesce" ? this.rateLimitStats.coalesced : this.rateLimitStats.dropped;
+    counters[metricType] = (counters[metricType] || 0) + 1;
+    
+    if (outcome === "coalesce") {
+      metrics.messagesCoalesced.inc({ type: metricType });
+    } else {
+      metrics.messagesRejected.inc({ type: metricType, reason: ERROR_CODES.RATE_LIMITED });
+    }
+    
+    if (outcome === "coalesce") {
+      // Only the newest state matters; it replaces whatever was waiting
+      client.userData.coalescedMessages.set(type, message);
+    } else {
+      this.notifyRateLimited(client, type, limiter);
+    }
+    
+    if (limiter.isOffender()) {
+      this.logger.warn(`Disconnecting ${client.sessionId} for flooding (last message type: ${type})`);
+      this.rateLimitStats.disconnected++;
+      client.userData.kicked = true;
+      client.leave(RATE_LIMIT_CLOSE_CODE, "Too many messages");
+    }
+    return false;
+  }
+
+  // Tell the client it's being rate limited, at most once a second per type
+  notifyRateLimited(client, type, limiter) {
+    const now = Date.now();
+    const metricType = this.getMetricType(type);
+    const lastNotified = client.userData.rateLimitNotified.get(metricType) || 0;
+    if (now - lastNotified < 1000) {
+      return;
+    }
+    
+    client.userData.rateLimitNotified.set(metricType, now);
+    this.logger.debug(`Rate limiting ${type} from ${client.sessionId}`);
+    this.sendError(client, ERROR_CODES.RATE_LIMITED, type, {
+      message: `Too many ${type} messages`,
+      retryAfterMs: limiter.getRetryAfterMs(type)
+    });
+  }
+
+  // Handle coalesced messages whose bucket has a token again
+  flushCoalescedMessages() {
+    this.clients.forEach(client => {
+      const pending = client.userData?.coalescedMessages;
+      if (!pending || pending.size === 0 || client.userData.kicked) {
+        return;
+      }
       
-      // Only log occasionally to avoid spamming
-      if (this.state.serverTime % 60000 < 16) { // Log roughly every minute
-        logger.log(`Room status: ${connectedPlayers} connected, ${disconnectedPlayers} disconnected players`);
-        
-        // Log client connection details
-        logger.log(`Connected clients: ${this.clients.length}`);
-        this.clients.forEach(client => {
-          logger.log(`Client ${client.sessionId} - readyState: ${client.readyState}`);
-        });
-        
-        // Check if the room has been inactive for too long (5 minutes)
-        const inactiveTime = Date.now() - this.lastActivityTime;
-        logger.log(`Room inactive for ${Math.floor(inactiveTime / 1000)} seconds`);
-        
-        if (inactiveTime > 300000 && connectedPlayers === 0) { // 5 minutes
-          logger.log("Room has been inactive for too long, disposing");
-          this.disconnect();
+      pending.forEach((message, type) => {
+        if (client.userData.rateLimiter.tryTake(type)) {
+          pending.delete(type);
+          this.withClientContext(client, () => this.dispatchMessage(client, type, message));
         }
+      });
+    });
+  }
+
+  // Rate limiting counters for monitoring: room totals and per-client counts
+  getRateLimitStats() {
+    return {
+      dropped: { ...this.rateLimitStats.dropped },
+      coalesced: { ...this.rateLimitStats.coalesced },
+      disconnected: this.rateLimitStats.disconnected,
+      clients: this.clients
+        .filter(client => client.userData?.rateLimiter)
+        .map(client => ({
+          sessionId: client.sessionId,
+          ...client.userData.rateLimiter.counters,
+          offenderScore: client.userData.rateLimiter.offenderScore
+        }))
+    };
+  }
+
+  // Structured error reply; `type` is the message type that caused it
+  sendError(client, code, type, details = {}) {
+    if (client.readyState !== 1) { // WebSocket.OPEN
+      return;
+    }
+    client.send("error", { code, type, ...details });
+  }
+
+  // Verify who the client is, then make sure there's a seat for them. Players
+  // and spectators have separate seats; a player who is already in the room
+  // (rejoining from another tab) keeps theirs.
+  onAuth(client, options = {}) {
+    const identity = this.verifyIdentity(client, options);
+    
+    if (options.spectator === true) {
+      if (this.getSpectatorCount() >= this.config.maxSpectators) {
+        throw new ServerError(ErrorCode.MATCHMAKE_UNHANDLED, "No free spectator seats");
       }
-    }, 60000); // Check every minute
+    } else if (!this.state.getPlayer(identity.playerId) && this.getPlayerSeatCount() >= this.config.maxClients) {
+      throw new ServerError(ErrorCode.MATCHMAKE_UNHANDLED, "No free player seats");
+    }
+    return identity;
+  }
+
+  // Verify the signed player token and bind the session to its player ID.
+  // The returned identity is what Colyseus exposes as client.auth.
+  verifyIdentity(client, options = {}) {
+    const secret = getAuthSecret();
     
-    // Set up periodic check for out-of-bounds shapes
-    this.setSimulationInterval(() => {
-      this.checkAndResetOutOfBoundsShapes();
-    }, 1000); // Check every second
+    if (!secret) {
+      // Auth is disabled: everyone is a guest with a fresh player ID, and a
+      // requested playerId or team is never honoured since nothing can vouch for it
+      if (options.playerId) {
+        this.logger.warn(`Ignoring playerId ${options.playerId} from ${client.sessionId}: AUTH_SECRET is not set`);
+      }
+      if (options.team !== undefined) {
+        this.logger.warn(`Ignoring team option from ${client.sessionId}: AUTH_SECRET is not set`);
+      }
+      return { playerId: client.sessionId, guest: true };
+    }
+    
+    let payload;
+    try {
+      payload = verifyToken(options.token, secret);
+    } catch (error) {
+      this.logger.warn(`Rejected join from ${client.sessionId}: ${error.message}`);
+      throw new ServerError(ErrorCode.AUTH_FAILED, error.message);
+    }
+    
+    if (options.playerId && options.playerId !== payload.sub) {
+      this.logger.warn(`Rejected join from ${client.sessionId}: token is for ${payload.sub}, not ${options.playerId}`);
+      throw new ServerError(ErrorCode.AUTH_FAILED, "Token does not match playerId");
+    }
+    
+    // Teams gate `team` shapes, so only the token can put a player on one
+    const team = typeof payload.team === "string" ? payload.team : undefined;
+    if (options.team !== undefined && options.team !== team) {
+      this.logger.warn(`Rejected join from ${client.sessionId}: token is for team ${team}, not ${options.team}`);
+      throw new ServerError(ErrorCode.AUTH_FAILED, "Token does not match team");
+    }
+    
+    return {
+      playerId: payload.sub,
+      name: typeof payload.name === 'string' ? payload.name : undefined,
+      team,
+      expiresAt: payload.exp,
+      guest: false
+    };
   }
 
   onJoin(client, options = {}) {
-    logger.log(`Client joined: ${client.sessionId}`, options);
+    // Never write the token itself to the logs
+    this.logger.log(`Client joined: ${client.sessionId}`, { ...options, token: options.token ? "[redacted]" : undefined });
     this.lastActivityTime = Date.now(); // Update last activity time
     
     // Log client connection details
-    logger.log(`Client connection details - ID: ${client.id}, sessionId: ${client.sessionId}`);
+    this.logger.log(`Client connection details - ID: ${client.id}, sessionId: ${client.sessionId}`);
     if (client.auth) {
-      logger.log(`Client auth: ${JSON.stringify(client.auth)}`);
+      this.logger.log(`Client auth: ${JSON.stringify(client.auth)}`);
+    }
+    
+    if (options.spectator === true) {
+      this.addSpectator(client, options);
+      return;
     }
     
-    let playerId = client.sessionId;
+    // The player ID always comes from the verified identity
+    const playerId = client.auth.playerId;
     let isReconnection = false;
     
-    // If a playerId was provided in options, use that instead
-    if (options.playerId) {
-      playerId = options.playerId;
-      logger.log(`Using provided playerId: ${playerId}`);
+    // Check if this player already exists
+    const existingPlayer = this.state.getPlayer(playerId);
+    if (existingPlayer) {
+      // This is a reconnection
+      isReconnection = true;
+      this.logger.log(`Player ${playerId} is reconnecting`);
       
-      // Check if this player already exists
-      const existingPlayer = this.state.getPlayer(playerId);
-      if (existingPlayer) {
-        // This is a reconnection
-        isReconnection = true;
-        logger.log(`Player ${playerId} is reconnecting`);
-        
-        // Player exists, update the connection status
-        this.state.markPlayerConnected(playerId, true);
-        
-        // Update the mapping
-        this.playerIdToSessionId.set(playerId, client.sessionId);
-        this.sessionIdToPlayerId.set(client.sessionId, playerId);
+      // Joining afresh supersedes a pending reconnection of the old session
+      const pendingReconnection = this.pendingReconnections.get(playerId);
+      if (pendingReconnection) {
+        this.pendingReconnections.delete(playerId);
+        pendingReconnection.reject(new Error("Player rejoined with a new session"));
+      }
+      
+      // The same identity may still hold an older session (e.g. a second
+      // tab or a socket that hasn't timed out yet); the new one takes over
+      this.replaceExistingSession(playerId, client);
+      
+      // Player exists, update the connection status
+      this.state.markPlayerConnected(playerId, true);
+      
+      // Update the mapping
+      this.playerIdToSessionId.set(playerId, client.sessionId);
+      this.sessionIdToPlayerId.set(client.sessionId, playerId);
+      
+      // Check if player has any shapes - if not, create one
+      if (existingPlayer.shapes.length === 0) {
+        const initialShape = this.state.createShapeForPlayer(playerId);
+        this.logger.log(`Created initial shape ${initialShape?.id} for reconnected player ${playerId} with no shapes`);
+      } else if (existingPlayer.shapes.length > this.config.maxShapesPerPlayer) {
+        // A snapshot from a room with a higher limit can leave a player with
+        // more shapes than this room allows; keep the oldest ones
+        this.logger.log(`Player ${playerId} has ${existingPlayer.shapes.length} shapes, removing extras`);
         
-        // Check if player has any shapes - if not, create one
-        if (existingPlayer.shapes.length === 0) {
-          const initialShape = this.state.createShapeForPlayer(playerId);
-          logger.log(`Created initial shape ${initialShape?.id} for reconnected player ${playerId} with no shapes`);
-        } else if (existingPlayer.shapes.length > 1) {
-          // If player somehow has more than one shape, remove extras
-          logger.log(`Player ${playerId} has ${existingPlayer.shapes.length} shapes, removing extras`);
-          
-          // Keep only the first shape
-          const shapeToKeep = existingPlayer.shapes[0].id;
-          
-          // Remove all other shapes
-          for (let i = 1; i < existingPlayer.shapes.length; i++) {
-            const shapeId = existingPlayer.shapes[i].id;
-            existingPlayer.removeShape(shapeId);
-            logger.log(`Removed extra shape ${shapeId} for player ${playerId}`);
-          }
-        } else {
-          logger.log(`Player ${playerId} successfully reconnected with ${existingPlayer.shapes.length} shapes`);
-        }
+        const extraShapeIds = existingPlayer.shapes.slice(this.config.maxShapesPerPlayer).map(shape => shape.id);
+        extraShapeIds.forEach(shapeId => {
+          existingPlayer.removeShape(shapeId);
+          this.logger.log(`Removed extra shape ${shapeId} for player ${playerId}`);
+        });
       } else {
-        logger.log(`No existing player found with ID: ${playerId}, creating new player`);
+        this.logger.log(`Player ${playerId} successfully reconnected with ${existingPlayer.shapes.length} shapes`);
       }
+    } else {
+      this.logger.log(`No existing player found with ID: ${playerId}, creating new player`);
     }
     
     // If not a reconnection, create a new player
@@ -174,13 +810,118 @@ class PhysicsRoom extends Room {
       // Create initial shape for the player - only if they don't have any shapes
       if (player.shapes.length === 0) {
         const initialShape = this.state.createShapeForPlayer(playerId);
-        logger.log(`Created player ${playerId} with initial shape ${initialShape?.id}`);
+        this.logger.log(`Created player ${playerId} with initial shape ${initialShape?.id}`);
       } else {
-        logger.log(`Created player ${playerId} with ${player.shapes.length} existing shapes`);
+        this.logger.log(`Created player ${playerId} with ${player.shapes.length} existing shapes`);
       }
     }
     
+    // Teams decide who may move `team` shapes. They come from the verified
+    // token (see verifyIdentity()), so rejoining with another token can switch teams.
+    this.state.getPlayer(playerId).team = client.auth.team || "";
+    
+    this.recordEvent("join", { sessionId: client.sessionId, playerId, player: this.state.getPlayerSnapshot(playerId) });
+    
+    metrics.instrumentClient(client);
+    
+    // Work out what the new client can see before its first full state
+    this.interest.rebuild(this.state);
+    this.updateClientInterest(client);
+    
     // Set up a ping interval to keep the connection alive
+    this.startPingInterval(client);
+    
+    this.sendWelcome(client);
+    this.updateRoomMetadata();
+  }
+
+  // Spectators get the state, chat and game messages but no player or fish.
+  // They see the whole arena, or what's around the player they follow.
+  addSpectator(client, options) {
+    client.userData = client.userData || {};
+    client.userData.spectator = true;
+    client.userData.followPlayerId = null;
+    this.logger.log(`Client ${client.sessionId} joined as a spectator`);
+    
+    if (options.follow !== undefined) {
+      if (typeof options.follow === "string" && this.state.getPlayer(options.follow)) {
+        client.userData.followPlayerId = options.follow;
+      } else {
+        this.logger.warn(`Ignoring invalid follow option from ${client.sessionId}`);
+      }
+    }
+    
+    metrics.instrumentClient(client);
+    this.interest.rebuild(this.state);
+    this.updateClientInterest(client);
+    this.startPingInterval(client);
+    
+    this.sendWelcome(client);
+    this.updateRoomMetadata();
+  }
+
+  sendWelcome(client) {
+    // Tell the client which room it ended up in (and how to invite friends)
+    client.send("room_info", {
+      roomId: this.roomId,
+      mode: this.mode,
+      region: this.region,
+      inviteCode: this.inviteCode,
+      maxClients: this.config.maxClients,
+      maxSpectators: this.config.maxSpectators,
+      spectator: this.isSpectator(client),
+      following: client.userData?.followPlayerId || null,
+      persistToken: this.getPersistToken()
+    });
+    
+    // Catch up on what was said before they came in
+    client.send("chat_history", { messages: this.chatHistory.toJSON() });
+  }
+
+  isSpectator(client) {
+    return Boolean(client.userData?.spectator);
+  }
+
+  getSpectatorCount() {
+    return this.clients.filter(client => this.isSpectator(client)).length;
+  }
+
+  // Seats taken by players, including those we're holding for reconnection
+  getPlayerSeatCount() {
+    return this.clients.filter(client => !this.isSpectator(client)).length + this.pendingReconnections.size;
+  }
+
+  // Point a spectator's camera, and area of interest, at a player's fish, or
+  // at the whole arena without a playerId
+  handleFollow(client, message) {
+    if (!this.isSpectator(client)) {
+      this.rejectWrongRole(client, "follow", "Only spectators can follow players");
+      return;
+    }
+    
+    const playerId = message.playerId || null;
+    if (playerId && !this.state.getPlayer(playerId)) {
+      metrics.messagesRejected.inc({ type: "follow", reason: ERROR_CODES.INVALID_FIELD });
+      this.sendError(client, ERROR_CODES.INVALID_FIELD, "follow", { path: "playerId", message: `playerId: no player ${playerId} in this room` });
+      return;
+    }
+    
+    client.userData.followPlayerId = playerId;
+    this.updateClientInterest(client);
+    client.send("following", { playerId });
+  }
+
+  rejectWrongRole(client, type, message) {
+    metrics.messagesRejected.inc({ type: this.getMetricType(type), reason: ERROR_CODES.WRONG_ROLE });
+    this.logger.sampled(`wrong-role:${client.sessionId}`).debug(`Rejected ${type} from ${client.sessionId}: ${message}`);
+    this.sendError(client, ERROR_CODES.WRONG_ROLE, type, { message });
+  }
+
+  startPingInterval(client) {
+    if (this.headless) {
+      return;
+    }
+    
     if (client.pingInterval) {
       clearInterval(client.pingInterval);
     }
@@ -190,190 +931,621 @@ class PhysicsRoom extends Room {
         if (client.readyState === 1) { // WebSocket.OPEN
           client.send("ping", { timestamp: Date.now() });
         } else {
-          logger.warn(`Client ${client.sessionId} not ready for ping, state: ${client.readyState}`);
+          this.logger.warn(`Client ${client.sessionId} not ready for ping, state: ${client.readyState}`);
           clearInterval(client.pingInterval);
           client.pingInterval = null;
         }
       } catch (e) {
-        logger.error(`Error sending ping to client ${client.sessionId}:`, e);
+        this.logger.error(`Error sending ping to client ${client.sessionId}:`, e);
         clearInterval(client.pingInterval);
         client.pingInterval = null;
       }
     }, 5000); // Ping every 5 seconds
   }
 
-  onLeave(client, consented) {
-    logger.log(`Client left: ${client.sessionId} (consented: ${consented})`);
-    this.lastActivityTime = Date.now(); // Update last activity time
-    
-    // Clear ping interval
-    if (client.pingInterval) {
-      clearInterval(client.pingInterval);
-      client.pingInterval = null;
-    }
+  async onLeave(client, consented) {
+    this.logger.log(`Client left: ${client.sessionId} (consented: ${consented})`);
+    this.lastActivityTime = Date.now(); // Update last activity time
+    
+    // Clear ping interval
+    if (client.pingInterval) {
+      clearInterval(client.pingInterval);
+      client.pingInterval = null;
+    }
+    
+    // Spectators have nothing to hold on to
+    if (this.isSpectator(client)) {
+      this.updateRoomMetadata();
+      return;
+    }
+    
+    // Find the player ID associated with this session
+    const playerId = this.sessionIdToPlayerId.get(client.sessionId);
+    
+    if (!playerId) {
+      this.logger.warn(`Could not find player ID for session ${client.sessionId}`);
+      return;
+    }
+    
+    this.recordEvent("leave", { sessionId: client.sessionId, playerId, consented, kicked: Boolean(client.userData?.kicked) });
+    
+    // Nobody can take over what a player was holding while they're gone
+    this.state.releaseShapesHeldBy(playerId);
+    
+    // Shutdown closes every client: keep their fish so the final snapshot has
+    // them, ready for when they rejoin the next server
+    if (this.shuttingDown) {
+      this.state.markPlayerConnected(playerId, false);
+      this.pendingInputs.delete(playerId);
+      return;
+    }
+    
+    // Leaving on purpose, or being kicked, removes the fish right away
+    if (consented || client.userData?.kicked) {
+      this.removePlayerFromRoom(playerId);
+      return;
+    }
+    
+    // Otherwise keep the fish frozen in the world while we wait for them
+    this.state.markPlayerConnected(playerId, false);
+    this.pendingInputs.delete(playerId);
+    this.updateRoomMetadata();
+    
+    try {
+      this.logger.log(`Holding player ${playerId} for ${this.config.reconnectionGraceSeconds}s to reconnect`);
+      const reconnection = this.allowReconnection(client, this.config.reconnectionGraceSeconds);
+      this.pendingReconnections.set(playerId, reconnection);
+      
+      const newClient = await reconnection;
+      this.pendingReconnections.delete(playerId);
+      
+      this.logger.log(`Player ${playerId} reconnected as ${newClient.sessionId}`);
+      this.recordEvent("reconnect", { sessionId: newClient.sessionId, playerId });
+      this.state.markPlayerConnected(playerId, true);
+      metrics.instrumentClient(newClient);
+      this.startPingInterval(newClient);
+      this.updateClientInterest(newClient);
+      this.updateRoomMetadata();
+    } catch (error) {
+      // A fresh join by the same player already took the fish over
+      if (this.playerIdToSessionId.get(playerId) !== client.sessionId) {
+        this.sessionIdToPlayerId.delete(client.sessionId);
+        return;
+      }
+      
+      this.pendingReconnections.delete(playerId);
+      
+      // Shutdown cancels every reconnection hold; the fish stays for the
+      // final snapshot like those of the players still connected
+      if (this.shuttingDown) {
+        this.state.markPlayerConnected(playerId, false);
+        return;
+      }
+      
+      this.logger.log(`Player ${playerId} did not reconnect in time, removing`);
+      this.removePlayerFromRoom(playerId);
+    }
+  }
+
+  // Players held for reconnection are removed when their grace period runs
+  // out; this catches the ones nobody holds, i.e. restored from a snapshot
+  removeInactivePlayers() {
+    this.state.findInactivePlayers(INACTIVE_PLAYER_TIMEOUT_MS)
+      .filter(playerId => !this.pendingReconnections.has(playerId))
+      .forEach((playerId) => {
+        this.logger.log(`Removing player ${playerId}, disconnected for over ${INACTIVE_PLAYER_TIMEOUT_MS / 1000} seconds`);
+        this.removePlayerFromRoom(playerId);
+      });
+  }
+
+  // Remove a player, their shapes and every per-player record, and tell clients
+  removePlayerFromRoom(playerId) {
+    this.recordEvent("remove", { playerId });
+    
+    // Get the player's shapes before they're removed
+    const player = this.state.getPlayer(playerId);
+    if (player) {
+      // Log the shapes that will be removed
+      this.logger.log(`Player ${playerId} disconnected with ${player.shapes.length} shapes`);
+      
+      // Immediately remove all shapes for this player
+      if (player.shapes.length > 0) {
+        this.logger.log(`Removing ${player.shapes.length} shapes for disconnected player ${playerId}`);
+        
+        while (player.shapes.length > 0) {
+          const shapeId = player.shapes[0].id;
+          player.removeShape(shapeId);
+          this.gameMode.onShapeRemoved(shapeId);
+          this.logger.log(`Removed shape ${shapeId} for disconnected player ${playerId}`);
+        }
+      }
+      
+      // Remove the player from the state
+      this.state.removePlayer(playerId);
+      this.logger.log(`Removed player ${playerId} from state`);
+    }
+    
+    this.state.releaseShapesHeldBy(playerId);
+    
+    // Forget the player's validation history and unapplied inputs
+    this.stateValidator.removePlayer(playerId);
+    this.pendingInputs.delete(playerId);
+    
+    // Clean up mappings
+    const sessionId = this.playerIdToSessionId.get(playerId);
+    if (sessionId) {
+      this.sessionIdToPlayerId.delete(sessionId);
+    }
+    this.playerIdToSessionId.delete(playerId);
+    
+    // Broadcast to all clients that this player has been removed
+    this.broadcast("player_removed", { playerId });
+    
+    // Spectators following them go back to watching the whole arena
+    this.clients.forEach((client) => {
+      if (client.userData?.followPlayerId === playerId) {
+        client.userData.followPlayerId = null;
+        client.send("following", { playerId: null });
+      }
+    });
+    
+    this.updateRoomMetadata();
+  }
+
+  // Publish what the lobby shows for this room
+  async updateRoomMetadata() {
+    if (this.headless) {
+      return;
+    }
+    
+    try {
+      // Rooms whose player seats are taken drop out of joinOrCreate(), like
+      // full rooms, while spectators can still joinById()
+      if (!this.config.private && !this.shuttingDown) {
+        await this.setPrivate(this.getPlayerSeatCount() >= this.config.maxClients);
+      }
+      
+      await this.setMetadata({
+        mode: this.mode,
+        region: this.region,
+        gameMode: this.config.gameMode,
+        level: this.config.level,
+        inviteCode: this.inviteCode,
+        playerCount: this.state.players.size,
+        connectedPlayers: this.state.getConnectedPlayerCount(),
+        spectators: this.getSpectatorCount()
+      });
+      
+      // Joins and leaves already refresh the lobby, but players timing out
+      // of their reconnection window don't
+      if (this.listing.roomId) {
+        updateLobby(this);
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to update room metadata: ${error.message}`);
+    }
+  }
+
+  // Called by Colyseus on every room when the server shuts down (see
+  // index.js), after the room has been locked. Clients are told when to come
+  // back and with which options before their sockets are closed; onDispose()
+  // then saves the snapshot and closes the recording.
+  onBeforeShutdown() {
+    this.shuttingDown = true;
+    this.logger.warn(`Server shutting down, disconnecting ${this.clients.length} clients`);
+    
+    this.broadcast("server_shutdown", {
+      reconnectAfterMs: SHUTDOWN_RECONNECT_DELAY_MS,
+      // Rejoining with these lands players back in a room restored from this
+      // one's snapshot, when it has one
+      rejoinOptions: this.config.private && this.persistKey
+        ? { mode: this.mode, region: this.region, gameMode: this.config.gameMode, private: true, persistToken: this.getPersistToken() }
+        : { mode: this.mode, region: this.region, gameMode: this.config.gameMode },
+      restoresState: Boolean(this.persistKey)
+    });
+    this.disconnect(SERVER_SHUTDOWN_CLOSE_CODE);
+  }
+
+  async onDispose() {
+    this.logger.log("Room is being disposed...");
+    metrics.untrackRoom(this);
+    // Clean up any resources
+    
+    // Clear all intervals
+    for (const client of this.clients) {
+      if (client.pingInterval) {
+        clearInterval(client.pingInterval);
+        client.pingInterval = null;
+      }
+    }
+    
+    this.shapeHistory.clear();
+    this.lagCompensator.clear();
+    
+    if (this.recorder) {
+      this.recordEvent("keyframe", { state: this.state.toSnapshot() });
+      this.recordEvent("end");
+      await this.recorder.close();
+      this.recorder = null;
+    }
+    
+    // Keep the final state for whichever room claims this key next
+    if (this.persistKey) {
+      await this.saveSnapshot();
+      await this.releasePersistKey(this.persistKey);
+    }
+    
+    this.logger.log("Room disposed");
+  }
+
+  update(deltaTime = this.fixedTimeStepMs) {
+    // Advance the simulation in fixed steps, regardless of how irregularly
+    // the interval fires, so every server run produces the same result
+    this.simulationAccumulator += deltaTime;
+    
+    // Apply held-back shape updates before stepping
+    this.flushCoalescedMessages();
+    
+    let steps = 0;
+    while (this.simulationAccumulator >= this.fixedTimeStepMs && steps < MAX_STEPS_PER_UPDATE) {
+      const stepStartedAt = process.hrtime.bigint();
+      this.stepSimulation();
+      metrics.simulationStepDuration.observe({}, Number(process.hrtime.bigint() - stepStartedAt) / 1e9);
+      this.simulationAccumulator -= this.fixedTimeStepMs;
+      steps++;
+    }
+    
+    // Drop whatever we couldn't catch up on rather than spiralling
+    if (steps === MAX_STEPS_PER_UPDATE) {
+      this.simulationAccumulator = 0;
+    }
+    
+    // Update server time
+    this.state.serverTime = Date.now();
+  }
+
+  logRoomStatus() {
+    const connectedPlayers = this.state.getConnectedPlayerCount();
+    const disconnectedPlayers = this.state.getDisconnectedPlayerCount();
+    this.logger.log(`Room status: ${connectedPlayers} connected, ${disconnectedPlayers} disconnected players`);
+    
+    const { dropped, coalesced, disconnected } = this.getRateLimitStats();
+    this.logger.log("Rate limiting:", { dropped, coalesced, disconnected });
+    
+    // Log client connection details
+    this.logger.log(`Connected clients: ${this.clients.length}`);
+    this.clients.forEach(client => {
+      this.logger.log(`Client ${client.sessionId} - readyState: ${client.readyState}`);
+    });
+    
+    // Only logged: rooms dispose by themselves once they're empty and nobody
+    // is held for reconnection (see autoDispose)
+    const inactiveTime = Date.now() - this.lastActivityTime;
+    this.logger.log(`Room inactive for ${Math.floor(inactiveTime / 1000)} seconds`);
+  }
+
+  stepSimulation() {
+    this.processPendingInputs();
+    
+    const shapes = this.state.getAllShapes();
+    const owners = this.state.getShapeOwners();
+    const collisions = [];
+    
+    // Resolve flings against other shapes as the attacker saw them
+    const contactDistance = (a, b) => this.physicsWorld.getBoundingRadius(a) + this.physicsWorld.getBoundingRadius(b);
+    this.lagCompensator.detectHits(this.state.tick, shapes, owners, contactDistance).forEach((hit) => {
+      // Two frozen shapes can't push each other (resolveContact() has
+      // nothing to resolve), so leave the hit for when one of them thaws
+      if (hit.attacker.frozen && hit.victim.frozen) {
+        return;
+      }
+      if (!this.lagCompensator.claimHit(hit.attacker.id, hit.victim.id)) {
+        return;
+      }
+      const contact = this.physicsWorld.resolveContact(hit.attacker, hit.victim, hit.nx, hit.ny, 0);
+      collisions.push({ ...contact, rewoundTick: hit.rewoundTick });
+    });
+    
+    const contacts = this.physicsWorld.step(
+      shapes,
+      this.state.boundaryWidth,
+      this.state.boundaryHeight
+    );
+    
+    // Flung shapes that reach their victim in the present are hits too
+    contacts.forEach((contact) => {
+      if (owners.get(contact.a) === owners.get(contact.b)) {
+        return;
+      }
+      const attackerId = this.lagCompensator.isFlinging(contact.a) ? contact.a : contact.b;
+      const victimId = attackerId === contact.a ? contact.b : contact.a;
+      if (this.lagCompensator.claimHit(attackerId, victimId)) {
+        collisions.push({ ...contact, rewoundTick: null });
+      }
+    });
+    
+    this.state.tick++;
+    this.shapeHistory.record(this.state.tick, Date.now(), shapes);
+    
+    collisions.forEach(collision => this.handleCollision(collision, owners));
+    
+    // Once per simulated second. Part of the step rather than a clock
+    // interval, so replays reset (and score knockouts for) the same shapes.
+    if (this.state.tick % this.config.tickRate === 0) {
+      this.checkAndResetOutOfBoundsShapes();
+    }
+    
+    this.gameMode.step(this.fixedTimeStepMs);
+  }
+
+  // Tell the clients that can see it, and the game mode (hits count towards
+  // knockouts)
+  handleCollision(collision, owners) {
+    // Contacts are reported from a to b; report them from the attacker's side
+    const attackerIsA = this.lagCompensator.isFlinging(collision.a);
+    const attackerShapeId = attackerIsA ? collision.a : collision.b;
+    const victimShapeId = attackerIsA ? collision.b : collision.a;
+    const direction = attackerIsA ? 1 : -1;
+    
+    this.broadcastToInterested("collision", {
+      attackerShapeId,
+      victimShapeId,
+      attackerPlayerId: owners.get(attackerShapeId),
+      victimPlayerId: owners.get(victimShapeId),
+      impulse: {
+        x: collision.nx * collision.impulse * direction,
+        y: collision.ny * collision.impulse * direction
+      },
+      tick: this.state.tick,
+      // The tick the hit was resolved at; earlier than `tick` when it was lag compensated
+      rewoundTick: collision.rewoundTick ?? this.state.tick
+    }, [owners.get(attackerShapeId), owners.get(victimShapeId)]);
+    
+    this.gameMode.onHit(victimShapeId, owners.get(attackerShapeId));
+  }
+
+  // Send a message only to clients that have at least one of the given
+  // players in their area of interest
+  broadcastToInterested(type, message, playerIds, options = {}) {
+    this.clients.forEach((client) => {
+      if (client === options.except) {
+        return;
+      }
+      
+      const visible = client.userData?.visiblePlayerIds;
+      if (!visible || playerIds.some(id => visible.has(id))) {
+        client.send(type, message, options);
+      }
+    });
+  }
+
+  updateAreaOfInterest() {
+    this.interest.rebuild(this.state);
+    this.clients.forEach(client => this.updateClientInterest(client));
+  }
+
+  // Recompute the players a client can see. Players coming into view get
+  // their shapes re-sent; clients are told about players leaving view so
+  // they can hide them (the state filter stops updating them, it doesn't
+  // delete them on the client).
+  updateClientInterest(client) {
+    client.userData = client.userData || {};
     
-    // Find the player ID associated with this session
+    // Players see around their own fish, spectators around the one they follow
     const playerId = this.sessionIdToPlayerId.get(client.sessionId);
+    const targetId = playerId || client.userData.followPlayerId;
+    const targetShape = targetId ? this.state.getPlayer(targetId)?.shapes[0] : null;
+    const focus = targetShape ? { x: targetShape.x, y: targetShape.y } : null;
     
-    if (!playerId) {
-      logger.warn(`Could not find player ID for session ${client.sessionId}`);
+    const previous = client.userData.visiblePlayerIds;
+    const visible = this.interest.getVisiblePlayerIds(focus, previous);
+    if (targetId && this.state.players.has(targetId)) {
+      visible.add(targetId);
+    }
+    client.userData.visiblePlayerIds = visible;
+    
+    // First calculation for this client: the full state covers it
+    if (!previous) {
       return;
     }
     
-    // Get the player's shapes before they're removed
-    const player = this.state.getPlayer(playerId);
-    if (player) {
-      // Log the shapes that will be removed
-      logger.log(`Player ${playerId} disconnected with ${player.shapes.length} shapes`);
-      
-      // Immediately remove all shapes for this player
-      if (player.shapes.length > 0) {
-        logger.log(`Removing ${player.shapes.length} shapes for disconnected player ${playerId}`);
-        
-        while (player.shapes.length > 0) {
-          const shapeId = player.shapes[0].id;
-          player.removeShape(shapeId);
-          logger.log(`Removed shape ${shapeId} for disconnected player ${playerId}`);
-        }
+    const entered = [];
+    visible.forEach((id) => {
+      if (!previous.has(id)) {
+        entered.push(id);
+        this.resyncPlayerShapes(id);
       }
-      
-      // Remove the player from the state
-      this.state.removePlayer(playerId);
-      logger.log(`Removed player ${playerId} from state`);
-    }
+    });
     
-    // Clean up mappings
-    this.sessionIdToPlayerId.delete(client.sessionId);
-    this.playerIdToSessionId.delete(playerId);
+    const left = [];
+    previous.forEach((id) => {
+      if (!visible.has(id) && this.state.players.has(id)) {
+        left.push(id);
+      }
+    });
     
-    // Broadcast to all clients that this player has been removed
-    this.broadcast("player_removed", { playerId });
+    if (entered.length > 0 || left.length > 0) {
+      client.send("interest_update", { entered, left });
+    }
   }
 
-  onDispose() {
-    logger.log("Room is being disposed...");
-    // Clean up any resources
-    
-    // Clear all intervals
-    for (const client of this.clients) {
-      if (client.pingInterval) {
-        clearInterval(client.pingInterval);
-        client.pingInterval = null;
-      }
+  // Mark a player's shapes as changed so clients that just gained sight of
+  // them get current values rather than whatever they saw last
+  resyncPlayerShapes(playerId) {
+    const player = this.state.getPlayer(playerId);
+    if (!player) {
+      return;
     }
     
-    logger.log("Room disposed");
+    player.shapes.forEach((shape) => {
+      shape.setDirty("x");
+      shape.setDirty("y");
+      shape.setDirty("angle");
+      shape.setDirty("color");
+      shape.velocity.setDirty("x");
+      shape.velocity.setDirty("y");
+    });
+  }
+
+  // How many ticks in the past this client sees other players' fish
+  getRewindTicks(client) {
+    const rtt = client.userData?.rtt || 0;
+    return (rtt / 2 + INTERPOLATION_DELAY_MS) / this.fixedTimeStepMs;
   }
 
-  update() {
-    // This is where we would update physics if we were running a full simulation on the server
-    // For now, we'll just rely on client updates and validate them
+  handlePong(client, message) {
+    const rtt = Date.now() - message.timestamp;
+    if (rtt < 0 || rtt > 60000) {
+      this.logger.sampled(`rtt:${client.sessionId}`).debug(`Ignoring implausible RTT ${rtt}ms from ${client.sessionId}`);
+      return;
+    }
+    metrics.clientRtt.observe({ room_id: this.roomId }, rtt);
     
-    // Update server time
-    this.state.serverTime = Date.now();
+    // Smooth the RTT so a single slow pong doesn't skew it
+    client.userData = client.userData || {};
+    const previous = client.userData.rtt;
+    client.userData.rtt = previous === undefined ? rtt : previous * 0.8 + rtt * 0.2;
+  }
+
+  handleTimeSync(client, message) {
+    const receivedAt = Date.now();
     
-    // Only log occasionally to avoid spamming the logs
-    if (this.state.serverTime % 10000 < 16) { // Log roughly every 10 seconds
-      const connectedPlayers = Array.from(this.state.players.values())
-        .filter(player => !player.disconnected)
-        .length;
+    client.send("time_sync", {
+      clientTime: message.clientTime,
+      serverReceiveTime: receivedAt,
+      serverSendTime: Date.now(),
+      tick: this.state.tick,
+      tickIntervalMs: this.fixedTimeStepMs,
+      interpolationDelayMs: INTERPOLATION_DELAY_MS
+    });
+  }
+
+  // Apply every queued input in sequence order, then acknowledge the last
+  // one so the client can drop it from its prediction buffer
+  processPendingInputs() {
+    this.pendingInputs.forEach((inputs, playerId) => {
+      if (inputs.length === 0) {
+        return;
+      }
       
-      const disconnectedPlayers = Array.from(this.state.players.values())
-        .filter(player => player.disconnected)
-        .length;
+      const player = this.state.getPlayer(playerId);
+      if (!player) {
+        this.pendingInputs.delete(playerId);
+        return;
+      }
       
-      if (connectedPlayers > 0 || disconnectedPlayers > 0) {
-        logger.log(`Active players: ${connectedPlayers} connected, ${disconnectedPlayers} disconnected`);
+      inputs.forEach((input) => {
+        const shape = this.getInputShape(player, input.shapeId);
         
-        // Log client connection details
-        logger.log(`Connected clients: ${this.clients.length}`);
-        this.clients.forEach(client => {
-          logger.log(`Client ${client.sessionId} - readyState: ${client.readyState}`);
-        });
-      }
+        if (shape) {
+          shape.setVelocity(input.fling.x, input.fling.y);
+          shape.lastUpdate = Date.now();
+          this.lagCompensator.registerFling(shape.id, playerId, input.rewindTicks, this.state.tick);
+        }
+        
+        player.lastProcessedInput = input.seq;
+      });
       
-      // Clean up inactive players
-      const removedCount = this.state.cleanupInactivePlayers(300000); // 5 minutes
-      if (removedCount > 0) {
-        logger.log(`Cleaned up ${removedCount} inactive players`);
-      }
-    }
+      inputs.length = 0;
+    });
   }
 
-  handleShapeUpdate(client, message) {
-    if (!message.shapes || !Array.isArray(message.shapes)) {
-      logger.warn(`Invalid shape update from ${client.sessionId}: missing shapes array`);
-      return;
+  // The shape an input flings: the one named, if the player may still act on
+  // it by now, or else their first shape unless someone else is holding it
+  getInputShape(player, shapeId) {
+    if (!shapeId) {
+      const shape = player.shapes[0];
+      return shape && (!shape.heldBy || shape.heldBy === player.id) ? shape : null;
     }
-    
+    const found = this.state.findShape(shapeId);
+    return found && !checkShapeAccess(found.shape, found.owner, player) ? found.shape : null;
+  }
+
+  handleInput(client, message) {
     // Find the player ID associated with this session
     const playerId = this.sessionIdToPlayerId.get(client.sessionId);
     
     if (!playerId) {
       // Silently ignore messages from sessions without player IDs
-      // This happens when processing messages from disconnected clients
       return;
     }
     
     const player = this.state.getPlayer(playerId);
     if (!player) {
-      logger.warn(`Player not found for shape update: ${playerId}`);
+      this.logger.sampled(`missing-player:${playerId}`).warn(`Player not found for input: ${playerId}`);
       return;
     }
     
-    // Get the standard boundaries
-    const boundaries = {
-      width: this.state.boundaryWidth,
-      height: this.state.boundaryHeight
-    };
+    let inputs = this.pendingInputs.get(playerId);
+    if (!inputs) {
+      inputs = [];
+      this.pendingInputs.set(playerId, inputs);
+    }
+    
+    // Drop duplicates and anything older than what we've already accepted
+    const lastSeq = inputs.length > 0 ? inputs[inputs.length - 1].seq : player.lastProcessedInput;
+    if (message.seq <= lastSeq) {
+      this.logger.sampled(`stale-input:${playerId}`).debug(`Dropping stale input ${message.seq} from ${playerId} (last: ${lastSeq})`);
+      return;
+    }
     
-    // Define the out-of-bounds threshold
-    const threshold = 200;
+    if (inputs.length >= MAX_PENDING_INPUTS) {
+      this.logger.sampled(`input-queue:${playerId}`).warn(`Input queue full for player ${playerId}, dropping input ${message.seq}`);
+      return;
+    }
     
-    // Process each shape update
-    message.shapes.forEach((shapeData) => {
-      if (!this.validateShapeData(shapeData)) {
-        logger.warn(`Invalid shape data from ${playerId}:`, shapeData);
+    // Flinging another player's shape needs the same access as moving it
+    if (message.shapeId) {
+      const found = this.state.findShape(message.shapeId);
+      const rejection = found && checkShapeAccess(found.shape, found.owner, player);
+      if (rejection) {
+        this.rejectShapeAction(client, "input", message.shapeId, rejection);
         return;
       }
-      
-      // Find the shape in the player's shapes
-      const existingShape = player.shapes.find(s => s.id === shapeData.id);
-      
-      if (existingShape) {
-        // Check if the shape is within reasonable bounds before updating
-        const isWithinBounds = 
-          shapeData.x >= -threshold && 
-          shapeData.x <= boundaries.width + threshold && 
-          shapeData.y >= -threshold && 
-          shapeData.y <= boundaries.height + threshold;
-        
-        if (isWithinBounds) {
-          // Update existing shape
-          existingShape.setPosition(shapeData.x, shapeData.y, shapeData.angle);
-          existingShape.setVelocity(shapeData.velocity.x, shapeData.velocity.y);
-          existingShape.lastUpdate = Date.now();
-          
-          // Log significant position changes for debugging
-          if (Math.abs(shapeData.x) > 5000 || Math.abs(shapeData.y) > 5000) {
-            logger.warn(`Unusually large position for shape ${shapeData.id}: (${shapeData.x}, ${shapeData.y})`);
-          }
-        } else {
-          logger.warn(`Rejecting out-of-bounds update for shape ${shapeData.id}: (${shapeData.x}, ${shapeData.y})`);
-        }
-      }
+    }
+    
+    const { velocity, escalation } = this.stateValidator.validateVelocity(playerId, message.fling);
+    
+    inputs.push({
+      seq: message.seq,
+      tick: message.tick, // The client's own simulation tick when the input was made
+      shapeId: message.shapeId || null,
+      fling: velocity,
+      rewindTicks: this.getRewindTicks(client)
     });
     
     // Update player's last activity time
     player.lastActivity = Date.now();
+    
+    this.handleValidationEscalation(client, playerId, escalation);
   }
 
-  handlePhysicsAction(client, message) {
-    if (!message.action || !message.action.type || !message.action.shapeId) {
-      logger.warn(`Invalid physics action from ${client.sessionId}:`, message);
+  // Client-simulated positions are only a hint: the server simulates every
+  // shape from `input` messages and never copies them into the state. The
+  // message still counts as activity, so older clients aren't timed out.
+  handleShapeUpdate(client, message) {
+    // Find the player ID associated with this session
+    const playerId = this.sessionIdToPlayerId.get(client.sessionId);
+    
+    if (!playerId) {
+      // Silently ignore messages from sessions without player IDs
+      // This happens when processing messages from disconnected clients
+      return;
+    }
+    
+    const player = this.state.getPlayer(playerId);
+    if (!player) {
+      this.logger.sampled(`missing-player:${playerId}`).warn(`Player not found for shape update: ${playerId}`);
       return;
     }
     
+    this.logger.sampled(`ignored-shape-update:${playerId}`).debug(`Ignoring client-simulated state of ${message.shapes.length} shapes from player ${playerId}`);
+    
+    // Update player's last activity time
+    player.lastActivity = Date.now();
+  }
+
+  handlePhysicsAction(client, message) {
     // Find the player ID associated with this session
     const playerId = this.sessionIdToPlayerId.get(client.sessionId);
     
@@ -385,101 +1557,149 @@ class PhysicsRoom extends Room {
     
     const player = this.state.getPlayer(playerId);
     if (!player) {
-      logger.warn(`Player not found for physics action: ${playerId}`);
+      this.logger.sampled(`missing-player:${playerId}`).warn(`Player not found for physics action: ${playerId}`);
       return;
     }
     
     const { action } = message;
-    const shape = player.shapes.find(s => s.id === action.shapeId);
+    const found = this.state.findShape(action.shapeId);
+    if (!found) {
+      this.logger.sampled(`missing-shape:${action.shapeId}`).debug(`Shape not found for physics action: ${action.shapeId}`);
+      return;
+    }
     
-    if (!shape) {
-      // Check if this shape belongs to another player - if so, reject the action
-      let belongsToAnotherPlayer = false;
-      this.state.players.forEach((otherPlayer, otherPlayerId) => {
-        if (otherPlayerId !== playerId) {
-          const otherPlayerHasShape = otherPlayer.shapes.some(s => s.id === action.shapeId);
-          if (otherPlayerHasShape) {
-            belongsToAnotherPlayer = true;
-            logger.warn(`Player ${playerId} attempted to modify shape ${action.shapeId} belonging to player ${otherPlayerId}`);
-          }
-        }
-      });
-      
-      if (belongsToAnotherPlayer) {
-        // Reject the action - player doesn't own this shape
-        return;
-      }
-      
-      // If we get here, the shape doesn't exist for any player
-      logger.debug(`Shape not found for physics action: ${action.shapeId}`);
+    const { shape, owner } = found;
+    const rejection = action.type === "release"
+      ? checkRelease(shape, owner, player)
+      : checkShapeAccess(shape, owner, player);
+    if (rejection) {
+      this.rejectShapeAction(client, "physics_action", shape.id, rejection);
       return;
     }
     
+    // The action as accepted by the validator; this is what gets broadcast
+    let validatedAction = action;
+    let escalation = null;
+    
     // Handle different action types
     switch (action.type) {
       case 'position':
-        if (typeof action.x !== 'number' || typeof action.y !== 'number') {
-          logger.warn(`Invalid position data in physics action from ${playerId}`);
-          return;
-        }
+        // Positions come from the server's simulation alone; like
+        // `shape_update`, this is a hint that is neither applied nor relayed
+        this.logger.sampled(`ignored-position:${shape.id}`).debug(`Ignoring client-sent position for shape ${shape.id}`);
+        player.lastActivity = Date.now();
+        return;
         
-        // Update the shape in the server state
-        shape.setPosition(action.x, action.y, action.angle);
+      case 'impulse': {
+        const result = this.stateValidator.validateVelocity(playerId, action.velocity);
+        escalation = result.escalation;
+        validatedAction = { ...action, velocity: result.velocity };
         
-        if (action.velocity) {
-          shape.setVelocity(action.velocity.x, action.velocity.y);
-        }
+        // Update the velocity in the server state
+        shape.setVelocity(result.velocity.x, result.velocity.y);
+        
+        // Hits from this fling are resolved against what the player saw
+        this.lagCompensator.registerFling(shape.id, playerId, this.getRewindTicks(client), this.state.tick);
         
         // Update the last update timestamp to track activity
         shape.lastUpdate = Date.now();
         
-        // Log significant position changes for debugging - increased threshold from 1000 to 5000
-        if (Math.abs(action.x) > 5000 || Math.abs(action.y) > 5000) {
-          logger.warn(`Unusually large position for shape ${action.shapeId}: (${action.x}, ${action.y})`);
+        // Log significant impulses for debugging
+        if (Math.abs(action.velocity.x) > 50 || Math.abs(action.velocity.y) > 50) {
+          this.logger.sampled(`large-impulse:${action.shapeId}`).warn(`Unusually large impulse for shape ${action.shapeId}: (${action.velocity.x}, ${action.velocity.y})`);
         }
         break;
+      }
         
-      case 'impulse':
-        if (!action.velocity || typeof action.velocity.x !== 'number' || typeof action.velocity.y !== 'number') {
-          logger.warn(`Invalid velocity data in physics action from ${playerId}`);
-          return;
-        }
-        
-        // Update the velocity in the server state
-        shape.setVelocity(action.velocity.x, action.velocity.y);
-        
-        // Update the last update timestamp to track activity
+      // Server-mediated hand-off: the holder alone controls the shape until
+      // they release it (optionally throwing it) or its owner takes it back
+      case 'grab':
+        shape.heldBy = playerId;
         shape.lastUpdate = Date.now();
+        this.logger.log(`Player ${playerId} grabbed shape ${shape.id} of player ${owner.id}`);
+        break;
         
-        // Log significant impulses for debugging
-        if (Math.abs(action.velocity.x) > 50 || Math.abs(action.velocity.y) > 50) {
-          logger.warn(`Unusually large impulse for shape ${action.shapeId}: (${action.velocity.x}, ${action.velocity.y})`);
+      case 'release': {
+        shape.heldBy = "";
+        shape.lastUpdate = Date.now();
+        if (action.velocity) {
+          const result = this.stateValidator.validateVelocity(playerId, action.velocity);
+          escalation = result.escalation;
+          validatedAction = { ...action, velocity: result.velocity };
+          shape.setVelocity(result.velocity.x, result.velocity.y);
+          this.lagCompensator.registerFling(shape.id, playerId, this.getRewindTicks(client), this.state.tick);
+          
+          // Throwing someone else's fish out of the arena is a knockout too
+          if (playerId !== owner.id) {
+            this.gameMode.onHit(shape.id, playerId);
+          }
         }
+        this.logger.log(`Player ${playerId} released shape ${shape.id} of player ${owner.id}`);
         break;
+      }
         
       default:
-        logger.warn(`Unknown physics action type: ${action.type}`);
-        return; // Don't broadcast unknown action types
+        // Unreachable: the schema only lets known action types through
+        return;
     }
     
     // Broadcast the action to other clients with high priority
-    this.broadcast("physics_action", {
+    this.broadcastToInterested("physics_action", {
       playerId: playerId,
       shapeId: action.shapeId,
       action: {
-        ...action,
-        timestamp: Date.now() // Add timestamp for clients to handle synchronization
+        ...validatedAction,
+        timestamp: Date.now(), // Add timestamp for clients to handle synchronization
+        tick: this.state.tick
       }
-    }, { 
+    }, [playerId], { 
       except: client,
       immediate: true // Use immediate flag to prioritize physics actions
     });
     
     // Update player's last activity time
     player.lastActivity = Date.now();
+    
+    this.handleValidationEscalation(client, playerId, escalation);
+  }
+
+  // Disconnect an older session of the same player, detaching it from the
+  // player first so its onLeave doesn't remove the player's fish
+  replaceExistingSession(playerId, newClient) {
+    const previousSessionId = this.playerIdToSessionId.get(playerId);
+    if (!previousSessionId || previousSessionId === newClient.sessionId) {
+      return;
+    }
+    
+    this.sessionIdToPlayerId.delete(previousSessionId);
+    
+    const previousClient = this.clients.find(c => c.sessionId === previousSessionId);
+    if (previousClient) {
+      this.logger.log(`Player ${playerId} signed in again, closing previous session ${previousSessionId}`);
+      previousClient.leave(SESSION_REPLACED_CLOSE_CODE, "Signed in from another session");
+    }
+  }
+
+  // Escalate repeated validation violations: clamping already happened, so
+  // either warn the client once or disconnect it
+  handleValidationEscalation(client, playerId, escalation) {
+    if (escalation === "warn") {
+      const score = this.stateValidator.getViolationScore(playerId);
+      this.logger.warn(`Player ${playerId} warned for validation violations (score: ${score.toFixed(1)})`);
+      client.send("validation_warning", {
+        score,
+        kickScore: this.stateValidator.thresholds.kickScore,
+        message: "Your client is sending invalid physics state and will be disconnected if this continues"
+      });
+    } else if (escalation === "kick") {
+      this.logger.warn(`Kicking player ${playerId} for repeated validation violations`);
+      client.userData = client.userData || {};
+      client.userData.kicked = true;
+      client.leave(KICK_CLOSE_CODE, "Too many invalid physics updates");
+    }
   }
 
-  handleCreateShape(client) {
+  handleCreateShape(client, message) {
     // Find the player ID associated with this session
     const playerId = this.sessionIdToPlayerId.get(client.sessionId);
     
@@ -491,32 +1711,138 @@ class PhysicsRoom extends Room {
     
     const player = this.state.getPlayer(playerId);
     if (!player) {
-      logger.warn(`Player not found for create shape: ${playerId}`);
+      this.logger.warn(`Player not found for create shape: ${playerId}`);
       return;
     }
     
-    // DISABLED: Temporarily prevent creating additional shapes
-    // Only allow shape creation if the player has no shapes
-    if (player.shapes.length > 0) {
-      logger.log(`Player ${playerId} attempted to create additional shape, but this feature is disabled`);
+    // Each room decides how many shapes a player may have at once
+    const limit = this.config.maxShapesPerPlayer;
+    if (player.shapes.length >= limit) {
+      metrics.messagesRejected.inc({ type: "create_shape", reason: ERROR_CODES.SHAPE_LIMIT_REACHED });
+      this.logger.sampled(`shape-limit:${client.sessionId}`).debug(`Player ${playerId} is at the limit of ${limit} shapes`);
+      this.sendError(client, ERROR_CODES.SHAPE_LIMIT_REACHED, "create_shape", {
+        limit,
+        message: `At most ${limit} shapes per player in this room`
+      });
+      return;
+    }
+    
+    // Kind, size and material, checked against the whitelist in lib/shapes.js
+    let body;
+    try {
+      body = resolveShapeBody(message);
+    } catch (error) {
+      if (!(error instanceof ShapeSpecError)) {
+        throw error;
+      }
+      metrics.messagesRejected.inc({ type: "create_shape", reason: ERROR_CODES.INVALID_FIELD });
+      this.sendError(client, ERROR_CODES.INVALID_FIELD, "create_shape", { path: error.path, message: error.message });
       return;
     }
     
     // Create a new shape for the player with a unique timestamp-based ID
     const uniqueId = `${playerId}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-    const shape = this.state.createShapeForPlayer(playerId, uniqueId);
+    const shape = this.state.createShapeForPlayer(playerId, uniqueId, body);
     
     if (shape) {
-      logger.log(`Created new shape ${shape.id} for player ${playerId}`);
+      this.logger.log(`Created new ${shape.kind} shape ${shape.id} for player ${playerId}`);
+      // The ID and spawn point are random; replays take them from here
+      this.recordEvent("shape_created", { playerId, shape: this.state.getShapeSnapshot(shape) });
     }
   }
 
-  handleRemoveShape(client, message) {
+  handleSetShapePermission(client, message) {
+    const playerId = this.sessionIdToPlayerId.get(client.sessionId);
+    const player = playerId && this.state.getPlayer(playerId);
+    if (!player) {
+      return;
+    }
+    
+    const shape = player.shapes.find(s => s.id === message.shapeId);
+    if (!shape) {
+      this.rejectShapeAction(client, "set_shape_permission", message.shapeId, REJECTION_REASONS.NOT_OWNER);
+      return;
+    }
+    
+    shape.permission = message.permission;
+    
+    // Whoever holds it has to let go if the new permission shuts them out
+    const holder = shape.heldBy && this.state.getPlayer(shape.heldBy);
+    if (shape.heldBy && (!holder || checkPermission(shape, player, holder))) {
+      this.logger.log(`Releasing shape ${shape.id} from ${shape.heldBy} after its permission changed`);
+      shape.heldBy = "";
+    }
+    this.logger.log(`Player ${playerId} set permission of shape ${shape.id} to ${message.permission}`);
+  }
+
+  // Tell the client it may not act on this shape; see lib/permissions.js
+  rejectShapeAction(client, type, shapeId, reason) {
+    metrics.messagesRejected.inc({ type, reason: ERROR_CODES.NOT_PERMITTED });
+    this.logger.sampled(`not-permitted:${client.sessionId}`).debug(`Rejected ${type} on shape ${shapeId} from ${client.sessionId}: ${reason}`);
+    this.sendError(client, ERROR_CODES.NOT_PERMITTED, type, {
+      shapeId,
+      reason,
+      message: `Not permitted to act on shape ${shapeId} (${reason})`
+    });
+  }
+
+  // Chat goes to everyone in the room, with blocked words masked
+  handleChat(client, message) {
+    const playerId = this.sessionIdToPlayerId.get(client.sessionId);
+    const player = playerId && this.state.getPlayer(playerId);
+    if (!player || this.rejectIfMuted(client, "chat", player)) {
+      return;
+    }
+    
+    const cleaned = cleanChatText(message.text);
+    if (!cleaned) {
+      metrics.messagesRejected.inc({ type: "chat", reason: ERROR_CODES.INVALID_FIELD });
+      this.sendError(client, ERROR_CODES.INVALID_FIELD, "chat", { path: "text", message: "text: must not be blank" });
+      return;
+    }
+    
+    const { text, filtered } = this.wordFilter.filter(cleaned);
+    if (filtered) {
+      this.logger.log(`Masked blocked words in a chat message from ${playerId}`);
+    }
+    
+    const chatMessage = { id: this.nextChatId++, playerId, text, timestamp: Date.now() };
+    this.chatHistory.add(chatMessage);
+    this.broadcast("chat", chatMessage);
+  }
+  
+  // Emotes on a fish only go to the clients that can see it; the others go
+  // to everyone
+  handleEmote(client, message) {
+    const playerId = this.sessionIdToPlayerId.get(client.sessionId);
+    const player = playerId && this.state.getPlayer(playerId);
+    if (!player || this.rejectIfMuted(client, "emote", player)) {
+      return;
+    }
+    
+    const emote = { playerId, emote: message.emote, shapeId: message.shapeId || null, timestamp: Date.now() };
     if (!message.shapeId) {
-      logger.warn(`Invalid remove shape message from ${client.sessionId}: missing shapeId`);
+      this.broadcast("emote", emote);
       return;
     }
     
+    if (!player.shapes.some(shape => shape.id === message.shapeId)) {
+      this.rejectShapeAction(client, "emote", message.shapeId, REJECTION_REASONS.NOT_OWNER);
+      return;
+    }
+    this.broadcastToInterested("emote", emote, [playerId]);
+  }
+  
+  rejectIfMuted(client, type, player) {
+    if (!player.muted) {
+      return false;
+    }
+    metrics.messagesRejected.inc({ type, reason: ERROR_CODES.MUTED });
+    this.sendError(client, ERROR_CODES.MUTED, type, { message: "You are muted in this room" });
+    return true;
+  }
+
+  handleRemoveShape(client, message) {
     // Find the player ID associated with this session
     const playerId = this.sessionIdToPlayerId.get(client.sessionId);
     
@@ -528,27 +1854,17 @@ class PhysicsRoom extends Room {
     
     const player = this.state.getPlayer(playerId);
     if (!player) {
-      logger.warn(`Player not found for remove shape: ${playerId}`);
+      this.logger.warn(`Player not found for remove shape: ${playerId}`);
       return;
     }
     
     // Remove the shape - allow removing any shape, even if it's the last one
     player.removeShape(message.shapeId);
-    logger.log(`Removed shape ${message.shapeId} for player ${playerId}`);
+    this.gameMode.onShapeRemoved(message.shapeId);
+    this.logger.log(`Removed shape ${message.shapeId} for player ${playerId}`);
   }
 
   handleChangeBlockColor(client, message) {
-    if (!message.color) {
-      logger.warn(`Invalid change color message from ${client.sessionId}: missing color`);
-      return;
-    }
-    
-    // Validate color format (simple hex color validation)
-    if (!/^#[0-9A-F]{6}$/i.test(message.color)) {
-      logger.warn(`Invalid color format from ${client.sessionId}: ${message.color}`);
-      return;
-    }
-    
     // Find the player ID associated with this session
     const playerId = this.sessionIdToPlayerId.get(client.sessionId);
     
@@ -559,7 +1875,7 @@ class PhysicsRoom extends Room {
     
     const player = this.state.getPlayer(playerId);
     if (!player) {
-      logger.warn(`Player not found for color change: ${playerId}`);
+      this.logger.warn(`Player not found for color change: ${playerId}`);
       return;
     }
     
@@ -569,7 +1885,7 @@ class PhysicsRoom extends Room {
         shape.setColor(message.color);
       });
       
-      logger.log(`Changed color to ${message.color} for player ${playerId}`);
+      this.logger.log(`Changed color to ${message.color} for player ${playerId}`);
       
       // Broadcast the color change to all clients
       this.broadcast("block_color_changed", {
@@ -579,27 +1895,14 @@ class PhysicsRoom extends Room {
     }
   }
 
-  validateShapeData(shapeData) {
-    // Basic validation of shape data
-    if (!shapeData.id || typeof shapeData.id !== 'string') return false;
-    if (typeof shapeData.x !== 'number') return false;
-    if (typeof shapeData.y !== 'number') return false;
-    if (typeof shapeData.angle !== 'number') return false;
-    if (!shapeData.velocity) return false;
-    if (typeof shapeData.velocity.x !== 'number') return false;
-    if (typeof shapeData.velocity.y !== 'number') return false;
-    
-    return true;
-  }
-
   // Add a method to check and reset shapes that fall out of bounds
   checkAndResetOutOfBoundsShapes() {
     const state = this.state;
     const boundaryWidth = state.boundaryWidth;
     const boundaryHeight = state.boundaryHeight;
     
-    // Define margins for checking out of bounds
-    const margin = 100;
+    // Shapes further outside the boundary than this are reset
+    const margin = this.config.outOfBoundsMargin;
     
     // Check all players' shapes
     state.players.forEach((player, playerId) => {
@@ -612,53 +1915,147 @@ class PhysicsRoom extends Room {
           shape.y > boundaryHeight + margin;
         
         if (isOutOfBounds) {
-          logger.log(`Server resetting out-of-bounds shape ${shape.id} for player ${playerId} at position (${shape.x}, ${shape.y})`);
-          
-          // Reset position to the bottom of the boundary
-          const newX = Math.random() * (boundaryWidth - 200) + 100; // Keep away from edges
-          const newY = boundaryHeight - 50; // Position just above the bottom boundary
-          
-          // Update the shape's position
-          shape.setPosition(newX, newY, 0);
-          shape.setVelocity(0, 0);
-          
-          // Broadcast the position change to all clients
-          this.broadcast("physics_action", {
-            playerId,
-            shapeId: shape.id,
-            action: {
-              type: "position",
-              x: newX,
-              y: newY,
-              angle: 0,
-              velocity: { x: 0, y: 0 },
-              timestamp: Date.now()
-            }
-          });
+          this.logger.log(`Server resetting out-of-bounds shape ${shape.id} for player ${playerId} at position (${shape.x}, ${shape.y})`);
+          this.gameMode.onShapeOutOfBounds(playerId, shape);
+          this.resetShape(playerId, shape);
+        } else if (!shape.frozen && state.findBlockingObstacle(shape.x, shape.y, 0)) {
+          // Wedged inside a wall; not something the player did, so no scoring
+          this.logger.log(`Server resetting shape ${shape.id} stuck inside an obstacle at (${shape.x}, ${shape.y})`);
+          this.resetShape(playerId, shape);
         }
       });
     });
   }
 
-  // Update the onUpdate method to check for out-of-bounds shapes
-  onUpdate(deltaTime) {
-    // Check for out-of-bounds shapes every second
-    this.outOfBoundsCheckCounter = (this.outOfBoundsCheckCounter || 0) + deltaTime;
-    if (this.outOfBoundsCheckCounter > 1000) { // Check every 1 second
-      this.checkAndResetOutOfBoundsShapes();
-      this.outOfBoundsCheckCounter = 0;
+  // Put a shape back at the bottom of the boundary (or a spawn point of the
+  // level), at rest, and tell the clients that can see it
+  resetShape(playerId, shape) {
+    // Keep away from the edges and out of walls
+    const { x: newX, y: newY } = this.state.findSpawnPoint(this.config.outOfBoundsMargin, shape.getBoundingRadius());
+    
+    // Update the shape's position
+    shape.setPosition(newX, newY, 0);
+    shape.setVelocity(0, 0);
+    shape.angularVelocity = 0;
+    // The spawn point is random; replays take it from the recording
+    this.recordEvent("shape_reset", { playerId, shapeId: shape.id, x: newX, y: newY });
+    
+    // Broadcast the position change to all clients that can see it
+    this.broadcastToInterested("physics_action", {
+      playerId,
+      shapeId: shape.id,
+      action: {
+        type: "position",
+        x: newX,
+        y: newY,
+        angle: 0,
+        velocity: { x: 0, y: 0 },
+        timestamp: Date.now()
+      }
+    }, [playerId]);
+  }
+
+  // Admin API (lib/admin.js). These are called through
+  // matchMaker.remoteRoomCall(), so arguments and results are plain JSON and
+  // "not found" is a null result rather than an exception.
+
+  adminDump() {
+    return {
+      roomId: this.roomId,
+      mode: this.mode,
+      region: this.region,
+      inviteCode: this.inviteCode,
+      locked: this.locked,
+      clients: this.clients.length,
+      tick: this.state.tick,
+      config: this.config,
+      round: this.state.round.toJSON(),
+      chat: this.chatHistory.toJSON(),
+      spectators: this.clients
+        .filter(client => this.isSpectator(client))
+        .map(client => ({ sessionId: client.sessionId, following: client.userData.followPlayerId })),
+      players: this.state.getPlayerSummary().map(summary => ({
+        ...summary,
+        sessionId: this.playerIdToSessionId.get(summary.id) || null,
+        shapes: this.state.getPlayerSnapshot(summary.id).shapes
+      }))
+    };
+  }
+
+  adminKick(playerId, reason = "Kicked by a moderator") {
+    if (!this.state.getPlayer(playerId)) {
+      return null;
+    }
+    this.logger.warn(`Admin: kicking player ${playerId} (${reason})`);
+    
+    const client = this.clients.find(c => c.sessionId === this.playerIdToSessionId.get(playerId));
+    if (client) {
+      client.userData = client.userData || {};
+      client.userData.kicked = true;
+      client.leave(KICK_CLOSE_CODE, reason);
+    } else {
+      // Held for reconnection or restored from a snapshot: nothing to close
+      const pendingReconnection = this.pendingReconnections.get(playerId);
+      if (pendingReconnection) {
+        this.pendingReconnections.delete(playerId);
+        pendingReconnection.reject(new Error("Kicked by a moderator"));
+      }
+      this.removePlayerFromRoom(playerId);
+    }
+    return { playerId, kicked: true };
+  }
+
+  // Reset one of the player's shapes, or all of them without a shapeId
+  adminResetShape(playerId, shapeId = null) {
+    const player = this.state.getPlayer(playerId);
+    if (!player) {
+      return null;
     }
     
-    // Clean up inactive players
-    this.cleanupCounter = (this.cleanupCounter || 0) + deltaTime;
-    if (this.cleanupCounter > 30000) { // Every 30 seconds
-      const removed = this.state.cleanupInactivePlayers();
-      if (removed > 0) {
-        logger.log(`Removed ${removed} inactive players`);
+    const shapes = [];
+    player.shapes.forEach(shape => {
+      if (!shapeId || shape.id === shapeId) {
+        shapes.push(shape);
       }
-      this.cleanupCounter = 0;
+    });
+    if (shapes.length === 0) {
+      return null;
+    }
+    
+    this.logger.warn(`Admin: resetting ${shapes.length} shape(s) of player ${playerId}`);
+    shapes.forEach(shape => this.resetShape(playerId, shape));
+    return { playerId, reset: shapes.map(shape => ({ id: shape.id, x: shape.x, y: shape.y })) };
+  }
+
+  adminMute(playerId, muted) {
+    const player = this.state.getPlayer(playerId);
+    if (!player) {
+      return null;
+    }
+    this.logger.warn(`Admin: ${muted ? "muting" : "unmuting"} player ${playerId}`);
+    player.muted = muted;
+    return { playerId, muted };
+  }
+
+  adminAnnounce(message) {
+    this.logger.warn(`Admin: announcing in room ${this.roomId}: ${message}`);
+    this.broadcast("announcement", { message, timestamp: Date.now() });
+    return { roomId: this.roomId, clients: this.clients.length };
+  }
+
+  async adminLock(locked) {
+    if (locked) {
+      await this.lock();
+    } else {
+      await this.unlock();
     }
+    this.logger.warn(`Admin: room ${this.roomId} ${locked ? "locked" : "unlocked"}`);
+    return { roomId: this.roomId, locked: this.locked };
   }
 }
 
+// Snapshot store shared by all rooms; assign before rooms are created to use
+// a different one. Defaults to createSnapshotStore() on first use.
+PhysicsRoom.snapshotStore = null;
+
 module.exports = { PhysicsRoom }; 
\ No newline at end of file
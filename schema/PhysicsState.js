@@ -1,5 +1,11 @@
-const { Schema, MapSchema, ArraySchema, type } = require("@colyseus/schema");
+const { Schema, MapSchema, ArraySchema, type, filterChildren } = require("@colyseus/schema");
 const logger = require("../lib/logger");
+const { isSolid, overlapsObstacle } = require("../lib/levels");
+const { BODY_RADIUS } = require("../lib/physics");
+const { DEFAULT_BODY } = require("../lib/shapes");
+
+// Random spawn spots tried before settling for one inside an obstacle
+const SPAWN_ATTEMPTS = 20;
 
 class Vector extends Schema {
   constructor(x = 0, y = 0) {
@@ -20,14 +26,61 @@ class Shape extends Schema {
     this.y = y;
     this.angle = 0;
     this.velocity = new Vector();
+    this.angularVelocity = 0;
+    this.frozen = false; // Held in place while its player is reconnecting
+    this.permission = "owner"; // Who else may move it; see lib/permissions.js
+    this.heldBy = ""; // ID of the player who grabbed it, if any
+    this.vertices = new ArraySchema();
+    this.setBody(DEFAULT_BODY); // Kind, size and material; see lib/shapes.js
     this.lastUpdate = Date.now();
     this.color = this.generateRandomColor(); // Generate a random color
   }
 
+  // Take the kind, size and material of a body resolved by lib/shapes.js.
+  // Fields it doesn't have keep their defaults, so older snapshots restore
+  // as the circles they were.
+  setBody(body) {
+    const spec = { ...DEFAULT_BODY, ...body };
+    this.kind = spec.kind;
+    this.radius = spec.radius;
+    this.width = spec.width;
+    this.height = spec.height;
+    this.vertices.clear();
+    (spec.vertices || []).forEach(vertex => this.vertices.push(new Vector(vertex.x, vertex.y)));
+    this.mass = spec.mass;
+    this.restitution = spec.restitution;
+    this.friction = spec.friction;
+  }
+
+  getBody() {
+    return {
+      kind: this.kind,
+      radius: this.radius,
+      width: this.width,
+      height: this.height,
+      vertices: this.vertices.map(vertex => ({ x: vertex.x, y: vertex.y })),
+      mass: this.mass,
+      restitution: this.restitution,
+      friction: this.friction
+    };
+  }
+
+  // Radius of the smallest circle around the centre that holds the shape
+  getBoundingRadius() {
+    switch (this.kind) {
+      case "box":
+        return Math.hypot(this.width, this.height) / 2;
+      case "polygon":
+        return Math.max(...this.vertices.map(vertex => Math.hypot(vertex.x, vertex.y)));
+      default:
+        return this.radius;
+    }
+  }
+
   setPosition(x, y, angle) {
     this.x = x;
     this.y = y;
-    this.angle = angle || this.angle;
+    this.angle = angle ?? this.angle;
     this.lastUpdate = Date.now();
   }
 
@@ -79,6 +132,18 @@ type("number")(Shape.prototype, "x");
 type("number")(Shape.prototype, "y");
 type("number")(Shape.prototype, "angle");
 type(Vector)(Shape.prototype, "velocity");
+type("number")(Shape.prototype, "angularVelocity");
+type("boolean")(Shape.prototype, "frozen");
+type("string")(Shape.prototype, "permission");
+type("string")(Shape.prototype, "heldBy");
+type("string")(Shape.prototype, "kind");
+type("number")(Shape.prototype, "radius");
+type("number")(Shape.prototype, "width");
+type("number")(Shape.prototype, "height");
+type([ Vector ])(Shape.prototype, "vertices");
+type("number")(Shape.prototype, "mass");
+type("number")(Shape.prototype, "restitution");
+type("number")(Shape.prototype, "friction");
 type("number")(Shape.prototype, "lastUpdate");
 type("string")(Shape.prototype, "color");
 
@@ -89,6 +154,10 @@ class Player extends Schema {
     this.shapes = new ArraySchema();
     this.disconnected = false;
     this.lastActivity = Date.now();
+    this.lastProcessedInput = 0; // Sequence number of the last input applied by the server
+    this.team = ""; // Players on the same team may move each other's team shapes
+    this.muted = false; // Set by moderators; muted players can't chat or emote
+    this.score = 0; // Points this round; see lib/gameModes.js
   }
 
   addShape(shape) {
@@ -120,6 +189,15 @@ class Player extends Schema {
   setConnectionStatus(connected) {
     this.disconnected = !connected;
     this.lastActivity = Date.now();
+    
+    // A disconnected player's fish stays in the world but can't be moved
+    this.shapes.forEach(shape => {
+      shape.frozen = !connected;
+      if (!connected) {
+        shape.setVelocity(0, 0);
+        shape.angularVelocity = 0;
+      }
+    });
   }
 }
 
@@ -127,21 +205,167 @@ type("string")(Player.prototype, "id");
 type([Shape])(Player.prototype, "shapes");
 type("boolean")(Player.prototype, "disconnected");
 type("number")(Player.prototype, "lastActivity");
+type("number")(Player.prototype, "lastProcessedInput");
+type("string")(Player.prototype, "team");
+type("boolean")(Player.prototype, "muted");
+type("number")(Player.prototype, "score");
 
-class PhysicsState extends Schema {
+// Static piece of level geometry (see lib/levels.js). Rectangles have a
+// width and height, circles a radius; x and y are the centre.
+class Obstacle extends Schema {
+  constructor(data = {}) {
+    super();
+    this.id = data.id;
+    this.kind = data.kind; // platform | wall | bumper | goal
+    this.x = data.x;
+    this.y = data.y;
+    this.width = data.width || 0;
+    this.height = data.height || 0;
+    this.radius = data.radius || 0;
+    this.bounce = data.bounce || 0; // Bumpers only
+  }
+}
+
+type("string")(Obstacle.prototype, "id");
+type("string")(Obstacle.prototype, "kind");
+type("number")(Obstacle.prototype, "x");
+type("number")(Obstacle.prototype, "y");
+type("number")(Obstacle.prototype, "width");
+type("number")(Obstacle.prototype, "height");
+type("number")(Obstacle.prototype, "radius");
+type("number")(Obstacle.prototype, "bounce");
+
+// Circular area of the arena, e.g. the king of the hill zone
+class Zone extends Schema {
+  constructor() {
+    super();
+    this.x = 0;
+    this.y = 0;
+    this.radius = 0; // 0 when the game mode has no zone
+  }
+}
+
+type("number")(Zone.prototype, "x");
+type("number")(Zone.prototype, "y");
+type("number")(Zone.prototype, "radius");
+
+// Round lifecycle of the room's game mode (lib/gameModes.js)
+class RoundState extends Schema {
   constructor() {
+    super();
+    this.gameMode = "sandbox";
+    this.phase = "playing"; // lobby | countdown | playing | results
+    this.number = 0; // Rounds started so far
+    this.phaseEndsAt = 0; // Server time the current phase ends at, 0 if it doesn't
+    this.timeLeft = 0; // Whole seconds until phaseEndsAt
+    this.winnerId = ""; // Winner of the last round, "" for a tie or no winner
+    this.zone = new Zone();
+    this.holderId = ""; // Player holding the zone alone, if any
+  }
+}
+
+type("string")(RoundState.prototype, "gameMode");
+type("string")(RoundState.prototype, "phase");
+type("number")(RoundState.prototype, "number");
+type("number")(RoundState.prototype, "phaseEndsAt");
+type("number")(RoundState.prototype, "timeLeft");
+type("string")(RoundState.prototype, "winnerId");
+type(Zone)(RoundState.prototype, "zone");
+type("string")(RoundState.prototype, "holderId");
+
+// Effective room options clients need to render the same arena. Read-only
+// for clients; the server resolves it once in onCreate.
+class RoomConfig extends Schema {
+  constructor(config = {}) {
+    super();
+    this.boundaryWidth = config.boundaryWidth;
+    this.boundaryHeight = config.boundaryHeight;
+    this.gravity = config.gravity;
+    this.tickRate = config.tickRate;
+    this.maxShapesPerPlayer = config.maxShapesPerPlayer;
+    this.outOfBoundsMargin = config.outOfBoundsMargin;
+    this.interestRadius = config.interestRadius;
+    this.shapePermission = config.shapePermission;
+    this.gameMode = config.gameMode;
+    this.roundSeconds = config.roundSeconds;
+    this.minPlayers = config.minPlayers;
+    this.scoreLimit = config.scoreLimit;
+  }
+}
+
+type("number")(RoomConfig.prototype, "boundaryWidth");
+type("number")(RoomConfig.prototype, "boundaryHeight");
+type("number")(RoomConfig.prototype, "gravity");
+type("number")(RoomConfig.prototype, "tickRate");
+type("number")(RoomConfig.prototype, "maxShapesPerPlayer");
+type("number")(RoomConfig.prototype, "outOfBoundsMargin");
+type("number")(RoomConfig.prototype, "interestRadius");
+type("string")(RoomConfig.prototype, "shapePermission");
+type("string")(RoomConfig.prototype, "gameMode");
+type("number")(RoomConfig.prototype, "roundSeconds");
+type("number")(RoomConfig.prototype, "minPlayers");
+type("number")(RoomConfig.prototype, "scoreLimit");
+
+class PhysicsState extends Schema {
+  constructor(config = {}) {
     super();
     this.players = new MapSchema();
     this.serverTime = Date.now();
     
-    // Define standard game boundaries for all clients - increased for more space
-    this.boundaryWidth = 2400;
-    this.boundaryHeight = 1800;
+    // Number of fixed simulation steps run so far; clients align snapshots to it
+    this.tick = 0;
+    
+    // Game boundaries for all clients, from the room's config
+    this.boundaryWidth = config.boundaryWidth || 2400;
+    this.boundaryHeight = config.boundaryHeight || 1800;
+    
+    this.config = new RoomConfig({ ...config, boundaryWidth: this.boundaryWidth, boundaryHeight: this.boundaryHeight });
+    
+    // Phase, timer and zone of the current round
+    this.round = new RoundState();
+    
+    // Level geometry, set once by setLevel(); spawn points stay server-side
+    this.level = "";
+    this.obstacles = new ArraySchema();
+    this.spawnPoints = [];
+  }
+
+  // Load a level validated by lib/levels.js into the synced state
+  setLevel(level) {
+    this.level = level.name;
+    this.obstacles.clear();
+    level.obstacles.forEach(obstacle => this.obstacles.push(new Obstacle(obstacle)));
+    this.spawnPoints = level.spawns;
+  }
+
+  // Geometry the game mode brings on top of the level's. Its spawn points
+  // are only used when the level has none.
+  addModeGeometry(obstacles, spawns) {
+    obstacles.forEach(obstacle => this.obstacles.push(new Obstacle(obstacle)));
+    if (this.spawnPoints.length === 0) {
+      this.spawnPoints = spawns;
+    }
+  }
+
+  // The solid obstacle a fish at (x, y) would overlap, if any
+  findBlockingObstacle(x, y, radius = BODY_RADIUS) {
+    return this.obstacles.find(obstacle => isSolid(obstacle) && overlapsObstacle(obstacle, x, y, radius)) || null;
+  }
 
-    // Update server time every second
-    setInterval(() => {
-      this.serverTime = Date.now();
-    }, 1000);
+  // Where a fish can appear: one of the level's spawn points if it has any,
+  // otherwise a random spot just above the floor, at least `edgeMargin` from
+  // the sides and clear of obstacles for a fish of this `radius`
+  findSpawnPoint(edgeMargin = 50, radius = BODY_RADIUS) {
+    let point = null;
+    for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+      point = this.spawnPoints.length > 0
+        ? this.spawnPoints[Math.floor(Math.random() * this.spawnPoints.length)]
+        : { x: Math.random() * (this.boundaryWidth - 2 * edgeMargin) + edgeMargin, y: this.boundaryHeight - 50 };
+      if (!this.findBlockingObstacle(point.x, point.y, radius)) {
+        break;
+      }
+    }
+    return { x: point.x, y: point.y };
   }
 
   createPlayer(playerId) {
@@ -178,7 +402,9 @@ class PhysicsState extends Schema {
     return false;
   }
 
-  createShapeForPlayer(playerId, customShapeId = null) {
+  // `body` is the kind, size and material from lib/shapes.js; a default
+  // circle without one
+  createShapeForPlayer(playerId, customShapeId = null, body = DEFAULT_BODY) {
     const player = this.players.get(playerId);
     if (!player) {
       logger.warn(`Cannot create shape: player ${playerId} not found`);
@@ -188,17 +414,57 @@ class PhysicsState extends Schema {
     // Generate a unique ID for the shape or use the provided custom ID
     const shapeId = customShapeId || `${playerId}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
     
-    // Create a shape at the bottom of the boundary
-    // Position it randomly along the x-axis, but just above the bottom boundary
-    const x = Math.random() * (this.boundaryWidth - 100) + 50; // Keep away from the edges
-    const y = this.boundaryHeight - 50; // Position just above the bottom boundary
-    
-    const shape = new Shape(shapeId, x, y);
+    // Just above the floor (or at one of the level's spawn points), away
+    // from the edges and clear of walls
+    const shape = new Shape(shapeId);
+    shape.setBody(body);
+    const { x, y } = this.findSpawnPoint(50, shape.getBoundingRadius());
+    shape.setPosition(x, y);
+    shape.permission = this.config.shapePermission || shape.permission;
     
     player.addShape(shape);
     return shape;
   }
 
+  // The shape with this ID and the player owning it, or null
+  findShape(shapeId) {
+    let found = null;
+    this.players.forEach(player => {
+      const shape = !found && player.shapes.find(s => s.id === shapeId);
+      if (shape) {
+        found = { shape, owner: player };
+      }
+    });
+    return found;
+  }
+
+  // Let go of every shape this player is holding; returns those shapes
+  releaseShapesHeldBy(playerId) {
+    const released = this.getAllShapes().filter(shape => shape.heldBy === playerId);
+    released.forEach(shape => {
+      shape.heldBy = "";
+    });
+    return released;
+  }
+
+  // All shapes of all players, in the order the physics world should see them
+  getAllShapes() {
+    const shapes = [];
+    this.players.forEach(player => {
+      player.shapes.forEach(shape => shapes.push(shape));
+    });
+    return shapes;
+  }
+
+  // Map of shapeId -> ID of the player owning that shape
+  getShapeOwners() {
+    const owners = new Map();
+    this.players.forEach((player, playerId) => {
+      player.shapes.forEach(shape => owners.set(shape.id, playerId));
+    });
+    return owners;
+  }
+
   getConnectedPlayerCount() {
     let count = 0;
     this.players.forEach(player => {
@@ -226,35 +492,122 @@ class PhysicsState extends Schema {
         id,
         shapeCount: player.shapes.length,
         disconnected: player.disconnected,
+        score: player.score,
+        muted: player.muted,
         lastActivity: player.lastActivity
       });
     });
     return summary;
   }
 
-  cleanupInactivePlayers(maxInactiveTime = 300000) { // 5 minutes by default
+  // Plain-object copy of the players and their shapes, for persistence
+  toSnapshot() {
+    const players = [];
+    this.players.forEach((player, playerId) => {
+      players.push(this.getPlayerSnapshot(playerId));
+    });
+    return { tick: this.tick, players };
+  }
+
+  getPlayerSnapshot(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return null;
+    }
+    
+    const shapes = [];
+    player.shapes.forEach(shape => {
+      shapes.push(this.getShapeSnapshot(shape));
+    });
+    return { id: playerId, lastProcessedInput: player.lastProcessedInput, team: player.team, muted: player.muted, shapes };
+  }
+
+  getShapeSnapshot(shape) {
+    return {
+      id: shape.id,
+      x: shape.x,
+      y: shape.y,
+      angle: shape.angle,
+      velocity: { x: shape.velocity.x, y: shape.velocity.y },
+      angularVelocity: shape.angularVelocity,
+      color: shape.color,
+      permission: shape.permission,
+      ...shape.getBody()
+    };
+  }
+
+  // Recreate players and shapes from toSnapshot() output. Restored players
+  // start disconnected with frozen fish until they join again, and are
+  // cleaned up like any other inactive player if they never do.
+  restoreSnapshot(snapshot) {
+    this.tick = snapshot.tick || 0;
+    
+    let restored = 0;
+    (snapshot.players || []).forEach(playerData => {
+      this.restorePlayer(playerData).setConnectionStatus(false);
+      restored++;
+    });
+    return restored;
+  }
+
+  // Create the player if needed and replace their shapes with the snapshot's
+  restorePlayer(playerData) {
+    const player = this.players.get(playerData.id) || this.createPlayer(playerData.id);
+    player.lastProcessedInput = playerData.lastProcessedInput || 0;
+    player.team = playerData.team || "";
+    player.muted = Boolean(playerData.muted);
+    player.shapes.clear();
+    
+    (playerData.shapes || []).forEach(shapeData => {
+      this.restoreShape(player, shapeData);
+    });
+    return player;
+  }
+
+  // Add a shape from getShapeSnapshot() output to this player
+  restoreShape(player, shapeData) {
+    const shape = new Shape(shapeData.id, shapeData.x, shapeData.y);
+    shape.setBody(shapeData);
+    shape.angle = shapeData.angle || 0;
+    shape.setVelocity(shapeData.velocity.x, shapeData.velocity.y);
+    shape.angularVelocity = shapeData.angularVelocity || 0;
+    shape.color = shapeData.color || shape.color;
+    shape.permission = shapeData.permission || this.config.shapePermission || shape.permission;
+    shape.frozen = player.disconnected;
+    player.addShape(shape);
+    return shape;
+  }
+
+  // IDs of disconnected players with no activity for maxInactiveTime ms
+  findInactivePlayers(maxInactiveTime) {
     const now = Date.now();
-    const playersToRemove = [];
+    const inactive = [];
     
     this.players.forEach((player, id) => {
       if (player.disconnected && (now - player.lastActivity > maxInactiveTime)) {
-        playersToRemove.push(id);
+        inactive.push(id);
       }
     });
     
-    playersToRemove.forEach(id => {
-      logger.log(`Removing inactive player ${id} (inactive for ${Math.floor((now - this.players.get(id).lastActivity) / 1000)} seconds)`);
-      this.removePlayer(id);
-    });
-    
-    return playersToRemove.length;
+    return inactive;
   }
 }
 
 type("number")(PhysicsState.prototype, "serverTime");
+type("number")(PhysicsState.prototype, "tick");
 type({ map: Player })(PhysicsState.prototype, "players");
+// Only sync players inside each client's area of interest. The room keeps
+// client.userData.visiblePlayerIds up to date; until it has, send everyone.
+filterChildren(function (client, key) {
+  const visible = client.userData && client.userData.visiblePlayerIds;
+  return !visible || visible.has(key);
+})(PhysicsState.prototype, "players");
 // Add type definition for boundaries as individual properties
 type("number")(PhysicsState.prototype, "boundaryWidth");
 type("number")(PhysicsState.prototype, "boundaryHeight");
+type(RoomConfig)(PhysicsState.prototype, "config");
+type(RoundState)(PhysicsState.prototype, "round");
+type("string")(PhysicsState.prototype, "level");
+type([Obstacle])(PhysicsState.prototype, "obstacles");
 
-module.exports = { Vector, Shape, Player, PhysicsState }; 
\ No newline at end of file
+module.exports = { Vector, Shape, Player, Obstacle, Zone, RoundState, RoomConfig, PhysicsState }; 
\ No newline at end of file
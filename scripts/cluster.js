@@ -0,0 +1,99 @@
+// Run several server processes sharing matchmaking, for local development:
+//   node scripts/cluster.js [workers]
+// Worker i listens on PORT + i (PORT defaults to 3002) and advertises
+// localhost:<port> as its public address, so clients can connect to any
+// worker and are sent to whichever one owns their room. Without REDIS_URL an
+// in-memory stand-in (lib/memoryRedis.js) is started in this process.
+const { fork } = require("child_process");
+const path = require("path");
+const logger = require("../lib/logger");
+const { MemoryRedisServer } = require("../lib/memoryRedis");
+
+const workerCount = Number(process.argv[2] || process.env.WORKERS || 2);
+const basePort = Number(process.env.PORT || 3002);
+const publicHost = process.env.PUBLIC_HOST || "localhost";
+
+if (!Number.isInteger(workerCount) || workerCount < 1) {
+  console.error("Usage: node scripts/cluster.js [workers]");
+  process.exit(1);
+}
+
+const workers = new Map(); // index -> child process
+let stopping = false;
+let exitCode = 0;
+let memoryRedis = null;
+
+function startWorker(index, redisUrl) {
+  const port = basePort + index;
+  const child = fork(path.join(__dirname, "..", "index.js"), [], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      PUBLIC_ADDRESS: `${publicHost}:${port}`,
+      PRESENCE: "redis",
+      DRIVER: "redis",
+      REDIS_URL: redisUrl,
+      // One log file per worker; they would rotate each other's otherwise
+      LOG_FILE: process.env.LOG_FILE ? `${process.env.LOG_FILE}.worker-${index}` : path.join(process.cwd(), "logs", `worker-${index}.log`)
+    }
+  });
+
+  child.on("exit", (code, signal) => {
+    workers.delete(index);
+    if (!stopping) {
+      logger.error(`Worker ${index} (port ${port}) exited unexpectedly with ${signal || code}`);
+    }
+    if (code !== 0) {
+      exitCode = 1;
+    }
+    if (workers.size === 0) {
+      finish();
+    }
+  });
+
+  workers.set(index, child);
+  logger.log(`Started worker ${index} on port ${port} (pid ${child.pid})`);
+}
+
+async function finish() {
+  if (memoryRedis) {
+    await memoryRedis.close();
+  }
+  await logger.flush();
+  process.exit(exitCode);
+}
+
+// Workers shut down gracefully on SIGTERM (see index.js); the stand-in store
+// stays up until the last one is done with it
+function stop(signal) {
+  if (stopping) {
+    return;
+  }
+  stopping = true;
+  logger.log(`Received ${signal}, stopping ${workers.size} workers`);
+  workers.forEach(child => child.kill("SIGTERM"));
+  if (workers.size === 0) {
+    finish();
+  }
+}
+
+async function main() {
+  let redisUrl = process.env.REDIS_URL;
+  if (!redisUrl) {
+    memoryRedis = new MemoryRedisServer();
+    const port = await memoryRedis.listen(Number(process.env.MEMORY_REDIS_PORT || 0));
+    redisUrl = `redis://127.0.0.1:${port}`;
+    logger.log(`REDIS_URL is not set, using the in-memory stand-in at ${redisUrl}`);
+  }
+
+  for (let index = 0; index < workerCount; index++) {
+    startWorker(index, redisUrl);
+  }
+}
+
+["SIGTERM", "SIGINT"].forEach(signal => process.once(signal, () => stop(signal)));
+
+main().catch((error) => {
+  logger.error("Failed to start the cluster:", error);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// Mint a signed player token for local testing:
+//   AUTH_SECRET=dev-secret node scripts/mint-token.js <playerId> [expiresInSeconds] [team]
+const { mintPlayerToken, getAuthSecret } = require("../lib/auth");
+
+const [playerId, expiresIn, team] = process.argv.slice(2);
+
+if (!playerId) {
+  console.error("Usage: node scripts/mint-token.js <playerId> [expiresInSeconds] [team]");
+  process.exit(1);
+}
+
+if (!getAuthSecret()) {
+  console.error("AUTH_SECRET must be set to mint a token");
+  process.exit(1);
+}
+
+const options = {};
+if (expiresIn) {
+  options.expiresInSeconds = Number(expiresIn);
+}
+if (team) {
+  options.claims = { team };
+}
+
+console.log(mintPlayerToken(playerId, options));
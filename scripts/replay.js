@@ -0,0 +1,35 @@
+// Replay a match recording headlessly and print the reconstructed state
+// timeline as newline-delimited JSON, one line per keyframe:
+//   node scripts/replay.js <recording.ndjson> [--no-resync] [--summary]
+const logger = require("../lib/logger");
+const { readRecording, replayRecording } = require("../lib/replay");
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith("--"));
+
+if (!file) {
+  console.error("Usage: node scripts/replay.js <recording.ndjson> [--no-resync] [--summary]");
+  process.exit(1);
+}
+
+// Keep stdout for the timeline
+logger.setLogLevel(4); // ERROR
+
+const summaryOnly = args.includes("--summary");
+
+replayRecording(readRecording(file), {
+  resync: !args.includes("--no-resync"),
+  onFrame: (frame) => {
+    if (!summaryOnly) {
+      console.log(JSON.stringify(frame));
+    }
+  }
+})
+  .then((summary) => {
+    console.error(JSON.stringify(summary));
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(`Replay failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -1,72 +1,89 @@
 const MAX_VELOCITY = 50;
-const MAX_POSITION_CHANGE = 100;
-const PHYSICS_TICK_RATE = 60;
+
+// Violation scoring: every clamped value adds to a player's score, which
+// drains over time. Crossing warnScore earns a warning, crossing kickScore
+// gets the player disconnected.
+const DEFAULT_THRESHOLDS = {
+  maxVelocity: MAX_VELOCITY,
+  warnScore: 10,
+  kickScore: 25,
+  decayPerSecond: 1
+};
 
 class StateValidator {
-  constructor() {
-    this.playerStates = new Map();
-    this.lastUpdateTime = new Map();
+  constructor(thresholds = {}) {
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.violations = new Map(); // playerId -> { score, lastViolation, warned }
   }
 
-  validateUpdate(playerId, shapes) {
-    const now = Date.now();
-    const lastUpdate = this.lastUpdateTime.get(playerId) || now;
-    const deltaTime = (now - lastUpdate) / 1000; // Convert to seconds
-    
-    // Get previous state
-    const prevShapes = this.playerStates.get(playerId);
-    
-    // Validate each shape
-    const validatedShapes = shapes.map(shape => {
-      const prevShape = prevShapes?.find(s => s.id === shape.id);
-      
-      if (!prevShape) {
-        // New shape, accept initial state
-        return shape;
-      }
-      
-      // Validate velocity
-      const velocity = {
-        x: Math.min(Math.max(shape.velocity.x, -MAX_VELOCITY), MAX_VELOCITY),
-        y: Math.min(Math.max(shape.velocity.y, -MAX_VELOCITY), MAX_VELOCITY)
-      };
-      
-      // Calculate maximum allowed position change
-      const maxDelta = MAX_POSITION_CHANGE * deltaTime;
-      
-      // Validate position change
-      const dx = shape.x - prevShape.x;
-      const dy = shape.y - prevShape.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      
-      if (distance > maxDelta) {
-        // Position change too large, interpolate back
-        const scale = maxDelta / distance;
-        return {
-          ...shape,
-          x: prevShape.x + dx * scale,
-          y: prevShape.y + dy * scale,
-          velocity
-        };
-      }
-      
-      return {
-        ...shape,
-        velocity
-      };
-    });
-    
-    // Update stored state
-    this.playerStates.set(playerId, validatedShapes);
-    this.lastUpdateTime.set(playerId, now);
-    
-    return validatedShapes;
+  // Clamp a client-requested velocity (e.g. an impulse action)
+  validateVelocity(playerId, velocity) {
+    const clamped = this.clampVelocity(velocity);
+    const violated = clamped.x !== velocity.x || clamped.y !== velocity.y;
+
+    return {
+      velocity: clamped,
+      escalation: violated ? this.recordViolation(playerId, 1) : null
+    };
+  }
+
+  clampVelocity(velocity) {
+    const { maxVelocity } = this.thresholds;
+    return {
+      x: Math.min(Math.max(velocity.x, -maxVelocity), maxVelocity),
+      y: Math.min(Math.max(velocity.y, -maxVelocity), maxVelocity)
+    };
+  }
+
+  // Add to a player's violation score and report how far it has escalated:
+  // "kick" once the kick threshold is crossed, "warn" the first time the
+  // warning threshold is crossed, otherwise null (the values were clamped).
+  recordViolation(playerId, weight = 1) {
+    const { warnScore, kickScore } = this.thresholds;
+    const record = this.decay(playerId);
+
+    record.score += weight;
+    record.lastViolation = Date.now();
+    this.violations.set(playerId, record);
+
+    if (record.score >= kickScore) {
+      return "kick";
+    }
+
+    if (record.score >= warnScore && !record.warned) {
+      record.warned = true;
+      return "warn";
+    }
+
+    return null;
+  }
+
+  getViolationScore(playerId) {
+    return this.decay(playerId).score;
+  }
+
+  // Drain the score for the time elapsed since the last violation
+  decay(playerId) {
+    const record = this.violations.get(playerId);
+    if (!record) {
+      return { score: 0, lastViolation: Date.now(), warned: false };
+    }
+
+    const elapsedSeconds = (Date.now() - record.lastViolation) / 1000;
+    record.score = Math.max(0, record.score - elapsedSeconds * this.thresholds.decayPerSecond);
+    record.lastViolation = Date.now();
+
+    // Allow a fresh warning once the player has calmed down again
+    if (record.score < this.thresholds.warnScore) {
+      record.warned = false;
+    }
+
+    return record;
   }
 
   removePlayer(playerId) {
-    this.playerStates.delete(playerId);
-    this.lastUpdateTime.delete(playerId);
+    this.violations.delete(playerId);
   }
 }
 
-module.exports = new StateValidator(); 
\ No newline at end of file
+module.exports = { StateValidator, DEFAULT_THRESHOLDS, MAX_VELOCITY };
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireAdminToken, requireMetricsToken } = require('../lib/admin');
+const { TestClient, createTestRoom, join, drop } = require('./support/room');
+
+// Run the middleware against a fake request; returns the response it sent,
+// or 'next' if it let the request through
+function authorize(authorization, middleware = requireAdminToken) {
+  const req = {
+    method: 'GET',
+    originalUrl: '/admin/rooms',
+    ip: '127.0.0.1',
+    get: (header) => (header === 'Authorization' ? authorization : undefined)
+  };
+  let outcome = null;
+  const res = {
+    status(code) {
+      return { json: (body) => { outcome = { status: code, body }; } };
+    }
+  };
+  middleware(req, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+test('the admin API is off without ADMIN_TOKEN', (t) => {
+  t.after(() => { delete process.env.ADMIN_TOKEN; });
+  delete process.env.ADMIN_TOKEN;
+
+  assert.equal(authorize('Bearer anything').status, 503);
+});
+
+test('admin requests need the exact bearer token', (t) => {
+  t.after(() => { delete process.env.ADMIN_TOKEN; });
+  process.env.ADMIN_TOKEN = 'moderator-secret';
+
+  assert.equal(authorize(undefined).status, 401);
+  assert.equal(authorize('moderator-secret').status, 401);
+  assert.equal(authorize('Bearer moderator').status, 401);
+  assert.equal(authorize('Bearer moderator-secret-and-more').status, 401);
+  assert.equal(authorize('Bearer moderator-secret'), 'next');
+});
+
+test('metrics are open unless METRICS_TOKEN is set', (t) => {
+  t.after(() => { delete process.env.METRICS_TOKEN; });
+  delete process.env.METRICS_TOKEN;
+  assert.equal(authorize(undefined, requireMetricsToken), 'next');
+
+  process.env.METRICS_TOKEN = 'scraper-secret';
+  assert.equal(authorize(undefined, requireMetricsToken).status, 401);
+  assert.equal(authorize('Bearer moderator-secret', requireMetricsToken).status, 401);
+  assert.equal(authorize('Bearer scraper-secret', requireMetricsToken), 'next');
+});
+
+test('kicking a connected player closes their session', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  assert.deepEqual(room.adminKick('alice'), { playerId: 'alice', kicked: true });
+  assert.equal(client.closeCode, 4001);
+  assert.equal(client.userData.kicked, true);
+  assert.equal(room.adminKick('nobody'), null);
+});
+
+test('kicking a held player removes them without waiting for a reconnect', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+  const leaving = drop(room, client);
+
+  room.adminKick('alice');
+  await leaving;
+
+  assert.equal(room.state.getPlayer('alice'), undefined);
+  assert.equal(room.pendingReconnections.has('alice'), false);
+});
+
+test('resetting a shape moves it and reports where to', async () => {
+  const room = await createTestRoom();
+  join(room, new TestClient('s1', 'alice'));
+  const shape = room.state.getPlayer('alice').shapes[0];
+
+  const result = room.adminResetShape('alice', shape.id);
+
+  assert.deepEqual(result, { playerId: 'alice', reset: [{ id: shape.id, x: shape.x, y: shape.y }] });
+  assert.equal(room.adminResetShape('alice', 'no-such-shape'), null);
+  assert.equal(room.adminResetShape('nobody'), null);
+});
+
+test('the dump lists players with their sessions and shapes', async () => {
+  const room = await createTestRoom();
+  join(room, new TestClient('s1', 'alice'));
+
+  const dump = room.adminDump();
+
+  assert.equal(dump.roomId, 'test-room');
+  assert.equal(dump.clients, 1);
+  assert.equal(dump.players.length, 1);
+  assert.equal(dump.players[0].sessionId, 's1');
+  assert.equal(dump.players[0].shapes.length, room.state.getPlayer('alice').shapes.length);
+});
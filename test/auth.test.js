@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AuthError, signToken, verifyToken, mintPlayerToken, mintPersistToken, verifyPersistToken } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+
+test('minted tokens verify and carry the player ID', () => {
+  const token = mintPlayerToken('player_1', { secret: SECRET, claims: { name: 'Wanda' } });
+  const payload = verifyToken(token, SECRET);
+
+  assert.equal(payload.sub, 'player_1');
+  assert.equal(payload.name, 'Wanda');
+  assert.equal(payload.exp - payload.iat, 24 * 60 * 60);
+});
+
+test('claims cannot override the player ID', () => {
+  const token = mintPlayerToken('player_1', { secret: SECRET, claims: { sub: 'admin' } });
+
+  assert.equal(verifyToken(token, SECRET).sub, 'player_1');
+});
+
+test('tokens signed with another secret are rejected', () => {
+  const token = mintPlayerToken('player_1', { secret: 'other-secret' });
+
+  assert.throws(() => verifyToken(token, SECRET), { name: 'AuthError', message: 'Invalid token signature' });
+});
+
+test('tampered payloads are rejected', () => {
+  const [header, , signature] = mintPlayerToken('player_1', { secret: SECRET }).split('.');
+  const payload = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url');
+
+  assert.throws(() => verifyToken(`${header}.${payload}.${signature}`, SECRET), { message: 'Invalid token signature' });
+});
+
+test('expired tokens are rejected', () => {
+  const token = mintPlayerToken('player_1', { secret: SECRET, expiresInSeconds: -10 });
+
+  assert.throws(() => verifyToken(token, SECRET), { message: 'Token has expired' });
+});
+
+test('tokens without a player ID are rejected', () => {
+  const token = signToken({ name: 'nobody' }, SECRET);
+
+  assert.throws(() => verifyToken(token, SECRET), { message: 'Token has no player ID' });
+});
+
+test('other algorithms are rejected', () => {
+  const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({ sub: 'player_1' })).toString('base64url');
+  const unsigned = `${header}.${payload}`;
+  const signature = crypto.createHmac('sha256', SECRET).update(unsigned).digest('base64url');
+
+  assert.throws(() => verifyToken(`${unsigned}.${signature}`, SECRET), { message: 'Unsupported token algorithm: none' });
+});
+
+test('malformed and missing tokens are rejected', () => {
+  assert.throws(() => verifyToken(undefined, SECRET), { message: 'Missing token' });
+  assert.throws(() => verifyToken('not-a-token', SECRET), { message: 'Malformed token' });
+  assert.throws(() => verifyToken('a.b.c.d', SECRET), AuthError);
+});
+
+test('signing needs a secret', () => {
+  assert.throws(() => signToken({ sub: 'player_1' }, null), { message: 'Cannot sign a token without a secret' });
+});
+
+test('persist tokens carry their key and do not pass as player tokens', () => {
+  const token = mintPersistToken('private-1', { secret: SECRET });
+  assert.equal(verifyPersistToken(token, SECRET), 'private-1');
+  assert.throws(() => verifyToken(token, SECRET), { message: 'Not a player token' });
+  assert.throws(() => verifyPersistToken(mintPlayerToken('player_1', { secret: SECRET }), SECRET), { message: 'Not a persist token' });
+});
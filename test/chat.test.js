@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WordFilter, loadBlockedWords, cleanChatText, ChatHistory } = require('../lib/chat');
+const { ERROR_CODES } = require('../lib/protocol');
+const { TestClient, createTestRoom, join, sendMessage } = require('./support/room');
+
+// A room with alice in it, a known word filter and broadcasts collected
+async function createChatRoom(options = {}) {
+  const room = await createTestRoom(options);
+  room.wordFilter = new WordFilter(['darn', 'rotten fish']);
+  room.broadcasts = [];
+  room.broadcast = (type, message) => room.broadcasts.push({ type, message });
+  const alice = join(room, new TestClient('s1', 'alice'));
+  return { room, alice };
+}
+
+test('blocked words are masked as whole words, ignoring case', () => {
+  const filter = new WordFilter(['darn', ' Rotten Fish ', 'DARN']);
+
+  assert.equal(filter.size, 2);
+  assert.deepEqual(filter.filter('Darn, a rotten fish!'), { text: '****, a ***********!', filtered: true });
+  assert.deepEqual(filter.filter('darnation'), { text: 'darnation', filtered: false });
+  assert.deepEqual(new WordFilter().filter('darn'), { text: 'darn', filtered: false });
+});
+
+test('blocked words come from the environment and a file', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'chat-')), 'words.txt');
+  fs.writeFileSync(file, '# comment\nheck\nrotten fish\n');
+
+  const filter = new WordFilter(loadBlockedWords({ CHAT_BLOCKED_WORDS: 'darn,drat', CHAT_BLOCKED_WORDS_FILE: file }));
+
+  assert.equal(filter.size, 4);
+  assert.equal(filter.filter('heck, drat').text, '****, ****');
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test('control characters become spaces', () => {
+  assert.equal(cleanChatText('  hi\nthere\u200b\u202e!  '), 'hi there  !');
+  assert.equal(cleanChatText('\n\t'), '');
+});
+
+test('chat history keeps the latest messages', () => {
+  const history = new ChatHistory(2);
+  [1, 2, 3].forEach(id => history.add({ id }));
+  assert.deepEqual(history.toJSON(), [{ id: 2 }, { id: 3 }]);
+
+  const off = new ChatHistory(0);
+  off.add({ id: 1 });
+  assert.deepEqual(off.toJSON(), []);
+});
+
+test('chat is filtered, broadcast and kept for players who join later', async () => {
+  const { room, alice } = await createChatRoom();
+
+  sendMessage(room, alice, 'chat', { text: ' darn it\n' });
+
+  const [broadcast] = room.broadcasts;
+  assert.equal(broadcast.type, 'chat');
+  assert.equal(broadcast.message.playerId, 'alice');
+  assert.equal(broadcast.message.text, '**** it');
+
+  const bob = join(room, new TestClient('s2', 'bob'));
+  assert.deepEqual(bob.messages('chat_history'), [{ messages: [broadcast.message] }]);
+});
+
+test('blank chat is rejected', async () => {
+  const { room, alice } = await createChatRoom();
+
+  sendMessage(room, alice, 'chat', { text: '\u200b \n' });
+
+  assert.equal(room.broadcasts.length, 0);
+  assert.equal(alice.messages('error')[0].code, ERROR_CODES.INVALID_FIELD);
+});
+
+test('muted players cannot chat or emote until unmuted', async () => {
+  const { room, alice } = await createChatRoom();
+
+  assert.deepEqual(room.adminMute('alice', true), { playerId: 'alice', muted: true });
+  sendMessage(room, alice, 'chat', { text: 'hello' });
+  sendMessage(room, alice, 'emote', { emote: 'wave' });
+
+  assert.equal(room.broadcasts.length, 0);
+  assert.deepEqual(alice.messages('error').map(error => error.code), [ERROR_CODES.MUTED, ERROR_CODES.MUTED]);
+
+  room.adminMute('alice', false);
+  sendMessage(room, alice, 'chat', { text: 'hello' });
+  assert.equal(room.broadcasts.length, 1);
+  assert.equal(room.adminMute('nobody', true), null);
+});
+
+test('emotes go to everyone, or above one of the sender\'s own fish', async () => {
+  const { room, alice } = await createChatRoom();
+  const shapeId = room.state.getPlayer('alice').shapes[0].id;
+
+  sendMessage(room, alice, 'emote', { emote: 'wave' });
+  assert.equal(room.broadcasts[0].message.emote, 'wave');
+  assert.equal(room.broadcasts[0].message.shapeId, null);
+
+  sendMessage(room, alice, 'emote', { emote: 'gg', shapeId });
+  assert.equal(alice.messages('emote').at(-1).shapeId, shapeId);
+
+  sendMessage(room, alice, 'emote', { emote: 'gg', shapeId: 'someone-elses' });
+  sendMessage(room, alice, 'emote', { emote: 'dance' });
+  assert.equal(alice.messages('error').length, 2);
+});
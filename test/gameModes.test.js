@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROUND_PHASES } = require('../lib/gameModes');
+const { TestClient, createTestRoom, join, drop } = require('./support/room');
+
+// A room running `gameMode` with alice and bob connected. Broadcasts are
+// collected instead of encoded for clients.
+async function createModeRoom(gameMode, options = {}) {
+  const room = await createTestRoom({ gameMode, countdownSeconds: 1, roundSeconds: 30, resultsSeconds: 1, ...options });
+  room.broadcasts = [];
+  room.broadcast = (type, message) => room.broadcasts.push({ type, message });
+  const alice = join(room, new TestClient('s1', 'alice'));
+  const bob = join(room, new TestClient('s2', 'bob'));
+  return { room, alice, bob };
+}
+
+// Lobby -> countdown -> playing
+function startRound(room) {
+  room.gameMode.step(16);
+  room.gameMode.step(1000);
+  assert.equal(room.state.round.phase, ROUND_PHASES.PLAYING);
+}
+
+function moveShapes(room, playerId, x, y) {
+  room.state.getPlayer(playerId).shapes.forEach(shape => shape.setPosition(x, y));
+}
+
+test('the sandbox has no rounds', async () => {
+  const room = await createTestRoom();
+
+  room.gameMode.step(60000);
+
+  assert.equal(room.state.round.gameMode, 'sandbox');
+  assert.equal(room.state.round.phase, ROUND_PHASES.PLAYING);
+  assert.equal(room.state.round.number, 0);
+});
+
+test('rounds go from the lobby through play and results back to the lobby', async () => {
+  const { room } = await createModeRoom('king_of_the_hill');
+  assert.equal(room.state.round.phase, ROUND_PHASES.LOBBY);
+
+  room.gameMode.step(16);
+  assert.equal(room.state.round.phase, ROUND_PHASES.COUNTDOWN);
+  assert.equal(room.state.round.timeLeft, 1);
+
+  room.gameMode.step(1000);
+  assert.equal(room.state.round.phase, ROUND_PHASES.PLAYING);
+  assert.equal(room.state.round.number, 1);
+  assert.equal(room.broadcasts.at(-1).type, 'round_started');
+
+  room.gameMode.step(30000);
+  assert.equal(room.state.round.phase, ROUND_PHASES.RESULTS);
+  assert.equal(room.broadcasts.at(-1).type, 'round_ended');
+
+  room.gameMode.step(1000);
+  assert.equal(room.state.round.phase, ROUND_PHASES.LOBBY);
+});
+
+test('the countdown stops when players leave', async () => {
+  const { room, bob } = await createModeRoom('king_of_the_hill');
+  room.gameMode.step(16);
+
+  await drop(room, bob, true);
+  room.gameMode.step(16);
+
+  assert.equal(room.state.round.phase, ROUND_PHASES.LOBBY);
+});
+
+test('holding the hill alone scores a point a second', async () => {
+  const { room } = await createModeRoom('king_of_the_hill');
+  startRound(room);
+  const zone = room.state.round.zone;
+  moveShapes(room, 'alice', zone.x, zone.y);
+  moveShapes(room, 'bob', zone.x + zone.radius * 3, zone.y);
+
+  room.gameMode.step(2500);
+
+  assert.equal(room.state.round.holderId, 'alice');
+  assert.equal(room.state.getPlayer('alice').score, 2);
+  assert.equal(room.state.getPlayer('bob').score, 0);
+});
+
+test('a contested hill scores for nobody', async () => {
+  const { room } = await createModeRoom('king_of_the_hill');
+  startRound(room);
+  const zone = room.state.round.zone;
+  moveShapes(room, 'alice', zone.x, zone.y);
+  moveShapes(room, 'bob', zone.x, zone.y);
+
+  room.gameMode.step(5000);
+
+  assert.equal(room.state.round.holderId, '');
+  assert.equal(room.state.getPlayer('alice').score, 0);
+  assert.equal(room.state.getPlayer('bob').score, 0);
+});
+
+test('knocking out another player\'s fish scores for the last hitter', async () => {
+  const { room } = await createModeRoom('knockout');
+  startRound(room);
+  const shape = room.state.getPlayer('alice').shapes[0];
+
+  room.gameMode.onHit(shape.id, 'bob');
+  room.gameMode.onShapeOutOfBounds('alice', shape);
+
+  assert.equal(room.state.getPlayer('bob').score, 1);
+  assert.deepEqual(room.broadcasts.at(-1), {
+    type: 'knockout',
+    message: { playerId: 'alice', shapeId: shape.id, scorerId: 'bob', points: 1 }
+  });
+});
+
+test('falling out on your own or outside a round scores nothing', async () => {
+  const { room } = await createModeRoom('knockout');
+  const shape = room.state.getPlayer('alice').shapes[0];
+
+  room.gameMode.onHit(shape.id, 'bob');
+  room.gameMode.onShapeOutOfBounds('alice', shape);
+  assert.equal(room.state.getPlayer('bob').score, 0);
+
+  startRound(room);
+  room.gameMode.onHit(shape.id, 'alice');
+  room.gameMode.onShapeOutOfBounds('alice', shape);
+  room.gameMode.onShapeOutOfBounds('alice', shape);
+  assert.equal(room.state.getPlayer('alice').score, 0);
+});
+
+test('knockouts are only credited for hits in the past five seconds of ticks', async () => {
+  const { room } = await createModeRoom('knockout');
+  startRound(room);
+  const shape = room.state.getPlayer('alice').shapes[0];
+
+  room.gameMode.onHit(shape.id, 'bob');
+  room.state.tick += 5 * room.config.tickRate;
+  room.gameMode.onShapeOutOfBounds('alice', shape);
+  assert.equal(room.state.getPlayer('bob').score, 1);
+
+  room.gameMode.onHit(shape.id, 'bob');
+  room.state.tick += 5 * room.config.tickRate + 1;
+  room.gameMode.onShapeOutOfBounds('alice', shape);
+  assert.equal(room.state.getPlayer('bob').score, 1);
+  assert.equal(room.broadcasts.at(-1).message.scorerId, null);
+});
+
+test('knockout fish stand on a stage and fall out under the arena off its ends', async () => {
+  const { room } = await createModeRoom('knockout');
+  startRound(room);
+  const { boundaryWidth, boundaryHeight } = room.state;
+  const [stage] = room.state.obstacles;
+  assert.equal(stage.id, 'stage');
+  assert.ok(stage.width < boundaryWidth);
+
+  const alice = room.state.getPlayer('alice').shapes[0];
+  const bob = room.state.getPlayer('bob').shapes[0];
+  bob.setPosition(boundaryWidth / 2, boundaryHeight - 100);
+  alice.setPosition(stage.x - stage.width / 2 - 50, boundaryHeight - 100);
+  room.gameMode.onHit(alice.id, 'bob');
+  for (let i = 0; i < 180; i++) {
+    room.stepSimulation();
+  }
+
+  // The simulation checks for shapes out of bounds once a second
+  assert.ok(bob.y < stage.y - stage.height / 2);
+  assert.ok(alice.y < boundaryHeight);
+  assert.equal(room.state.getPlayer('bob').score, 1);
+  assert.deepEqual(room.broadcasts.at(-1).message, { playerId: 'alice', shapeId: alice.id, scorerId: 'bob', points: 1 });
+});
+
+test('the top score wins and ties have no winner', async () => {
+  const { room } = await createModeRoom('knockout');
+  startRound(room);
+  room.state.getPlayer('alice').score = 3;
+  room.state.getPlayer('bob').score = 1;
+  room.gameMode.endRound();
+  assert.equal(room.state.round.winnerId, 'alice');
+
+  room.gameMode.step(1000);
+  startRound(room);
+  room.state.getPlayer('alice').score = 2;
+  room.state.getPlayer('bob').score = 2;
+  room.gameMode.endRound();
+  assert.equal(room.state.round.winnerId, '');
+  assert.deepEqual(room.broadcasts.at(-1).message.winnerIds, ['alice', 'bob']);
+});
+
+test('reaching the score limit ends the round early', async () => {
+  const { room } = await createModeRoom('knockout', { scoreLimit: 2 });
+  startRound(room);
+
+  room.gameMode.addScore('bob', 2);
+  room.gameMode.step(16);
+
+  assert.equal(room.state.round.phase, ROUND_PHASES.RESULTS);
+  assert.equal(room.state.round.winnerId, 'bob');
+});
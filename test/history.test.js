@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RingBuffer, ShapeHistory } = require('../lib/history');
+
+function shape(id, x, y = 0) {
+  return { id, x, y, angle: 0, velocity: { x: 0, y: 0 } };
+}
+
+test('a full ring buffer overwrites its oldest entries', () => {
+  const buffer = new RingBuffer(3);
+  [1, 2, 3, 4, 5].forEach(item => buffer.push(item));
+
+  assert.equal(buffer.length, 3);
+  assert.deepEqual([buffer.get(0), buffer.get(1), buffer.get(2)], [3, 4, 5]);
+  assert.equal(buffer.oldest(), 3);
+  assert.equal(buffer.newest(), 5);
+  assert.equal(buffer.get(3), undefined);
+  assert.equal(buffer.get(-1), undefined);
+
+  buffer.clear();
+  assert.equal(buffer.length, 0);
+  assert.equal(buffer.newest(), undefined);
+});
+
+test('shape history looks up a shape at a past tick', () => {
+  const history = new ShapeHistory(4);
+  for (let tick = 1; tick <= 3; tick++) {
+    history.record(tick, tick * 16, [shape('a', tick * 10)]);
+  }
+
+  assert.equal(history.getAt('a', 2).x, 20);
+  assert.equal(history.getAt('a', 2).time, 32);
+  assert.equal(history.getAt('missing', 2), null);
+});
+
+test('lookups outside the window clamp to the oldest and newest samples', () => {
+  const history = new ShapeHistory(4);
+  for (let tick = 1; tick <= 10; tick++) {
+    history.record(tick, tick * 16, [shape('a', tick * 10)]);
+  }
+
+  // Ticks 1 to 6 have been overwritten; 7 is the oldest one left
+  assert.equal(history.getAt('a', 6).tick, 7);
+  assert.equal(history.getAt('a', 0).x, 70);
+  assert.equal(history.getAt('a', 8).x, 80);
+  assert.equal(history.getAt('a', 12).tick, 10);
+});
+
+test('shapes that are no longer recorded are forgotten', () => {
+  const history = new ShapeHistory(4);
+  history.record(1, 16, [shape('a', 0), shape('b', 0)]);
+  history.record(2, 32, [shape('a', 0)]);
+
+  assert.ok(history.getAt('a', 1));
+  assert.equal(history.getAt('b', 1), null);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../lib/protocol');
+const { TestClient, createTestRoom, join, sendMessage } = require('./support/room');
+
+function input(room, client, seq, fling = { x: 5, y: -5 }, fields = {}) {
+  sendMessage(room, client, 'input', { seq, tick: room.state.tick, fling, ...fields });
+}
+
+test('inputs are applied on the next step and acknowledged in the state', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+  const player = room.state.getPlayer('alice');
+  const shape = player.shapes[0];
+
+  input(room, client, 1, { x: 3, y: 0 });
+  input(room, client, 2, { x: 8, y: -6 });
+  assert.equal(player.lastProcessedInput, 0);
+  assert.equal(shape.velocity.x, 0);
+
+  room.processPendingInputs();
+
+  assert.equal(player.lastProcessedInput, 2);
+  assert.deepEqual({ x: shape.velocity.x, y: shape.velocity.y }, { x: 8, y: -6 });
+  assert.deepEqual(room.pendingInputs.get('alice'), []);
+  assert.ok(room.lagCompensator.isFlinging(shape.id));
+});
+
+test('duplicate and out-of-order inputs are dropped', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  input(room, client, 5);
+  input(room, client, 5);
+  input(room, client, 3);
+  assert.deepEqual(room.pendingInputs.get('alice').map(entry => entry.seq), [5]);
+
+  room.processPendingInputs();
+  input(room, client, 4);
+  input(room, client, 6);
+  assert.deepEqual(room.pendingInputs.get('alice').map(entry => entry.seq), [6]);
+});
+
+test('a full input queue drops the newest inputs until the next step', async () => {
+  const room = await createTestRoom({ rateLimits: { input: { perSecond: 1000, burst: 100 } } });
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  for (let seq = 1; seq <= 40; seq++) {
+    input(room, client, seq);
+  }
+  room.processPendingInputs();
+
+  assert.equal(room.state.getPlayer('alice').lastProcessedInput, 32);
+});
+
+test('inputs for a shape held by someone else are acknowledged but not applied', async () => {
+  const room = await createTestRoom();
+  const alice = join(room, new TestClient('s1', 'alice'));
+  const bob = join(room, new TestClient('s2', 'bob'));
+  const shape = room.state.getPlayer('alice').shapes[0];
+  shape.permission = 'anyone';
+  shape.heldBy = 'bob';
+
+  // Alice's default shape is held; the seq is still acked so the client stops replaying it
+  input(room, alice, 1, { x: 20, y: 0 });
+  room.processPendingInputs();
+  assert.equal(room.state.getPlayer('alice').lastProcessedInput, 1);
+  assert.equal(shape.velocity.x, 0);
+
+  // Naming it explicitly is rejected outright
+  input(room, alice, 2, { x: 20, y: 0 }, { shapeId: shape.id });
+  assert.equal(alice.messages('error').pop().code, ERROR_CODES.NOT_PERMITTED);
+
+  // The holder can fling it
+  input(room, bob, 1, { x: -12, y: 0 }, { shapeId: shape.id });
+  room.processPendingInputs();
+  assert.equal(shape.velocity.x, -12);
+});
+
+test('malformed inputs are rejected with a typed error', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  sendMessage(room, client, 'input', { seq: 1, tick: 0 });
+
+  assert.equal(client.messages('error')[0].code, ERROR_CODES.MISSING_FIELD);
+  assert.equal(room.pendingInputs.has('alice'), false);
+});
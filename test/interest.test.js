@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Reflection } = require('@colyseus/schema');
+const { SpatialGrid } = require('../lib/spatialGrid');
+const { TestClient, createTestRoom, join } = require('./support/room');
+
+test('grid queries find entries within the radius, including off-arena ones', () => {
+  const grid = new SpatialGrid(1000, 1000, 100);
+  grid.insert('near', 150, 150);
+  grid.insert('far', 900, 900);
+  grid.insert('outside', -20, 150);
+
+  const found = grid.query(100, 150, 130).map(entry => entry.id).sort();
+
+  assert.deepEqual(found, ['near', 'outside']);
+  assert.equal(grid.query(100, 150, 130).find(entry => entry.id === 'near').distanceSq, 2500);
+});
+
+// The room state as this client would decode it from a full, filtered sync
+function decodeFor(room, client) {
+  const decoded = Reflection.decode(Reflection.encode(room.state));
+  room.state.encodeAll(true);
+  decoded.decode(room.state.applyFilters(client, true));
+  return decoded;
+}
+
+// Alice's fish on the left, bob's far away on the right
+async function createSpreadRoom() {
+  const room = await createTestRoom({ interestRadius: 300 });
+  const alice = join(room, new TestClient('s1', 'alice'));
+  const bob = join(room, new TestClient('s2', 'bob'));
+  room.state.getPlayer('alice').shapes[0].setPosition(100, 1000);
+  room.state.getPlayer('bob').shapes[0].setPosition(2000, 1000);
+  room.updateAreaOfInterest();
+  return { room, alice, bob };
+}
+
+test('clients only receive players whose fish are in range', async () => {
+  const { room, alice, bob } = await createSpreadRoom();
+
+  assert.deepEqual([...decodeFor(room, alice).players.keys()], ['alice']);
+  assert.deepEqual([...decodeFor(room, bob).players.keys()], ['bob']);
+});
+
+test('a fish coming into range starts syncing and is announced', async () => {
+  const { room, alice } = await createSpreadRoom();
+
+  room.state.getPlayer('bob').shapes[0].setPosition(350, 1000);
+  room.updateAreaOfInterest();
+
+  const decoded = decodeFor(room, alice);
+  assert.deepEqual([...decoded.players.keys()].sort(), ['alice', 'bob']);
+  assert.equal(decoded.players.get('bob').shapes[0].x, 350);
+  assert.deepEqual(alice.messages('interest_update'), [{ entered: ['bob'], left: [] }]);
+});
+
+test('fish only drop out of view past the hysteresis margin', async () => {
+  const { room, alice } = await createSpreadRoom();
+  const bobShape = room.state.getPlayer('bob').shapes[0];
+  bobShape.setPosition(350, 1000);
+  room.updateAreaOfInterest();
+
+  // Past the radius but within the margin: still in view
+  bobShape.setPosition(100 + room.config.interestRadius + room.INTEREST_HYSTERESIS - 10, 1000);
+  room.updateAreaOfInterest();
+  assert.ok(alice.userData.visiblePlayerIds.has('bob'));
+
+  bobShape.setPosition(2000, 1000);
+  room.updateAreaOfInterest();
+  assert.equal(alice.userData.visiblePlayerIds.has('bob'), false);
+  assert.deepEqual(alice.messages('interest_update').pop(), { entered: [], left: ['bob'] });
+});
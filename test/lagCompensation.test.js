@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ShapeHistory } = require('../lib/history');
+const { LagCompensator } = require('../lib/lagCompensation');
+
+const RADIUS = 30;
+const contactDistance = () => 2 * RADIUS;
+
+function shape(id, x, y = 0) {
+  return { id, x, y, angle: 0, velocity: { x: 0, y: 0 } };
+}
+
+// Bob's fish swims right one unit per tick from x = 100 while alice's stays
+// at x = 20: they overlapped in the past, but not any more
+function setUp(ticks = 60) {
+  const history = new ShapeHistory(64);
+  const attacker = shape('alice_fish', 20);
+  const victim = shape('bob_fish', 100);
+  for (let tick = 1; tick <= ticks; tick++) {
+    victim.x = 100 + tick;
+    history.record(tick, tick * 16, [attacker, victim]);
+  }
+  const owners = new Map([['alice_fish', 'alice'], ['bob_fish', 'bob']]);
+  return { history, attacker, victim, shapes: [attacker, victim], owners };
+}
+
+test('a fling hits where the victim was on the attacker\'s screen', () => {
+  const { history, attacker, shapes, owners } = setUp();
+  const compensator = new LagCompensator(history);
+
+  // The live fish are 100 apart; 50 ticks ago bob's was at 110, 50 from alice's
+  attacker.x = 60;
+  compensator.registerFling('alice_fish', 'alice', 50, 60);
+  const hits = compensator.detectHits(60, shapes, owners, contactDistance);
+
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].victim.id, 'bob_fish');
+  assert.equal(hits[0].rewoundTick, 10);
+  assert.equal(hits[0].nx, 1);
+  assert.equal(hits[0].ny, 0);
+});
+
+test('without rewinding the same fling misses', () => {
+  const { history, attacker, shapes, owners } = setUp();
+  const compensator = new LagCompensator(history);
+
+  attacker.x = 60;
+  compensator.registerFling('alice_fish', 'alice', 0, 60);
+
+  assert.deepEqual(compensator.detectHits(60, shapes, owners, contactDistance), []);
+});
+
+test('rewinds are capped by the history length', () => {
+  const compensator = new LagCompensator(new ShapeHistory(64));
+
+  compensator.registerFling('alice_fish', 'alice', 500, 60);
+  compensator.registerFling('bob_fish', 'bob', -5, 60);
+
+  assert.equal(compensator.flings.get('alice_fish').rewindTicks, 63);
+  assert.equal(compensator.flings.get('bob_fish').rewindTicks, 0);
+});
+
+test('each fling claims a hit on a shape once and ignores its own player', () => {
+  const { history, attacker, shapes, owners } = setUp();
+  const compensator = new LagCompensator(history);
+  owners.set('alice_other', 'alice');
+  shapes.push(shape('alice_other', 60));
+
+  attacker.x = 60;
+  compensator.registerFling('alice_fish', 'alice', 50, 60);
+  const hits = compensator.detectHits(60, shapes, owners, contactDistance);
+
+  assert.deepEqual(hits.map(hit => hit.victim.id), ['bob_fish']);
+  assert.equal(compensator.claimHit('alice_fish', 'bob_fish'), true);
+  assert.equal(compensator.claimHit('alice_fish', 'bob_fish'), false);
+  assert.deepEqual(compensator.detectHits(60, shapes, owners, contactDistance), []);
+});
+
+test('flings stop being compensated once their window is over', () => {
+  const { history, attacker, shapes, owners } = setUp();
+  const compensator = new LagCompensator(history, { flingWindowTicks: 5 });
+
+  attacker.x = 60;
+  compensator.registerFling('alice_fish', 'alice', 50, 54);
+
+  assert.deepEqual(compensator.detectHits(60, shapes, owners, contactDistance), []);
+  assert.equal(compensator.isFlinging('alice_fish'), false);
+});
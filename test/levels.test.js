@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LevelError, validateLevel, loadLevel, listLevels } = require('../lib/levels');
+const { TestClient, createTestRoom, join } = require('./support/room');
+
+const ARENA = { boundaryWidth: 2400, boundaryHeight: 1800 };
+
+function level(obstacles, fields = {}) {
+  return { obstacles, ...fields };
+}
+
+test('the bundled levels load', async () => {
+  const names = await listLevels();
+  assert.ok(names.includes('platforms'));
+
+  for (const name of names) {
+    const loaded = await loadLevel(name, ARENA);
+    assert.equal(loaded.name, name);
+    assert.ok(loaded.obstacles.length > 0);
+  }
+});
+
+test('obstacles get ids and bumpers a default bounce', () => {
+  const loaded = validateLevel('test', level([
+    { kind: 'bumper', x: 500, y: 500, radius: 40 },
+    { kind: 'platform', id: 'ledge', x: 1000, y: 900, width: 300, height: 20 }
+  ]), ARENA);
+
+  assert.deepEqual(loaded.obstacles[0], { id: 'bumper-0', kind: 'bumper', x: 500, y: 500, width: 0, height: 0, radius: 40, bounce: 1.5 });
+  assert.equal(loaded.obstacles[1].id, 'ledge');
+  assert.equal(loaded.title, 'test');
+  assert.deepEqual(loaded.spawns, []);
+});
+
+test('a level may bring its own arena', () => {
+  const loaded = validateLevel('small', level([], { boundaryWidth: 1000, boundaryHeight: 800 }), ARENA);
+
+  assert.equal(loaded.boundaryWidth, 1000);
+  assert.equal(loaded.boundaryHeight, 800);
+});
+
+test('invalid levels are rejected with the reason', () => {
+  const invalid = (data, pattern) => assert.throws(() => validateLevel('bad', data, ARENA), error => {
+    assert.ok(error instanceof LevelError);
+    assert.match(error.message, pattern);
+    return true;
+  });
+
+  invalid(level([{ kind: 'lava', x: 0, y: 0 }]), /^Invalid level bad: obstacles\[0\]/);
+  invalid(level([{ kind: 'wall', x: 100, y: 100, width: 20 }]), /height/);
+  invalid(level([{ kind: 'goal', x: 2390, y: 900, radius: 50 }]), /must lie inside the 2400x1800 boundary/);
+  invalid(level([
+    { kind: 'goal', id: 'g', x: 500, y: 500, radius: 50 },
+    { kind: 'goal', id: 'g', x: 900, y: 500, radius: 50 }
+  ]), /obstacles\[1\]\.id: g is used twice/);
+  invalid(level([{ kind: 'wall', id: 'w', x: 300, y: 1700, width: 100, height: 200 }], { spawns: [{ x: 300, y: 1750 }] }), /spawns\[0\]: overlaps w/);
+});
+
+test('spawns may sit inside goals', () => {
+  const loaded = validateLevel('goal', level([{ kind: 'goal', x: 300, y: 1700, radius: 100 }], { spawns: [{ x: 300, y: 1750 }] }), ARENA);
+
+  assert.equal(loaded.spawns.length, 1);
+});
+
+test('only files in the levels directory can be loaded', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'levels-'));
+  fs.writeFileSync(path.join(directory, 'broken.json'), '{"obstacles": [');
+
+  await assert.rejects(loadLevel('../package', ARENA, directory), /letters, digits, _ and -/);
+  await assert.rejects(loadLevel('missing', ARENA, directory), /no such level/);
+  await assert.rejects(loadLevel('broken', ARENA, directory), /not valid JSON/);
+  assert.deepEqual(await listLevels(directory), ['broken']);
+
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('rooms sync the level and spawn fish at its spawn points', async () => {
+  const room = await createTestRoom({ level: 'platforms' });
+  const loaded = await loadLevel('platforms', ARENA);
+  join(room, new TestClient('s1', 'alice'));
+
+  assert.equal(room.state.level, loaded.name);
+  assert.equal(room.state.obstacles.length, loaded.obstacles.length);
+  room.state.getPlayer('alice').shapes.forEach(shape => {
+    assert.ok(loaded.spawns.some(spawn => spawn.x === shape.x && spawn.y === shape.y));
+  });
+});
+
+test('rooms with an unknown level are not created', async () => {
+  await assert.rejects(createTestRoom({ level: 'no-such-level' }), /no such level/);
+});
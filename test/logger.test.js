@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../lib/logger');
+
+test('unset or empty log file settings fall back to the defaults', () => {
+  for (const value of [undefined, '', '  ']) {
+    const settings = logger.readSettings({ LOG_MAX_FILES: value, LOG_MAX_BYTES: value });
+    assert.equal(settings.maxFiles, 5);
+    assert.equal(settings.maxFileBytes, 10 * 1024 * 1024);
+  }
+  assert.equal(logger.readSettings({ LOG_MAX_FILES: 'many' }).maxFiles, 5);
+  assert.equal(logger.readSettings({ LOG_MAX_FILES: '-1' }).maxFiles, 5);
+});
+
+test('LOG_MAX_FILES=0 keeps no rotated files', () => {
+  assert.equal(logger.readSettings({ LOG_MAX_FILES: '0' }).maxFiles, 0);
+  assert.equal(logger.readSettings({ LOG_MAX_FILES: '3' }).maxFiles, 3);
+});
+
+// A logger module of its own, configured from `env` the way the server's is
+// from process.env at startup, writing to a file in a fresh directory
+function loadLogger(t, env = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  const file = path.join(directory, 'server.log');
+  const settings = { LOG_LEVEL: 'debug', LOG_STDOUT_ONLY: 'false', LOG_FILE: file, ...env };
+
+  const modulePath = require.resolve('../lib/logger');
+  const cached = require.cache[modulePath];
+  const saved = {};
+  Object.keys(settings).forEach((key) => {
+    saved[key] = process.env[key];
+    process.env[key] = settings[key];
+  });
+  delete require.cache[modulePath];
+  let instance;
+  try {
+    instance = require(modulePath);
+  } finally {
+    require.cache[modulePath] = cached;
+    Object.keys(saved).forEach((key) => {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    });
+  }
+
+  // Log lines (strings) are collected instead of mixed into the test
+  // output; the test runner's own reports (buffers) still go through
+  const capture = (stream, chunks) => {
+    const write = stream.write;
+    t.mock.method(stream, 'write', function (chunk, ...rest) {
+      if (typeof chunk !== 'string') {
+        return write.call(this, chunk, ...rest);
+      }
+      chunks.push(chunk);
+      return true;
+    });
+  };
+  const stdout = [];
+  const stderr = [];
+  capture(process.stdout, stdout);
+  capture(process.stderr, stderr);
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const lines = chunks => chunks.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return {
+    logger: instance,
+    file,
+    stdoutLines: () => lines(stdout),
+    stderrLines: () => lines(stderr),
+    fileLines: () => lines([fs.readFileSync(file, 'utf8')])
+  };
+}
+
+test('lines are JSON with the child fields and the withContext() fields', async (t) => {
+  const { logger: log, stdoutLines, fileLines } = loadLogger(t);
+  const roomLogger = log.child({ roomId: 'r1' });
+
+  await log.withContext({ sessionId: 's1', playerId: 'alice' }, async () => {
+    roomLogger.log('joined', { team: 'red' });
+    await new Promise(resolve => setImmediate(resolve));
+    log.withContext({ playerId: 'bob' }, () => roomLogger.debug('nested'));
+  });
+  roomLogger.info('outside');
+  await log.flush();
+
+  const [joined, nested, outside] = stdoutLines();
+  assert.equal(joined.level, 'log');
+  assert.equal(joined.msg, 'joined {"team":"red"}');
+  assert.deepEqual([joined.roomId, joined.sessionId, joined.playerId], ['r1', 's1', 'alice']);
+  assert.deepEqual([nested.level, nested.sessionId, nested.playerId], ['debug', 's1', 'bob']);
+  assert.equal(outside.roomId, 'r1');
+  assert.equal(outside.sessionId, undefined);
+  assert.deepEqual(fileLines(), stdoutLines());
+});
+
+test('warnings go to stderr right away and levels below LOG_LEVEL are skipped', async (t) => {
+  const { logger: log, stdoutLines, stderrLines, fileLines } = loadLogger(t, { LOG_LEVEL: 'info' });
+
+  log.debug('hidden');
+  log.log('hidden');
+  log.warn('careful', new Error('boom'));
+  assert.deepEqual(stderrLines().map(line => line.msg), ['careful boom']);
+  assert.equal(stderrLines()[0].error.message, 'boom');
+
+  log.info('shown');
+  await log.flush();
+  assert.deepEqual(stdoutLines().map(line => line.msg), ['shown']);
+  assert.deepEqual(fileLines().map(line => line.msg), ['careful boom', 'shown']);
+});
+
+test('sampled loggers emit once per window and report what they suppressed', async (t) => {
+  const { logger: log, stderrLines } = loadLogger(t);
+
+  for (let i = 0; i < 3; i++) {
+    log.sampled('flood', 50).warn('flooding');
+  }
+  log.sampled('other', 50).warn('different key');
+  await new Promise(resolve => setTimeout(resolve, 60));
+  log.sampled('flood', 50).warn('flooding');
+
+  const lines = stderrLines();
+  assert.deepEqual(lines.map(line => line.msg), ['flooding', 'different key', 'flooding']);
+  assert.equal(lines[0].suppressed, undefined);
+  assert.equal(lines[2].suppressed, 2);
+});
+
+test('the log file rotates by size and keeps LOG_MAX_FILES old files', async (t) => {
+  const { logger: log, file } = loadLogger(t, { LOG_MAX_BYTES: '300', LOG_MAX_FILES: '2' });
+
+  for (let i = 0; i < 6; i++) {
+    log.log(`line ${i}`, 'x'.repeat(100));
+    await log.flush();
+  }
+
+  assert.ok(fs.statSync(file).size <= 300);
+  assert.ok(fs.existsSync(`${file}.1`));
+  assert.ok(fs.existsSync(`${file}.2`));
+  assert.equal(fs.existsSync(`${file}.3`), false);
+  assert.match(fs.readFileSync(file, 'utf8'), /line 5/);
+});
+
+test('lines beyond the buffer limit are dropped and counted', async (t) => {
+  const { logger: log, stdoutLines, fileLines } = loadLogger(t);
+
+  // Nothing is flushed while this loop runs, as when a sink can't keep up
+  for (let i = 0; i < 10005; i++) {
+    log.log(`line ${i}`);
+  }
+  await log.flush();
+
+  for (const [lines, sink] of [[stdoutLines(), 'stdout'], [fileLines(), 'the log file']]) {
+    assert.equal(lines.length, 10001);
+    assert.equal(lines[9999].msg, 'line 9999');
+    assert.deepEqual([lines[10000].level, lines[10000].msg], ['warn', `Dropped 5 log lines while ${sink} was busy`]);
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { matchMaker, LocalDriver, LocalPresence } = require('colyseus');
+const { generateInviteCode, generateUniqueInviteCode, findRoomByInviteCode, normalizeInviteCode } = require('../lib/matchmaking');
+const { TestClient, createTestRoom, join, drop } = require('./support/room');
+
+const driver = new LocalDriver();
+
+test.before(() => matchMaker.setup(new LocalPresence(), driver));
+
+// List a room with the matchmaker the way a live room is
+async function listRoom(name, roomId, metadata = {}) {
+  const listing = driver.createInstance({ name, roomId, metadata });
+  await listing.save();
+  return listing;
+}
+
+test('invite codes are six characters that are hard to mix up', () => {
+  for (let i = 0; i < 50; i++) {
+    assert.match(generateInviteCode(), /^[A-HJKMNP-Z2-9]{6}$/);
+  }
+  assert.equal(normalizeInviteCode(' ab3def\n'), 'AB3DEF');
+  assert.equal(normalizeInviteCode(42), '');
+});
+
+test('invite codes resolve to the room using them, ignoring case and spaces', async () => {
+  await listRoom('physics_room', 'room-a', { inviteCode: 'ABC234' });
+  await listRoom('lobby', 'lobby-a', { inviteCode: 'XYZ789' });
+
+  assert.equal((await findRoomByInviteCode('physics_room', ' abc234 ')).roomId, 'room-a');
+  assert.equal(await findRoomByInviteCode('physics_room', 'XYZ789'), undefined);
+  assert.equal(await findRoomByInviteCode('physics_room', 'ABC23'), undefined);
+});
+
+test('new invite codes skip the ones live rooms are using', async (t) => {
+  await listRoom('physics_room', 'room-b', { inviteCode: 'AAAAAA' });
+
+  // The first code drawn is taken, the second one is free
+  let draws = 0;
+  t.mock.method(crypto, 'randomInt', () => (draws++ < 6 ? 0 : 1));
+  assert.equal(await generateUniqueInviteCode('physics_room'), 'BBBBBB');
+
+  t.mock.method(crypto, 'randomInt', () => 0);
+  await assert.rejects(generateUniqueInviteCode('physics_room'), { message: 'Could not generate a unique invite code' });
+});
+
+test('private rooms get an invite code and tell it to the players who join', async () => {
+  const room = await createTestRoom({ private: true });
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  assert.match(room.inviteCode, /^[A-HJKMNP-Z2-9]{6}$/);
+  assert.equal(client.messages('room_info')[0].inviteCode, room.inviteCode);
+  assert.equal(room.listing.metadata.inviteCode, room.inviteCode);
+
+  const publicRoom = await createTestRoom();
+  assert.equal(publicRoom.inviteCode, null);
+});
+
+test('empty rooms dispose unless a dropped player is held for reconnection', async () => {
+  const room = await createTestRoom({ private: true });
+  let disposed = false;
+  room._events.removeAllListeners('dispose');
+  room._events.on('dispose', () => {
+    disposed = true;
+  });
+  const client = join(room, new TestClient('s1', 'alice'));
+  room._disposeIfEmpty();
+  assert.equal(disposed, false);
+
+  // Colyseus keeps a reserved seat for every player held by allowReconnection()
+  room.reservedSeats.s1 = [{}, true];
+  const leaving = drop(room, client);
+  room._disposeIfEmpty();
+  assert.equal(disposed, false);
+
+  delete room.reservedSeats.s1;
+  room.reconnections.get('s1').reject(new Error('timed out'));
+  await leaving;
+  room._disposeIfEmpty();
+  assert.equal(disposed, true);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { RedisPresence } = require('colyseus');
+const { MemoryRedisServer } = require('../lib/memoryRedis');
+
+// Send raw protocol bytes and collect the reply until `expected` bytes arrived
+function rawExchange(port, request, expectedLength) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(request));
+    let reply = '';
+    socket.on('data', (chunk) => {
+      reply += chunk.toString('utf8');
+      if (reply.length >= expectedLength) {
+        socket.end();
+        resolve(reply);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+// A stand-in server with a presence connected to it, torn down after the test
+async function startPresence(t) {
+  const server = new MemoryRedisServer();
+  const port = await server.listen();
+  const presence = new RedisPresence(`redis://127.0.0.1:${port}`);
+  t.after(async () => {
+    presence.shutdown();
+    await server.close();
+  });
+  return { server, port, presence };
+}
+
+test('presence keys, hashes, sets and counters round-trip', async (t) => {
+  const { presence } = await startPresence(t);
+
+  await presence.set('room', 'alpha');
+  assert.equal(await presence.get('room'), 'alpha');
+  await presence.del('room');
+  assert.equal(await presence.get('room'), null);
+
+  await presence.hset('keys', 'sandbox-global', 'room-1');
+  assert.equal(await presence.hget('keys', 'sandbox-global'), 'room-1');
+  assert.deepEqual(await presence.hgetall('keys'), { 'sandbox-global': 'room-1' });
+  assert.equal(await presence.hincrby('counts', 'joins', 3), 3);
+  await presence.hdel('keys', 'sandbox-global');
+  assert.equal(await presence.hlen('keys'), 0);
+
+  await presence.sadd('a', 'x');
+  await presence.sadd('a', 'y');
+  await presence.sadd('b', 'y');
+  assert.deepEqual(await presence.sinter('a', 'b'), ['y']);
+  assert.equal(await presence.scard('a'), 2);
+
+  assert.equal(await presence.incr('n'), 1);
+  assert.equal(await presence.decr('n'), 0);
+});
+
+test('keys expire', async (t) => {
+  const { server, presence } = await startPresence(t);
+
+  await presence.setex('ticket', 'abc', 60);
+  assert.equal(await presence.get('ticket'), 'abc');
+
+  server.data.get('ticket').expiresAt = Date.now() - 1;
+  assert.equal(await presence.get('ticket'), null);
+  assert.equal(server.data.has('ticket'), false);
+});
+
+test('published messages reach subscribers', async (t) => {
+  const { presence } = await startPresence(t);
+  const received = new Promise(resolve => presence.subscribe('room:abc', resolve));
+
+  // Subscribing happens on its own connection; give it a moment to land
+  await new Promise(resolve => setTimeout(resolve, 50));
+  // Colyseus checks whether a room is alive by its channel
+  assert.equal(await presence.exists('room:abc'), true);
+  await presence.publish('room:abc', { type: 'ping' });
+
+  assert.deepEqual(await received, { type: 'ping' });
+});
+
+test('the protocol answers errors and inline commands', async (t) => {
+  const server = new MemoryRedisServer();
+  const port = await server.listen();
+  t.after(() => server.close());
+
+  assert.equal(await rawExchange(port, 'PING\r\n', 7), '+PONG\r\n');
+  assert.equal(await rawExchange(port, '*1\r\n$5\r\nNOPE!\r\n', 30), "-ERR unknown command 'NOPE!'\r\n");
+
+  const wrongType = await rawExchange(port, '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$1\r\nv\r\n*3\r\n$4\r\nHGET\r\n$1\r\nk\r\n$1\r\nf\r\n', 20);
+  assert.match(wrongType, /^\+OK\r\n-WRONGTYPE /);
+});
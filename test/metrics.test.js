@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../lib/metrics');
+const { TestClient, createTestRoom, join, drop, sendMessage } = require('./support/room');
+
+test('client round-trip times are a histogram per room, not per session', async (t) => {
+  const room = await createTestRoom();
+  const alice = join(room, new TestClient('s1', 'alice'));
+  const bob = join(room, new TestClient('s2', 'bob'));
+  metrics.trackRoom(room);
+  t.after(() => metrics.untrackRoom(room));
+
+  t.mock.method(Date, 'now', () => 1000000);
+  sendMessage(room, alice, 'pong', { timestamp: 1000000 - 40 });
+  sendMessage(room, bob, 'pong', { timestamp: 1000000 - 120 });
+  sendMessage(room, bob, 'pong', { timestamp: 1000000 - 90000 }); // Implausible, ignored
+  const output = metrics.renderMetrics();
+
+  assert.match(output, /^fling_client_rtt_milliseconds_bucket\{room_id="test-room",le="25"\} 0$/m);
+  assert.match(output, /^fling_client_rtt_milliseconds_bucket\{room_id="test-room",le="50"\} 1$/m);
+  assert.match(output, /^fling_client_rtt_milliseconds_bucket\{room_id="test-room",le="\+Inf"\} 2$/m);
+  assert.match(output, /^fling_client_rtt_milliseconds_sum\{room_id="test-room"\} 160$/m);
+  assert.doesNotMatch(output, /session_id|s1/);
+
+  // Series go away with their room
+  metrics.untrackRoom(room);
+  assert.doesNotMatch(metrics.renderMetrics(), /test-room/);
+});
+
+// The line of `output` for `name` with exactly `labels`, if any
+function sample(output, name, labels = '') {
+  const line = output.split('\n').find(candidate => candidate.startsWith(`${name}${labels} `));
+  return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(' ') + 1));
+}
+
+test('every metric is announced with HELP and TYPE lines', () => {
+  const output = metrics.renderMetrics();
+
+  assert.ok(output.endsWith('\n'));
+  assert.match(output, /^# HELP fling_messages_received_total Client messages received, by message type\n# TYPE fling_messages_received_total counter$/m);
+  assert.match(output, /^# TYPE fling_simulation_step_duration_seconds histogram$/m);
+  assert.match(output, /^# TYPE fling_players gauge$/m);
+  assert.match(output, /^fling_rooms_active 0$/m);
+});
+
+test('counters keep one series per label set and escape label values', () => {
+  const counter = new metrics.Counter('test_total', 'Test counter');
+  counter.inc({ type: 'push' });
+  counter.inc({ type: 'push' }, 2);
+  counter.inc({ type: 'say "hi"\\\n' });
+  counter.inc();
+
+  assert.deepEqual(counter.collect(), [
+    'test_total{type="push"} 3',
+    'test_total{type="say \\"hi\\"\\\\\\n"} 1',
+    'test_total 1'
+  ]);
+});
+
+test('histograms render cumulative buckets, sum and count per label set', () => {
+  const histogram = new metrics.Histogram('test_seconds', 'Test histogram', [0.1, 1]);
+  histogram.observe({}, 0.05);
+  histogram.observe({}, 0.5);
+  histogram.observe({}, 2);
+  histogram.observe({ room_id: 'r1' }, 0.5);
+
+  assert.deepEqual(histogram.collect(), [
+    'test_seconds_bucket{le="0.1"} 1',
+    'test_seconds_bucket{le="1"} 2',
+    'test_seconds_bucket{le="+Inf"} 3',
+    'test_seconds_sum 2.55',
+    'test_seconds_count 3',
+    'test_seconds_bucket{room_id="r1",le="0.1"} 0',
+    'test_seconds_bucket{room_id="r1",le="1"} 1',
+    'test_seconds_bucket{room_id="r1",le="+Inf"} 1',
+    'test_seconds_sum{room_id="r1"} 0.5',
+    'test_seconds_count{room_id="r1"} 1'
+  ]);
+});
+
+test('rooms report players by status and count received and rejected messages', async (t) => {
+  const room = await createTestRoom();
+  const alice = join(room, new TestClient('s1', 'alice'));
+  const bob = join(room, new TestClient('s2', 'bob'));
+  metrics.trackRoom(room);
+  t.after(() => metrics.untrackRoom(room));
+
+  drop(room, bob);
+  const before = metrics.renderMetrics();
+  sendMessage(room, alice, 'chat', { text: 'hello' });
+  sendMessage(room, alice, 'chat', { text: 42 });
+  const output = metrics.renderMetrics();
+
+  assert.equal(sample(output, 'fling_rooms_active'), 1);
+  assert.equal(sample(output, 'fling_players', '{room_id="test-room",status="connected"}'), 1);
+  assert.equal(sample(output, 'fling_players', '{room_id="test-room",status="disconnected"}'), 1);
+  const received = '{type="chat"}';
+  assert.equal(sample(output, 'fling_messages_received_total', received) - (sample(before, 'fling_messages_received_total', received) || 0), 2);
+  assert.equal(sample(output, 'fling_messages_rejected_total', '{type="chat",reason="INVALID_FIELD"}'), 1);
+});
+
+test('only state patches sent to instrumented clients count as patch bytes', () => {
+  const client = new TestClient('s1');
+  metrics.instrumentClient(client);
+  metrics.instrumentClient(client);
+  const before = sample(metrics.renderMetrics(), 'fling_patch_bytes_sent_total') || 0;
+
+  client.raw(Buffer.from([15, 1, 2, 3]));
+  client.raw(Buffer.from([13, 1, 2, 3]));
+
+  assert.equal(sample(metrics.renderMetrics(), 'fling_patch_bytes_sent_total') - before, 4);
+});
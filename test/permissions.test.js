@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REJECTION_REASONS, checkShapeAccess, checkPermission, checkRelease } = require('../lib/permissions');
+const { ERROR_CODES } = require('../lib/protocol');
+const { mintPlayerToken } = require('../lib/auth');
+const { TestClient, createTestRoom, join, drop, sendMessage } = require('./support/room');
+
+const alice = { id: 'alice', team: 'red' };
+const bob = { id: 'bob', team: 'red' };
+const carol = { id: 'carol', team: '' };
+
+test('the permission decides who besides the owner may act', () => {
+  assert.equal(checkPermission({ permission: 'owner' }, alice, alice), null);
+  assert.equal(checkPermission({ permission: 'owner' }, alice, bob), REJECTION_REASONS.NOT_OWNER);
+  assert.equal(checkPermission({ permission: 'team' }, alice, bob), null);
+  assert.equal(checkPermission({ permission: 'team' }, alice, carol), REJECTION_REASONS.NOT_TEAMMATE);
+  assert.equal(checkPermission({ permission: 'team' }, carol, { id: 'dave', team: '' }), REJECTION_REASONS.NOT_TEAMMATE);
+  assert.equal(checkPermission({ permission: 'anyone' }, alice, carol), null);
+});
+
+test('a held shape belongs to its holder, even over the owner', () => {
+  const shape = { permission: 'anyone', heldBy: 'bob' };
+
+  assert.equal(checkShapeAccess(shape, alice, bob), null);
+  assert.equal(checkShapeAccess(shape, alice, alice), REJECTION_REASONS.HELD);
+  assert.equal(checkShapeAccess(shape, alice, carol), REJECTION_REASONS.HELD);
+});
+
+test('the holder and the owner may release a shape', () => {
+  const shape = { permission: 'anyone', heldBy: 'bob' };
+
+  assert.equal(checkRelease(shape, alice, bob), null);
+  assert.equal(checkRelease(shape, alice, alice), null);
+  assert.equal(checkRelease(shape, alice, carol), REJECTION_REASONS.HELD);
+  assert.equal(checkRelease({ permission: 'anyone', heldBy: '' }, alice, alice), REJECTION_REASONS.NOT_HELD);
+});
+
+// A client whose verified token puts them on `team`
+function teamClient(sessionId, playerId, team) {
+  const client = new TestClient(sessionId, playerId);
+  client.auth.team = team;
+  return client;
+}
+
+// A room with alice and bob on the red team and carol on no team
+async function createPermissionRoom() {
+  const room = await createTestRoom();
+  const clients = {
+    alice: join(room, teamClient('s1', 'alice', 'red')),
+    bob: join(room, teamClient('s2', 'bob', 'red')),
+    carol: join(room, new TestClient('s3', 'carol'))
+  };
+  const shape = room.state.getPlayer('alice').shapes[0];
+  return { room, clients, shape };
+}
+
+function act(room, client, type, shapeId, fields = {}) {
+  sendMessage(room, client, 'physics_action', { action: { type, shapeId, ...fields } });
+}
+
+function lastRejection(client) {
+  const errors = client.messages('error');
+  const error = errors[errors.length - 1];
+  assert.equal(error.code, ERROR_CODES.NOT_PERMITTED);
+  return error.reason;
+}
+
+test('other players may only grab a shape its permission lets them', async () => {
+  const { room, clients, shape } = await createPermissionRoom();
+
+  act(room, clients.bob, 'grab', shape.id);
+  assert.equal(lastRejection(clients.bob), REJECTION_REASONS.NOT_OWNER);
+  assert.equal(shape.heldBy, '');
+
+  sendMessage(room, clients.alice, 'set_shape_permission', { shapeId: shape.id, permission: 'team' });
+  act(room, clients.carol, 'grab', shape.id);
+  assert.equal(lastRejection(clients.carol), REJECTION_REASONS.NOT_TEAMMATE);
+
+  act(room, clients.bob, 'grab', shape.id);
+  assert.equal(shape.heldBy, 'bob');
+});
+
+test('while a shape is held only the holder moves it, and the owner can take it back', async () => {
+  const { room, clients, shape } = await createPermissionRoom();
+  sendMessage(room, clients.alice, 'set_shape_permission', { shapeId: shape.id, permission: 'anyone' });
+  act(room, clients.bob, 'grab', shape.id);
+
+  act(room, clients.alice, 'impulse', shape.id, { velocity: { x: 10, y: 0 } });
+  assert.equal(lastRejection(clients.alice), REJECTION_REASONS.HELD);
+  act(room, clients.carol, 'release', shape.id);
+  assert.equal(lastRejection(clients.carol), REJECTION_REASONS.HELD);
+
+  act(room, clients.alice, 'release', shape.id);
+  assert.equal(shape.heldBy, '');
+  act(room, clients.alice, 'release', shape.id);
+  assert.equal(lastRejection(clients.alice), REJECTION_REASONS.NOT_HELD);
+});
+
+test('the holder can throw a shape when releasing it', async () => {
+  const { room, clients, shape } = await createPermissionRoom();
+  sendMessage(room, clients.alice, 'set_shape_permission', { shapeId: shape.id, permission: 'anyone' });
+  act(room, clients.carol, 'grab', shape.id);
+
+  act(room, clients.carol, 'release', shape.id, { velocity: { x: 12, y: -8 } });
+
+  assert.equal(shape.heldBy, '');
+  assert.deepEqual({ x: shape.velocity.x, y: shape.velocity.y }, { x: 12, y: -8 });
+  assert.deepEqual(clients.carol.messages('error'), []);
+});
+
+test('only the owner may change a shape permission', async () => {
+  const { room, clients, shape } = await createPermissionRoom();
+
+  sendMessage(room, clients.bob, 'set_shape_permission', { shapeId: shape.id, permission: 'anyone' });
+
+  assert.equal(lastRejection(clients.bob), REJECTION_REASONS.NOT_OWNER);
+  assert.equal(shape.permission, 'owner');
+});
+
+test('a permission change that shuts the holder out makes them let go', async () => {
+  const { room, clients, shape } = await createPermissionRoom();
+  sendMessage(room, clients.alice, 'set_shape_permission', { shapeId: shape.id, permission: 'anyone' });
+  act(room, clients.carol, 'grab', shape.id);
+
+  // Bob is a teammate and could keep holding it; Carol can't
+  sendMessage(room, clients.alice, 'set_shape_permission', { shapeId: shape.id, permission: 'team' });
+  assert.equal(shape.heldBy, '');
+  act(room, clients.carol, 'grab', shape.id);
+  assert.equal(lastRejection(clients.carol), REJECTION_REASONS.NOT_TEAMMATE);
+
+  act(room, clients.bob, 'grab', shape.id);
+  sendMessage(room, clients.alice, 'set_shape_permission', { shapeId: shape.id, permission: 'team' });
+  assert.equal(shape.heldBy, 'bob');
+});
+
+test('a holder who leaves lets go', async () => {
+  const { room, clients, shape } = await createPermissionRoom();
+  sendMessage(room, clients.alice, 'set_shape_permission', { shapeId: shape.id, permission: 'anyone' });
+  act(room, clients.bob, 'grab', shape.id);
+
+  drop(room, clients.bob);
+
+  assert.equal(shape.heldBy, '');
+});
+
+test('teams come from the player token, not from join options', async (t) => {
+  process.env.AUTH_SECRET = 'test-secret';
+  t.after(() => delete process.env.AUTH_SECRET);
+  const room = await createTestRoom();
+  const token = mintPlayerToken('carol', { claims: { team: 'blue' } });
+
+  assert.throws(() => room.onAuth(new TestClient('s1'), { token, team: 'red' }), { message: 'Token does not match team' });
+  assert.throws(() => room.onAuth(new TestClient('s2'), { token: mintPlayerToken('dave'), team: 'red' }), { message: 'Token does not match team' });
+
+  const client = new TestClient('s3');
+  client.auth = room.onAuth(client, { token, team: 'blue' });
+  join(room, client, { team: 'blue' });
+  assert.equal(room.state.getPlayer('carol').team, 'blue');
+});
+
+test('guests join on no team whatever they ask for', async () => {
+  const room = await createTestRoom();
+  const client = new TestClient('s1');
+  client.auth = room.onAuth(client, { team: 'red' });
+
+  join(room, client, { team: 'red' });
+
+  assert.equal(room.state.getPlayer('s1').team, '');
+});
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PhysicsWorld, FIXED_TIME_STEP_MS } = require('../lib/physics');
+const { Shape } = require('../schema/PhysicsState');
+
+const WIDTH = 2400;
+const HEIGHT = 1800;
+const RADIUS = 30;
+
+function body(id, x, y, fields = {}) {
+  return { id, x, y, angle: 0, angularVelocity: 0, velocity: { x: 0, y: 0 }, ...fields };
+}
+
+test('gravity pulls a free body down', () => {
+  const world = new PhysicsWorld({ gravity: 0.5, airDamping: 1 });
+  const shape = body('a', 500, 500);
+
+  world.step([shape], WIDTH, HEIGHT);
+
+  assert.equal(shape.velocity.y, 0.5);
+  assert.equal(shape.y, 500.5);
+  assert.equal(shape.x, 500);
+});
+
+test('frozen bodies stay where they are', () => {
+  const world = new PhysicsWorld();
+  const shape = body('a', 500, 500, { frozen: true, velocity: { x: 10, y: -10 } });
+
+  world.step([shape], WIDTH, HEIGHT);
+
+  assert.deepEqual({ x: shape.x, y: shape.y }, { x: 500, y: 500 });
+});
+
+test('bodies come to rest on the floor', () => {
+  const world = new PhysicsWorld();
+  const shape = body('a', 500, HEIGHT - 200);
+
+  for (let i = 0; i < 600; i++) {
+    world.step([shape], WIDTH, HEIGHT);
+  }
+
+  assert.equal(shape.y, HEIGHT - RADIUS);
+  assert.deepEqual(shape.velocity, { x: 0, y: 0 });
+});
+
+test('walls bounce bodies back inside', () => {
+  const world = new PhysicsWorld({ gravity: 0, restitution: 1 });
+  const shape = body('a', 10, 500, { velocity: { x: -20, y: 0 } });
+
+  world.step([shape], WIDTH, HEIGHT);
+
+  assert.equal(shape.x, RADIUS);
+  assert.ok(shape.velocity.x > 0);
+});
+
+test('open walls let bodies leave the arena', () => {
+  const world = new PhysicsWorld({ gravity: 0, walls: { left: false, right: false, top: false, bottom: true } });
+  const shape = body('a', 10, 500, { velocity: { x: -20, y: 0 } });
+
+  world.step([shape], WIDTH, HEIGHT);
+
+  assert.ok(shape.x < 0);
+});
+
+test('there is no floor past an open side wall', () => {
+  const world = new PhysicsWorld({ walls: { left: false, right: true, top: true, bottom: true } });
+  const shape = body('a', -50, HEIGHT - RADIUS - 1);
+
+  for (let i = 0; i < 10; i++) {
+    world.step([shape], WIDTH, HEIGHT);
+  }
+
+  assert.ok(shape.y > HEIGHT - RADIUS);
+});
+
+test('colliding bodies exchange momentum and report the contact', () => {
+  const world = new PhysicsWorld({ gravity: 0, airDamping: 1, restitution: 1 });
+  const a = body('a', 500, 500, { velocity: { x: 10, y: 0 } });
+  const b = body('b', 555, 500);
+
+  const contacts = world.step([a, b], WIDTH, HEIGHT);
+
+  assert.equal(contacts.length, 1);
+  assert.equal(contacts[0].a, 'a');
+  assert.equal(contacts[0].b, 'b');
+  assert.ok(contacts[0].impulse > 0);
+  assert.ok(Math.abs(a.velocity.x) < 1e-9);
+  assert.ok(Math.abs(b.velocity.x - 10) < 1e-9);
+  assert.ok(b.x - a.x >= 2 * RADIUS - 1e-9);
+});
+
+test('heavier bodies are pushed around less', () => {
+  const world = new PhysicsWorld({ gravity: 0, airDamping: 1 });
+  const light = body('a', 500, 500, { velocity: { x: 10, y: 0 }, mass: 1 });
+  const heavy = body('b', 555, 500, { mass: 4 });
+
+  world.step([light, heavy], WIDTH, HEIGHT);
+
+  assert.ok(light.velocity.x < 0);
+  assert.ok(heavy.velocity.x > 0 && heavy.velocity.x < 10);
+});
+
+test('bodies bounce by their own restitution', () => {
+  const world = new PhysicsWorld({ gravity: 0, airDamping: 1 });
+  const dead = body('a', 10, 500, { velocity: { x: -20, y: 0 }, restitution: 0 });
+  const lively = body('b', 10, 900, { velocity: { x: -20, y: 0 }, restitution: 1 });
+
+  world.step([dead, lively], WIDTH, HEIGHT);
+
+  assert.equal(dead.velocity.x, 0);
+  assert.equal(lively.velocity.x, 20);
+});
+
+test('frozen bodies block moving ones without moving themselves', () => {
+  const world = new PhysicsWorld({ gravity: 0, airDamping: 1 });
+  const moving = body('a', 500, 500, { velocity: { x: 10, y: 0 } });
+  const frozen = body('b', 555, 500, { frozen: true });
+
+  world.step([moving, frozen], WIDTH, HEIGHT);
+
+  assert.equal(frozen.x, 555);
+  assert.deepEqual(frozen.velocity, { x: 0, y: 0 });
+  assert.ok(moving.velocity.x < 0);
+});
+
+test('resolveContact has nothing to resolve between two frozen bodies', () => {
+  const world = new PhysicsWorld();
+  const a = body('a', 500, 500, { frozen: true });
+  const b = body('b', 520, 500, { frozen: true });
+
+  assert.equal(world.resolveContact(a, b, 1, 0, 40), null);
+});
+
+test('separating bodies are pushed apart without an impulse', () => {
+  const world = new PhysicsWorld();
+  const a = body('a', 500, 500, { velocity: { x: -5, y: 0 } });
+  const b = body('b', 540, 500, { velocity: { x: 5, y: 0 } });
+
+  const contact = world.resolveContact(a, b, 1, 0, 20);
+
+  assert.equal(contact.impulse, 0);
+  assert.equal(b.x - a.x, 60);
+  assert.deepEqual([a.velocity.x, b.velocity.x], [-5, 5]);
+});
+
+test('boxes and polygons collide with circles', () => {
+  const world = new PhysicsWorld();
+  const box = body('box', 500, 500, { kind: 'box', width: 60, height: 60 });
+  const triangle = body('tri', 500, 500, { kind: 'polygon', vertices: [{ x: 0, y: -40 }, { x: 40, y: 30 }, { x: -40, y: 30 }] });
+
+  const boxContact = world.findContact(box, body('c', 555, 500));
+  assert.ok(boxContact);
+  assert.equal(boxContact.nx, 1);
+  assert.ok(Math.abs(boxContact.penetration - 5) < 1e-9);
+
+  assert.equal(world.findContact(box, body('c', 600, 500)), null);
+  assert.ok(world.findContact(triangle, body('c', 500, 550)));
+  assert.equal(world.findContact(triangle, body('c', 500, 600)), null);
+});
+
+test('rotated boxes reach further along their diagonal', () => {
+  const world = new PhysicsWorld();
+  const box = body('box', 500, 500, { kind: 'box', width: 60, height: 60 });
+  const circle = body('c', 500 + 38 + RADIUS, 500);
+
+  assert.equal(world.findContact(box, circle), null);
+  box.angle = Math.PI / 4;
+  assert.ok(world.findContact(box, circle));
+});
+
+test('solid obstacles stop bodies', () => {
+  const world = new PhysicsWorld({
+    gravity: 0,
+    obstacles: [{ id: 'wall', kind: 'wall', x: 600, y: 500, width: 40, height: 400, radius: 0, bounce: 0 }]
+  });
+  const shape = body('a', 560, 500, { velocity: { x: 10, y: 0 } });
+
+  world.step([shape], WIDTH, HEIGHT);
+
+  assert.ok(shape.x <= 580 - RADIUS + 1e-9);
+  assert.ok(shape.velocity.x <= 0);
+});
+
+test('bumpers bounce bodies back faster than they came', () => {
+  const world = new PhysicsWorld({
+    gravity: 0,
+    airDamping: 1,
+    obstacles: [{ id: 'bumper', kind: 'bumper', x: 600, y: 500, width: 0, height: 0, radius: 50, bounce: 1.5 }]
+  });
+  const shape = body('a', 515, 500, { velocity: { x: 10, y: 0 } });
+
+  world.step([shape], WIDTH, HEIGHT);
+
+  assert.equal(shape.velocity.x, -15);
+  assert.equal(shape.x, 600 - 50 - RADIUS);
+});
+
+test('the same shapes in any order step to the same result', () => {
+  const make = () => [
+    body('a', 500, 500, { velocity: { x: 12, y: -3 } }),
+    body('b', 560, 510, { velocity: { x: -4, y: 0 } }),
+    body('c', 530, 560)
+  ];
+  const world = new PhysicsWorld();
+  const forward = make();
+  const backward = make().reverse();
+
+  for (let i = 0; i < 120; i++) {
+    world.step(forward, WIDTH, HEIGHT);
+    world.step(backward, WIDTH, HEIGHT);
+  }
+
+  const byId = shapes => Object.fromEntries(shapes.map(shape => [shape.id, [shape.x, shape.y, shape.angle]]));
+  assert.deepEqual(byId(forward), byId(backward));
+});
+
+test('bodies move just as far in a second at any tick rate', () => {
+  const flyForOneSecond = (tickRate) => {
+    const world = new PhysicsWorld({ stepMs: 1000 / tickRate });
+    const flung = body('a', 300, 300, { velocity: { x: 8, y: -6 }, angularVelocity: 0.1 });
+    for (let i = 0; i < tickRate; i++) {
+      world.step([flung], WIDTH, HEIGHT);
+    }
+    return flung;
+  };
+  const reference = flyForOneSecond(1000 / FIXED_TIME_STEP_MS);
+
+  // Longer steps integrate gravity a little later, so they fall a bit short
+  [20, 30, 120].forEach((tickRate) => {
+    const flung = flyForOneSecond(tickRate);
+    assert.ok(Math.abs(flung.x - reference.x) < 5, `x at ${tickRate} steps/s`);
+    assert.ok(Math.abs(flung.y - reference.y) < 15, `y at ${tickRate} steps/s`);
+    assert.ok(Math.abs(flung.velocity.y - reference.velocity.y) < 0.2, `velocity at ${tickRate} steps/s`);
+    assert.ok(Math.abs(flung.angle - reference.angle) < 0.1, `angle at ${tickRate} steps/s`);
+  });
+});
+
+test('setPosition can turn a shape back to an angle of 0', () => {
+  const shape = new Shape('fish-1');
+  shape.setPosition(10, 20, 1.5);
+  shape.setPosition(30, 40, 0);
+  assert.equal(shape.angle, 0);
+
+  shape.setPosition(50, 60, 2);
+  shape.setPosition(70, 80);
+  assert.equal(shape.angle, 2);
+});
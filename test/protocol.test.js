@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, validateMessage, describeProtocol } = require('../lib/protocol');
+const { TestClient, createTestRoom, join, sendMessage } = require('./support/room');
+
+test('valid messages come back cleaned up', () => {
+  const { value, error } = validateMessage('input', { seq: 3, tick: 120, fling: { x: 4.5, y: -2 } });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(value, { seq: 3, tick: 120, fling: { x: 4.5, y: -2 } });
+});
+
+test('errors name the code and path of the first problem', () => {
+  const cases = [
+    [{ seq: 3, tick: 120 }, ERROR_CODES.MISSING_FIELD, 'fling'],
+    [{ seq: 3, tick: 120, fling: { x: 1, y: 2 }, admin: true }, ERROR_CODES.UNKNOWN_FIELD, 'admin'],
+    [{ seq: 3, tick: 120, fling: { x: NaN, y: 2 } }, ERROR_CODES.INVALID_FIELD, 'fling.x'],
+    [{ seq: 3, tick: 120, fling: { x: 1e9, y: 2 } }, ERROR_CODES.INVALID_FIELD, 'fling.x'],
+    [{ seq: 1.5, tick: 120, fling: { x: 1, y: 2 } }, ERROR_CODES.INVALID_FIELD, 'seq']
+  ];
+
+  cases.forEach(([message, code, path]) => {
+    const { error } = validateMessage('input', message);
+    assert.equal(error.code, code, path);
+    assert.equal(error.path, path);
+  });
+});
+
+test('arrays are capped and checked item by item', () => {
+  const shape = { id: 'fish', x: 1, y: 2, angle: 0, velocity: { x: 0, y: 0 } };
+
+  assert.equal(validateMessage('shape_update', { shapes: new Array(21).fill(shape) }).error.code, ERROR_CODES.TOO_MANY_ITEMS);
+  assert.equal(validateMessage('shape_update', { shapes: [shape, { ...shape, id: '' }] }).error.path, 'shapes[1].id');
+});
+
+test('actions pick their fields by type', () => {
+  const impulse = { type: 'impulse', shapeId: 'fish', velocity: { x: 1, y: 2 } };
+
+  assert.deepEqual(validateMessage('physics_action', { action: impulse }).value, { action: impulse });
+  assert.equal(validateMessage('physics_action', { action: { ...impulse, x: 4 } }).error.path, 'action.x');
+  assert.equal(validateMessage('physics_action', { action: { ...impulse, type: 'teleport' } }).error.path, 'action.type');
+});
+
+test('timestamps may arrive as BigInt', () => {
+  assert.deepEqual(validateMessage('time_sync', { clientTime: 1700000000000n }).value, { clientTime: 1700000000000 });
+  assert.equal(validateMessage('time_sync', { clientTime: -1 }).error.code, ERROR_CODES.INVALID_FIELD);
+});
+
+test('unknown types and non-object payloads are rejected', () => {
+  assert.equal(validateMessage('teleport', {}).error.code, ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+  assert.equal(validateMessage('input', 'fling!').error.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.deepEqual(validateMessage('create_shape', undefined).value, {});
+});
+
+test('the protocol description is plain JSON', () => {
+  const description = JSON.parse(JSON.stringify(describeProtocol()));
+
+  assert.equal(description.messages.change_block_color.schema.fields.color.pattern, '^#[0-9A-Fa-f]{6}$');
+  assert.deepEqual(description.errors.codes, Object.values(ERROR_CODES));
+});
+
+test('the room answers invalid messages with a typed error', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  sendMessage(room, client, 'input', { seq: 1, tick: 1, fling: { x: 'far', y: 0 } });
+  sendMessage(room, client, 'teleport', { x: 0 });
+
+  assert.deepEqual(client.messages('error').map(error => [error.code, error.type, error.path]), [
+    [ERROR_CODES.INVALID_FIELD, 'input', 'fling.x'],
+    [ERROR_CODES.UNKNOWN_MESSAGE_TYPE, 'teleport', undefined]
+  ]);
+  assert.equal(room.pendingInputs.has('alice'), false);
+});
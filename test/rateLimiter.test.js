@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RATE_LIMITS, TokenBucket, RateLimiter, mergeRateLimits } = require('../lib/rateLimiter');
+const { ERROR_CODES, MESSAGE_SCHEMAS } = require('../lib/protocol');
+const { TestClient, createTestRoom, join, sendMessage } = require('./support/room');
+
+test('buckets allow a burst, then refill over time', () => {
+  const bucket = new TokenBucket(2, 3, 0);
+
+  assert.equal(bucket.take(0), true);
+  assert.equal(bucket.take(0), true);
+  assert.equal(bucket.take(0), true);
+  assert.equal(bucket.take(0), false);
+  assert.equal(bucket.getRetryAfterMs(), 500);
+  assert.equal(bucket.take(500), true);
+  assert.equal(bucket.take(500), false);
+});
+
+test('buckets never hold more than the burst', () => {
+  const bucket = new TokenBucket(10, 2, 0);
+  bucket.refill(60000);
+
+  assert.equal(bucket.tokens, 2);
+});
+
+test('excess messages are dropped or coalesced per type', () => {
+  const limiter = new RateLimiter({
+    chat: { perSecond: 1, burst: 1, onExceed: 'drop' },
+    shape_update: { perSecond: 1, burst: 1, onExceed: 'coalesce' },
+    '*': { perSecond: 1, burst: 1, onExceed: 'drop' }
+  });
+
+  assert.equal(limiter.check('chat', 0), 'allow');
+  assert.equal(limiter.check('chat', 0), 'drop');
+  assert.equal(limiter.check('shape_update', 0), 'allow');
+  assert.equal(limiter.check('shape_update', 0), 'coalesce');
+  assert.deepEqual(limiter.counters, { allowed: 2, dropped: 1, coalesced: 1 });
+});
+
+test('types without a limit share the `*` bucket', () => {
+  const limiter = new RateLimiter({ '*': { perSecond: 1, burst: 2, onExceed: 'drop' } });
+
+  assert.equal(limiter.check('foo', 0), 'allow');
+  assert.equal(limiter.check('bar', 0), 'allow');
+  assert.equal(limiter.check('baz', 0), 'drop');
+});
+
+test('made-up types that name object properties share the `*` bucket too', () => {
+  const limiter = new RateLimiter({ '*': { perSecond: 1, burst: 2, onExceed: 'drop' } });
+
+  assert.equal(limiter.check('__proto__', 0), 'allow');
+  assert.equal(limiter.check('constructor', 0), 'allow');
+  assert.equal(limiter.check('toString', 0), 'drop');
+  assert.deepEqual([...limiter.buckets.keys()], ['*']);
+});
+
+test('clients that keep getting dropped become offenders', () => {
+  const limiter = new RateLimiter({ '*': { perSecond: 1, burst: 1, onExceed: 'drop' } }, { kickScore: 5, decayPerSecond: 1 });
+  const now = Date.now();
+
+  limiter.check('chat', now);
+  for (let i = 0; i < 4; i++) {
+    limiter.check('chat', now);
+  }
+  assert.equal(limiter.isOffender(now), false);
+
+  limiter.check('chat', now);
+  assert.equal(limiter.isOffender(now), true);
+});
+
+test('coalescing never makes a client an offender', () => {
+  const limiter = new RateLimiter();
+  let now = Date.now();
+
+  // A 60 Hz client sending state at twice the default shape_update limit
+  for (let i = 0; i < 60 * 60; i++) {
+    now += 1000 / 60;
+    assert.notEqual(limiter.check('shape_update', now), 'drop');
+  }
+
+  assert.equal(limiter.offenderScore, 0);
+  assert.equal(limiter.isOffender(now), false);
+});
+
+test('offender scores decay', () => {
+  const limiter = new RateLimiter({ '*': { perSecond: 1, burst: 1, onExceed: 'drop' } }, { kickScore: 5, decayPerSecond: 1 });
+  const now = Date.now();
+
+  for (let i = 0; i < 6; i++) {
+    limiter.check('chat', now);
+  }
+  assert.equal(limiter.isOffender(now + 2000), false);
+});
+
+test('tryTake takes a token without counting anything', () => {
+  const limiter = new RateLimiter({ shape_update: { perSecond: 1, burst: 1, onExceed: 'coalesce' } });
+
+  assert.equal(limiter.tryTake('shape_update', 0), true);
+  assert.equal(limiter.tryTake('shape_update', 0), false);
+  assert.deepEqual(limiter.counters, { allowed: 0, dropped: 0, coalesced: 0 });
+});
+
+test('room overrides are merged over the defaults per type', () => {
+  const limits = mergeRateLimits({ ping: { perSecond: 2 } });
+
+  assert.deepEqual(limits.ping, { ...DEFAULT_RATE_LIMITS.ping, perSecond: 2 });
+  assert.deepEqual(limits.shape_update, DEFAULT_RATE_LIMITS.shape_update);
+});
+
+test('every message type has a limit of its own', () => {
+  Object.keys(MESSAGE_SCHEMAS).forEach((type) => {
+    assert.ok(DEFAULT_RATE_LIMITS[type], `${type} has no rate limit`);
+  });
+});
+
+test('the room tells clients when they are rate limited', async () => {
+  const room = await createTestRoom({ maxShapesPerPlayer: 5, rateLimits: { create_shape: { perSecond: 0.1, burst: 1 } } });
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  sendMessage(room, client, 'create_shape', {});
+  sendMessage(room, client, 'create_shape', {});
+  sendMessage(room, client, 'create_shape', {});
+
+  const errors = client.messages('error');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].code, ERROR_CODES.RATE_LIMITED);
+  assert.ok(errors[0].retryAfterMs > 0);
+  assert.equal(room.rateLimitStats.dropped.create_shape, 2);
+});
+
+test('the room disconnects clients that keep flooding', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  for (let i = 0; i < 300; i++) {
+    sendMessage(room, client, 'create_shape', {});
+  }
+
+  assert.equal(client.closeCode, 4004);
+  assert.equal(room.rateLimitStats.disconnected, 1);
+});
+
+test('the room counts made-up message types as unknown', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  for (let i = 0; i < 50; i++) {
+    sendMessage(room, client, `made-up-${i}`, {});
+  }
+
+  assert.deepEqual(Object.keys(room.rateLimitStats.dropped), ['unknown']);
+  assert.equal(room.rateLimitStats.dropped.unknown, 40);
+  assert.deepEqual([...client.userData.rateLimitNotified.keys()], ['unknown']);
+});
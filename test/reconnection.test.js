@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TestClient, createTestRoom, join, drop } = require('./support/room');
+
+test('a dropped player is held with frozen fish', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  drop(room, client);
+
+  const player = room.state.getPlayer('alice');
+  assert.equal(player.disconnected, true);
+  assert.ok(player.shapes.every(shape => shape.frozen));
+  assert.ok(room.pendingReconnections.has('alice'));
+});
+
+test('reconnecting in time resumes the same player', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+  const shapeId = room.state.getPlayer('alice').shapes[0].id;
+
+  const leaving = drop(room, client);
+  room.reconnections.get('s1').resolve(client);
+  await leaving;
+
+  const player = room.state.getPlayer('alice');
+  assert.equal(player.disconnected, false);
+  assert.equal(player.shapes[0].id, shapeId);
+  assert.equal(player.shapes[0].frozen, false);
+  assert.equal(room.pendingReconnections.has('alice'), false);
+});
+
+test('players who do not come back are removed', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  const leaving = drop(room, client);
+  room.reconnections.get('s1').reject(new Error('timed out'));
+  await leaving;
+
+  assert.equal(room.state.getPlayer('alice'), undefined);
+  assert.equal(room.pendingReconnections.has('alice'), false);
+  assert.equal(room.sessionIdToPlayerId.has('s1'), false);
+});
+
+test('leaving on purpose removes the player right away', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  await drop(room, client, true);
+
+  assert.equal(room.state.getPlayer('alice'), undefined);
+  assert.equal(room.reconnections.size, 0);
+});
+
+test('joining again with a new session takes over a held player', async () => {
+  const room = await createTestRoom();
+  const first = join(room, new TestClient('s1', 'alice'));
+  const shapeId = room.state.getPlayer('alice').shapes[0].id;
+
+  const leaving = drop(room, first);
+  join(room, new TestClient('s2', 'alice'));
+  await leaving;
+
+  const player = room.state.getPlayer('alice');
+  assert.equal(player.disconnected, false);
+  assert.equal(player.shapes[0].id, shapeId);
+  assert.equal(room.playerIdToSessionId.get('alice'), 's2');
+  assert.equal(room.sessionIdToPlayerId.has('s1'), false);
+});
+
+test('an idle room holding a dropped player is not disposed', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+  drop(room, client);
+  room.lastActivityTime = Date.now() - 600000;
+  let disconnected = false;
+  room.disconnect = async () => {
+    disconnected = true;
+  };
+
+  room.logRoomStatus();
+
+  assert.equal(disconnected, false);
+  assert.ok(room.state.getPlayer('alice'));
+});
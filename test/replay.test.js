@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PhysicsRoom } = require('../rooms/PhysicsRoom');
+const { RECORDING_VERSION } = require('../lib/recorder');
+const { NullSnapshotStore } = require('../lib/snapshotStore');
+const { ReplayClient, diffSnapshots, replayRecording } = require('../lib/replay');
+
+PhysicsRoom.snapshotStore = new NullSnapshotStore();
+
+// Run a short headless match, recording its events in memory the way
+// lib/recorder.js writes them to disk. `midMatch` gets to send more messages
+// between the flings and the final keyframe; `options` are the room's.
+async function recordMatch(midMatch = () => {}, options = {}) {
+  const entries = [];
+  const room = new PhysicsRoom();
+  room.headless = true;
+  room.autoDispose = false;
+  room.roomId = 'recorded';
+  room.setPatchRate(null);
+  await room.onCreate(options);
+  room.recorder = {
+    record: (event, tick, data) => entries.push({ event, tick, at: 0, ...data })
+  };
+
+  room.recordEvent('header', { version: RECORDING_VERSION, roomId: room.roomId, startedAt: 0, config: room.config });
+  room.recordEvent('keyframe', { state: room.state.toSnapshot() });
+
+  const alice = new ReplayClient('session_a', 'alice');
+  const bob = new ReplayClient('session_b', 'bob');
+  [alice, bob].forEach((client) => {
+    room.clients.push(client);
+    room.onJoin(client, {});
+  });
+
+  for (let i = 0; i < 30; i++) {
+    room.stepSimulation();
+  }
+  room.dispatchMessage(alice, 'input', { seq: 1, tick: room.state.tick, fling: { x: 20, y: -15 } });
+  room.dispatchMessage(bob, 'input', { seq: 1, tick: room.state.tick, fling: { x: -10, y: -25 } });
+
+  for (let i = 0; i < 60; i++) {
+    room.stepSimulation();
+  }
+  midMatch(room, alice, bob);
+  for (let i = 0; i < 60; i++) {
+    room.stepSimulation();
+  }
+  room.recordEvent('keyframe', { state: room.state.toSnapshot() });
+  room.clock.clear();
+
+  return { entries, finalState: room.state.toSnapshot() };
+}
+
+test('replaying a recording reproduces the match', async () => {
+  const { entries, finalState } = await recordMatch();
+  const frames = [];
+
+  const result = await replayRecording(entries, { onFrame: frame => frames.push(frame), resync: false });
+
+  assert.equal(result.roomId, 'recorded');
+  assert.equal(result.frames, 2);
+  assert.equal(result.ticks, 150);
+  assert.equal(result.maxPositionError, 0);
+  assert.deepEqual(frames[1].divergence, { maxPositionError: 0, missingShapes: [], extraShapes: [] });
+  assert.equal(frames[1].state.players.length, finalState.players.length);
+});
+
+test('shapes created mid-match replay with their recorded IDs and spawn points', async () => {
+  const { entries, finalState } = await recordMatch((room, alice) => {
+    room.dispatchMessage(alice, 'create_shape', { kind: 'box', width: 50, height: 30 });
+    room.dispatchMessage(alice, 'create_shape', {});
+    room.recordEvent('keyframe', { state: room.state.toSnapshot() });
+  });
+  const created = entries.filter(entry => entry.event === 'shape_created');
+  assert.equal(created.length, 2);
+  assert.equal(created[0].shape.kind, 'box');
+
+  const frames = [];
+  const result = await replayRecording(entries, { onFrame: frame => frames.push(frame), resync: false });
+
+  assert.equal(result.frames, 3);
+  assert.equal(result.maxPositionError, 0);
+  frames.forEach(frame => assert.deepEqual(frame.divergence, { maxPositionError: 0, missingShapes: [], extraShapes: [] }));
+  const replayedAlice = frames[2].state.players.find(player => player.id === 'alice');
+  const recordedAlice = finalState.players.find(player => player.id === 'alice');
+  assert.deepEqual(replayedAlice.shapes.map(shape => shape.id), recordedAlice.shapes.map(shape => shape.id));
+  assert.equal(replayedAlice.shapes.length, 3);
+});
+
+test('knockouts replay with the same scorer', async (t) => {
+  const knockouts = [];
+  t.mock.method(PhysicsRoom.prototype, 'broadcast', (type, message) => {
+    if (type === 'knockout') {
+      knockouts.push(message);
+    }
+  });
+  const { entries } = await recordMatch((room, alice, bob) => {
+    const [shape] = room.state.getPlayer('alice').shapes;
+    room.dispatchMessage(alice, 'set_shape_permission', { shapeId: shape.id, permission: 'anyone' });
+    room.dispatchMessage(bob, 'physics_action', { action: { type: 'grab', shapeId: shape.id } });
+    room.dispatchMessage(bob, 'physics_action', { action: { type: 'release', shapeId: shape.id, velocity: { x: -40, y: 10 } } });
+    for (let i = 0; i < 120; i++) {
+      room.stepSimulation();
+    }
+    assert.equal(room.state.getPlayer('bob').score, 1);
+  }, { gameMode: 'knockout', countdownSeconds: 1 });
+  const recorded = knockouts.splice(0);
+  assert.deepEqual(recorded.map(knockout => [knockout.playerId, knockout.scorerId, knockout.points]), [['alice', 'bob', 1]]);
+
+  const result = await replayRecording(entries, { resync: false });
+
+  assert.deepEqual(knockouts, recorded);
+  assert.equal(result.maxPositionError, 0);
+});
+
+test('recordings need a header of the current version', async () => {
+  await assert.rejects(replayRecording([]), { message: 'Recording does not start with a header' });
+  await assert.rejects(
+    replayRecording([{ event: 'header', tick: 0, version: RECORDING_VERSION + 1, config: {} }]),
+    { message: `Unsupported recording version ${RECORDING_VERSION + 1}` }
+  );
+});
+
+test('diffSnapshots reports drift, missing and extra shapes', () => {
+  const snapshot = shapes => ({ players: [{ id: 'alice', shapes }] });
+  const expected = snapshot([{ id: 'a', x: 0, y: 0 }, { id: 'b', x: 10, y: 10 }]);
+  const actual = snapshot([{ id: 'a', x: 3, y: 4 }, { id: 'c', x: 0, y: 0 }]);
+
+  assert.deepEqual(diffSnapshots(expected, actual), { maxPositionError: 5, missingShapes: ['b'], extraShapes: ['c'] });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROOM_OPTIONS_SCHEMA, RoomConfigError, getDefaults, resolveRoomConfig } = require('../lib/roomConfig');
+const { createTestRoom } = require('./support/room');
+
+test('without options or environment every option has its default', () => {
+  const config = resolveRoomConfig({}, {});
+
+  Object.entries(ROOM_OPTIONS_SCHEMA).forEach(([name, spec]) => {
+    assert.deepEqual(config[name], spec.default, name);
+  });
+});
+
+test('environment variables replace the defaults, parsed to the option type', () => {
+  const defaults = getDefaults({
+    ROOM_TICK_RATE: '30',
+    ROOM_GRAVITY: ' 0.5 ',
+    ROOM_DEFAULT_REGION: 'eu',
+    ROOM_GAME_MODE: 'knockout',
+    ROOM_LEVEL: 'platforms'
+  });
+
+  assert.equal(defaults.tickRate, 30);
+  assert.equal(defaults.gravity, 0.5);
+  assert.equal(defaults.region, 'eu');
+  assert.equal(defaults.gameMode, 'knockout');
+  assert.equal(defaults.level, 'platforms');
+  assert.equal(defaults.boundaryWidth, 2400);
+});
+
+test('room options win over environment overrides', () => {
+  const config = resolveRoomConfig({ tickRate: 120, token: 'ignored' }, { ROOM_TICK_RATE: '30', ROOM_MAX_CLIENTS: '10' });
+
+  assert.equal(config.tickRate, 120);
+  assert.equal(config.maxClients, 10);
+  assert.equal(config.token, undefined);
+});
+
+test('invalid environment overrides are all reported together', () => {
+  assert.throws(
+    () => getDefaults({ ROOM_TICK_RATE: '7.5', ROOM_GRAVITY: '', ROOM_MAX_CLIENTS: 'lots', ROOM_GAME_MODE: 'tag' }),
+    (error) => {
+      assert.ok(error instanceof RoomConfigError);
+      assert.deepEqual(error.errors, [
+        'ROOM_MAX_CLIENTS must be a finite number',
+        'ROOM_GRAVITY must be a finite number',
+        'ROOM_TICK_RATE must be an integer',
+        'ROOM_GAME_MODE must be one of sandbox, king_of_the_hill, knockout'
+      ]);
+      return true;
+    }
+  );
+});
+
+test('out-of-range and unlisted room options are rejected instead of clamped', () => {
+  assert.throws(
+    () => resolveRoomConfig({ boundaryWidth: 100, gravity: 3, private: 'yes' }, {}),
+    { name: 'RoomConfigError', message: 'Invalid room options: private must be true or false; boundaryWidth must be between 800 and 10000; gravity must be between 0 and 2' }
+  );
+  assert.throws(
+    () => resolveRoomConfig({ mode: 'my-own-mode', region: 'moon' }, {}),
+    { message: 'Invalid room options: mode must be one of sandbox, casual, competitive; region must be one of global, na, sa, eu, asia, oceania' }
+  );
+  assert.throws(
+    () => resolveRoomConfig({ validationThresholds: { warnScore: 30 } }, {}),
+    { message: 'Invalid room options: validationThresholds warnScore (30) must be below kickScore (25)' }
+  );
+  assert.throws(
+    () => resolveRoomConfig({ rateLimits: { teleport: { perSecond: 1 } } }, {}),
+    { message: 'Invalid room options: rateLimits has an unknown message type teleport' }
+  );
+});
+
+test('rooms are created with the environment defaults and fail on bad options', async (t) => {
+  process.env.ROOM_TICK_RATE = '30';
+  t.after(() => delete process.env.ROOM_TICK_RATE);
+
+  const room = await createTestRoom({ boundaryWidth: 3000 });
+  assert.equal(room.config.tickRate, 30);
+  assert.equal(room.fixedTimeStepMs, 1000 / 30);
+  assert.equal(room.state.config.boundaryWidth, 3000);
+  assert.equal(room.state.boundaryWidth, 3000);
+
+  await assert.rejects(createTestRoom({ tickRate: 500 }), { message: 'Invalid room options: tickRate must be between 20 and 120' });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalPresence, LocalDriver, RedisPresence, RedisDriver } = require('colyseus');
+const { ScalingConfigError, getScalingConfig, createScalingOptions } = require('../lib/scaling');
+const { MemoryRedisServer } = require('../lib/memoryRedis');
+
+test('one process stays on its own without REDIS_URL', () => {
+  assert.deepEqual(getScalingConfig({}), {
+    presence: 'local',
+    driver: 'local',
+    redisUrl: 'redis://localhost:6379',
+    publicAddress: undefined
+  });
+});
+
+test('REDIS_URL switches both backends to redis', () => {
+  const config = getScalingConfig({ REDIS_URL: 'redis://cache:6380', PUBLIC_ADDRESS: 'game-1.example.com' });
+
+  assert.equal(config.presence, 'redis');
+  assert.equal(config.driver, 'redis');
+  assert.equal(config.redisUrl, 'redis://cache:6380');
+  assert.equal(config.publicAddress, 'game-1.example.com');
+});
+
+test('PRESENCE overrides REDIS_URL and the driver follows it', () => {
+  const config = getScalingConfig({ REDIS_URL: 'redis://cache:6380', PRESENCE: 'local' });
+
+  assert.equal(config.presence, 'local');
+  assert.equal(config.driver, 'local');
+  assert.equal(getScalingConfig({ PRESENCE: 'redis' }).driver, 'redis');
+});
+
+test('unknown backends are rejected', () => {
+  assert.throws(() => getScalingConfig({ PRESENCE: 'memcached' }), {
+    message: 'PRESENCE must be one of local, redis, got "memcached"'
+  });
+  assert.throws(() => getScalingConfig({ PRESENCE: 'local', DRIVER: 'mongo' }), ScalingConfigError);
+});
+
+test('presence and driver must share a backend', () => {
+  assert.throws(
+    () => getScalingConfig({ REDIS_URL: 'redis://cache:6380', DRIVER: 'local' }),
+    { message: 'PRESENCE (redis) and DRIVER (local) must use the same backend' }
+  );
+  assert.throws(() => getScalingConfig({ PRESENCE: 'local', DRIVER: 'redis' }), ScalingConfigError);
+});
+
+test('the server options use the chosen backends', async (t) => {
+  const local = createScalingOptions({});
+  assert.ok(local.presence instanceof LocalPresence);
+  assert.ok(local.driver instanceof LocalDriver);
+
+  const server = new MemoryRedisServer();
+  const port = await server.listen();
+  const shared = createScalingOptions({ REDIS_URL: `redis://127.0.0.1:${port}`, PUBLIC_ADDRESS: 'localhost:3003' });
+  t.after(async () => {
+    shared.presence.shutdown();
+    await shared.driver.shutdown();
+    await server.close();
+  });
+
+  assert.ok(shared.presence instanceof RedisPresence);
+  assert.ok(shared.driver instanceof RedisDriver);
+  assert.equal(shared.publicAddress, 'localhost:3003');
+});
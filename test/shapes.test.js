@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_BODY, ShapeSpecError, convexHull, resolveShapeBody } = require('../lib/shapes');
+const { ERROR_CODES } = require('../lib/protocol');
+const { TestClient, createTestRoom, join, sendMessage } = require('./support/room');
+
+test('shapes without options are the classic round fish', () => {
+  assert.deepEqual(resolveShapeBody(), DEFAULT_BODY);
+  assert.deepEqual(resolveShapeBody({}), DEFAULT_BODY);
+});
+
+test('boxes get a default size and keep their material', () => {
+  const body = resolveShapeBody({ kind: 'box', height: 100, mass: 2, restitution: 0.9 });
+
+  assert.equal(body.kind, 'box');
+  assert.equal(body.radius, 0);
+  assert.equal(body.width, 60);
+  assert.equal(body.height, 100);
+  assert.equal(body.mass, 2);
+  assert.equal(body.restitution, 0.9);
+  assert.equal(body.friction, DEFAULT_BODY.friction);
+});
+
+test('polygons are reduced to their convex hull around the centroid', () => {
+  const body = resolveShapeBody({
+    kind: 'polygon',
+    vertices: [{ x: 0, y: 0 }, { x: 60, y: 0 }, { x: 30, y: 10 }, { x: 60, y: 60 }, { x: 0, y: 60 }]
+  });
+
+  assert.equal(body.vertices.length, 4);
+  assert.deepEqual(body.vertices, [{ x: -30, y: -30 }, { x: 30, y: -30 }, { x: 30, y: 30 }, { x: -30, y: 30 }]);
+});
+
+test('the hull drops collinear points', () => {
+  assert.deepEqual(convexHull([{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }]), [
+    { x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }
+  ]);
+});
+
+test('shape specs that do not make sense are rejected', () => {
+  const rejected = (options, path) => assert.throws(() => resolveShapeBody(options), error => {
+    assert.ok(error instanceof ShapeSpecError);
+    assert.equal(error.path, path);
+    return true;
+  });
+
+  rejected({ kind: 'circle', width: 40 }, 'width');
+  rejected({ kind: 'box', radius: 40 }, 'radius');
+  rejected({ kind: 'polygon' }, 'vertices');
+  rejected({ kind: 'polygon', vertices: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 1 }] }, 'vertices');
+  rejected({ kind: 'polygon', vertices: [{ x: -80, y: -80 }, { x: 80, y: -80 }, { x: 80, y: -60 }] }, 'vertices');
+});
+
+test('the room creates shapes of the requested kind', async () => {
+  const room = await createTestRoom({ maxShapesPerPlayer: 2 });
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  sendMessage(room, client, 'create_shape', { kind: 'box', width: 80, height: 40, mass: 3 });
+
+  const shape = room.state.getPlayer('alice').shapes[1];
+  assert.equal(shape.kind, 'box');
+  assert.equal(shape.width, 80);
+  assert.equal(shape.height, 40);
+  assert.equal(shape.mass, 3);
+});
+
+test('the room answers bad shape specs and full players with errors', async () => {
+  const room = await createTestRoom({ maxShapesPerPlayer: 2 });
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  sendMessage(room, client, 'create_shape', { kind: 'circle', width: 40 });
+  sendMessage(room, client, 'create_shape', {});
+  sendMessage(room, client, 'create_shape', {});
+
+  const errors = client.messages('error');
+  assert.deepEqual(errors.map(error => error.code), [ERROR_CODES.INVALID_FIELD, ERROR_CODES.SHAPE_LIMIT_REACHED]);
+  assert.equal(errors[0].path, 'width');
+  assert.equal(errors[1].limit, 2);
+  assert.equal(room.state.getPlayer('alice').shapes.length, 2);
+});
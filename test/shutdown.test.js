@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { matchMaker, LocalDriver, LocalPresence } = require('colyseus');
+const { createShutdown, installShutdownHandlers } = require('../lib/shutdown');
+const { PhysicsRoom } = require('../rooms/PhysicsRoom');
+const { NullSnapshotStore } = require('../lib/snapshotStore');
+const { verifyPersistToken } = require('../lib/auth');
+const { TestClient, createTestRoom, join, drop } = require('./support/room');
+
+// Private rooms look up their invite codes through the matchmaker
+test.before(() => matchMaker.setup(new LocalPresence(), new LocalDriver()));
+
+// A game server whose shutdown the test finishes, and the exit codes the
+// shutdown asked for
+function createServer() {
+  const server = { calls: 0, exits: [] };
+  server.done = new Promise(resolve => {
+    server.finish = resolve;
+  });
+  server.gracefullyShutdown = () => {
+    server.calls++;
+    return server.done;
+  };
+  server.exited = new Promise(resolve => {
+    server.exit = (code) => {
+      server.exits.push(code);
+      resolve(code);
+    };
+  });
+  return server;
+}
+
+function install(server, options = {}) {
+  const target = new EventEmitter();
+  installShutdownHandlers(createShutdown(server, { exit: server.exit, ...options }), target);
+  return target;
+}
+
+test('a signal shuts down once and exits cleanly', async () => {
+  const server = createServer();
+  const target = install(server);
+
+  target.emit('SIGTERM');
+  target.emit('uncaughtException', new Error('while shutting down'));
+  server.finish();
+
+  assert.equal(await server.exited, 0);
+  assert.equal(server.calls, 1);
+});
+
+test('uncaught exceptions and unhandled rejections shut down with exit code 1', async () => {
+  for (const [event, reason] of [['uncaughtException', new Error('boom')], ['unhandledRejection', new Error('boom')], ['unhandledRejection', undefined]]) {
+    const server = createServer();
+    const target = install(server);
+
+    target.emit(event, reason);
+    server.finish();
+
+    assert.equal(await server.exited, 1, event);
+    assert.equal(server.calls, 1);
+  }
+});
+
+test('rooms that take too long are abandoned at the deadline', async () => {
+  const server = createServer();
+  const target = install(server, { deadlineMs: 10 });
+
+  target.emit('SIGTERM');
+
+  assert.equal(await server.exited, 1);
+  assert.deepEqual(server.exits, [1]);
+});
+
+// What a room broadcasts and the close code it disconnects with when the
+// server shuts down
+function shutDownRoom(t, room) {
+  const broadcasts = [];
+  const closeCodes = [];
+  t.mock.method(room, 'broadcast', (type, message) => broadcasts.push({ type, message }));
+  t.mock.method(room, 'disconnect', (closeCode) => closeCodes.push(closeCode));
+  room.onBeforeShutdown();
+  return { broadcasts, closeCodes };
+}
+
+test('rooms tell their players how to rejoin before disconnecting them with 4005', async (t) => {
+  PhysicsRoom.snapshotStore = new NullSnapshotStore();
+  const room = await createTestRoom({ mode: 'casual', region: 'eu' });
+  join(room, new TestClient('s1', 'alice'));
+
+  const { broadcasts, closeCodes } = shutDownRoom(t, room);
+
+  assert.equal(room.shuttingDown, true);
+  assert.deepEqual(broadcasts, [{
+    type: 'server_shutdown',
+    message: { reconnectAfterMs: 5000, rejoinOptions: { mode: 'casual', region: 'eu', gameMode: 'sandbox' }, restoresState: true }
+  }]);
+  assert.deepEqual(closeCodes, [4005]);
+});
+
+test('persisted private rooms hand out a persist token to bring the room back', async (t) => {
+  process.env.AUTH_SECRET = 'test-secret';
+  t.after(() => delete process.env.AUTH_SECRET);
+  PhysicsRoom.snapshotStore = new NullSnapshotStore();
+  const room = await createTestRoom({ mode: 'competitive', private: true, persist: true });
+
+  const [{ message }] = shutDownRoom(t, room).broadcasts;
+
+  assert.equal(message.restoresState, true);
+  assert.equal(message.rejoinOptions.private, true);
+  assert.equal(verifyPersistToken(message.rejoinOptions.persistToken), room.persistKey);
+
+  const unpersisted = await createTestRoom({ mode: 'competitive', private: true });
+  const [{ message: other }] = shutDownRoom(t, unpersisted).broadcasts;
+  assert.deepEqual(other, { reconnectAfterMs: 5000, rejoinOptions: { mode: 'competitive', region: 'global', gameMode: 'sandbox' }, restoresState: false });
+});
+
+test('players held for reconnection are kept in the shutdown snapshot', async (t) => {
+  const saved = [];
+  PhysicsRoom.snapshotStore = Object.assign(new NullSnapshotStore(), { save: async (key, snapshot) => saved.push(snapshot) });
+  const room = await createTestRoom({ mode: 'casual', region: 'na' });
+  join(room, new TestClient('s1', 'alice'));
+  const leaving = drop(room, join(room, new TestClient('s2', 'bob')));
+
+  // Disconnecting cancels the reconnection holds, as Colyseus does
+  shutDownRoom(t, room);
+  room.reconnections.get('s2').reject(new Error('disconnecting'));
+  await leaving;
+  await room.onDispose();
+
+  const players = saved[saved.length - 1].state.players;
+  assert.deepEqual(players.map(player => player.id).sort(), ['alice', 'bob']);
+  assert.equal(room.state.getPlayer('bob').disconnected, true);
+  assert.equal(room.pendingReconnections.size, 0);
+});
+
+// Last, since the matchmaker stays shut down for the rest of this file
+test('no rooms are created once the matchmaker is shutting down', async () => {
+  await matchMaker.gracefullyShutdown();
+
+  await assert.rejects(createTestRoom(), { message: 'Server is shutting down' });
+});
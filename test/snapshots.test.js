@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileSnapshotStore, NullSnapshotStore, createSnapshotStore } = require('../lib/snapshotStore');
+const { PhysicsState, Shape } = require('../schema/PhysicsState');
+const { PhysicsRoom } = require('../rooms/PhysicsRoom');
+const { mintPlayerToken } = require('../lib/auth');
+const { TestClient, createTestRoom, join } = require('./support/room');
+
+// Keeps snapshots the way a real store would: as plain JSON
+class MemorySnapshotStore {
+  constructor() {
+    this.snapshots = new Map();
+  }
+
+  async save(key, snapshot) {
+    this.snapshots.set(key, JSON.parse(JSON.stringify(snapshot)));
+  }
+
+  async load(key) {
+    return this.snapshots.get(key) || null;
+  }
+
+  async delete(key) {
+    this.snapshots.delete(key);
+  }
+}
+
+function temporaryDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+}
+
+test('the file store saves, loads and deletes snapshots', async () => {
+  const directory = temporaryDirectory();
+  const store = new FileSnapshotStore(directory);
+
+  assert.equal(await store.load('arena'), null);
+  await store.save('arena', { tick: 3 });
+  assert.deepEqual(await store.load('arena'), { tick: 3 });
+  await store.delete('arena');
+  assert.equal(await store.load('arena'), null);
+
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('the file store keeps keys inside its directory and skips unreadable files', async () => {
+  const directory = temporaryDirectory();
+  const store = new FileSnapshotStore(directory);
+
+  assert.equal(path.dirname(store.filePath('../../etc/passwd')), directory);
+  assert.notEqual(store.filePath('a-b:c'), store.filePath('a:b-c'));
+  assert.notEqual(store.filePath('a b'), store.filePath('a_b'));
+  fs.writeFileSync(store.filePath('broken'), '{"tick":');
+  assert.equal(await store.load('broken'), null);
+
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('SNAPSHOT_STORE picks the store', () => {
+  assert.ok(createSnapshotStore({}) instanceof FileSnapshotStore);
+  assert.ok(createSnapshotStore({ SNAPSHOT_STORE: 'none' }) instanceof NullSnapshotStore);
+  assert.throws(() => createSnapshotStore({ SNAPSHOT_STORE: 'redis' }), /Unknown SNAPSHOT_STORE/);
+});
+
+test('restored players come back disconnected with their fish', () => {
+  const state = new PhysicsState();
+  const shape = new Shape('fish-1', 120, 80);
+  shape.angle = 1.5;
+  shape.setVelocity(4, -2);
+  state.createPlayer('alice').addShape(shape);
+  state.tick = 42;
+
+  const restored = new PhysicsState();
+  assert.equal(restored.restoreSnapshot(JSON.parse(JSON.stringify(state.toSnapshot()))), 1);
+
+  const player = restored.getPlayer('alice');
+  assert.equal(restored.tick, 42);
+  assert.equal(player.disconnected, true);
+  assert.equal(player.shapes[0].id, 'fish-1');
+  assert.equal(player.shapes[0].x, 120);
+  assert.equal(player.shapes[0].angle, 1.5);
+  assert.equal(player.shapes[0].color, shape.color);
+  assert.equal(player.shapes[0].frozen, true);
+});
+
+test('a room created with the same persist key picks up where the last one stopped', async () => {
+  PhysicsRoom.snapshotStore = new MemorySnapshotStore();
+  const first = await createTestRoom({ mode: 'casual', region: 'na' });
+  join(first, new TestClient('s1', 'alice'));
+  const { x, y } = first.state.getPlayer('alice').shapes[0];
+  await first.onDispose();
+
+  const second = await createTestRoom({ mode: 'casual', region: 'na' });
+  const player = second.state.getPlayer('alice');
+  assert.equal(second.persistKey, 'sandbox:casual:na');
+  assert.equal(player.disconnected, true);
+  assert.deepEqual({ x: player.shapes[0].x, y: player.shapes[0].y }, { x, y });
+});
+
+test('public rooms that differ only in game mode keep separate snapshots', async () => {
+  PhysicsRoom.snapshotStore = new MemorySnapshotStore();
+  const sandbox = await createTestRoom({ mode: 'competitive', region: 'sa' });
+  join(sandbox, new TestClient('s1', 'alice'));
+  await sandbox.onDispose();
+
+  const knockout = await createTestRoom({ mode: 'competitive', region: 'sa', gameMode: 'knockout' });
+  assert.equal(knockout.persistKey, 'knockout:competitive:sa');
+  assert.equal(knockout.state.getPlayer('alice'), undefined);
+  await knockout.onDispose();
+
+  const restored = await createTestRoom({ mode: 'competitive', region: 'sa' });
+  assert.equal(restored.persistKey, 'sandbox:competitive:sa');
+  assert.ok(restored.state.getPlayer('alice'));
+});
+
+test('a persist key in use by a live room is not claimed twice', async () => {
+  PhysicsRoom.snapshotStore = new MemorySnapshotStore();
+  const first = await createTestRoom({ mode: 'casual', region: 'eu' });
+  const second = await createTestRoom({ mode: 'casual', region: 'eu' });
+
+  assert.equal(first.persistKey, 'sandbox:casual:eu');
+  assert.equal(second.persistKey, undefined);
+
+  await first.onDispose();
+  const third = await createTestRoom({ mode: 'casual', region: 'eu' });
+  assert.equal(third.persistKey, 'sandbox:casual:eu');
+});
+
+test('only one room takes over a persist key whose room died', async () => {
+  const rooms = [];
+  for (const roomId of ['taker-1', 'taker-2', 'taker-3']) {
+    const room = await createTestRoom({ mode: 'casual', region: 'asia' });
+    room.roomId = roomId;
+    room.roomExists = async () => false;
+    rooms.push(room);
+  }
+  const { presence } = rooms[0];
+  await presence.hincrby('physics_room:persist_key_claims', 'orphaned', 1);
+  await presence.hset('physics_room:persist_key_owners', 'orphaned', JSON.stringify({ roomId: 'crashed', claimedAt: 0 }));
+
+  const claimed = await Promise.all(rooms.map(room => room.claimPersistKey('orphaned')));
+  assert.deepEqual(claimed.filter(Boolean), [true]);
+  const winner = rooms[claimed.indexOf(true)];
+  assert.equal(JSON.parse(await presence.hget('physics_room:persist_key_owners', 'orphaned')).roomId, winner.roomId);
+
+  await winner.releasePersistKey('orphaned');
+  assert.equal(await presence.hget('physics_room:persist_key_takeovers', 'orphaned:crashed'), undefined);
+});
+
+test('clients cannot pick a persist key through room options', async () => {
+  PhysicsRoom.snapshotStore = new MemorySnapshotStore();
+  const room = await createTestRoom({ mode: 'casual', region: 'sa', persistKey: 'someone-elses-room' });
+  assert.equal(room.persistKey, 'sandbox:casual:sa');
+  assert.equal(room.config.persistKey, undefined);
+});
+
+test('persisted private rooms get a server key that clients hold as a token', async (t) => {
+  process.env.AUTH_SECRET = 'test-secret';
+  t.after(() => delete process.env.AUTH_SECRET);
+  PhysicsRoom.snapshotStore = new MemorySnapshotStore();
+  // Private rooms need the matchmaker for invite codes, so resolve keys on a
+  // public room switched over to private
+  const room = await createTestRoom({ mode: 'competitive', region: 'na' });
+  room.config.private = true;
+  assert.equal(room.resolvePersistKey({}), null);
+
+  room.config.persist = true;
+  room.persistKey = room.resolvePersistKey({});
+  assert.match(room.persistKey, /^private-/);
+  assert.notEqual(room.resolvePersistKey({}), room.persistKey);
+
+  const persistToken = room.getPersistToken();
+  assert.equal(room.resolvePersistKey({ persistToken }), room.persistKey);
+  assert.throws(() => room.resolvePersistKey({ persistToken: mintPlayerToken(room.persistKey) }), { message: 'Not a persist token' });
+});
+
+test('a bad persist token fails room creation', async (t) => {
+  process.env.AUTH_SECRET = 'test-secret';
+  t.after(() => delete process.env.AUTH_SECRET);
+  await assert.rejects(createTestRoom({ private: true, persistToken: 'not-a-token' }), { message: 'Malformed token' });
+});
+
+test('private rooms are not persisted without AUTH_SECRET', async () => {
+  const room = await createTestRoom({ mode: 'competitive', region: 'eu' });
+  room.config.private = true;
+  room.config.persist = true;
+  assert.equal(room.resolvePersistKey({}), null);
+  assert.throws(() => room.resolvePersistKey({ persistToken: 'a.b.c' }), { message: 'Persist tokens need AUTH_SECRET to be set' });
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../lib/protocol');
+const { TestClient, createTestRoom, join, drop, sendMessage } = require('./support/room');
+
+function spectate(room, sessionId, options = {}) {
+  return join(room, new TestClient(sessionId), { spectator: true, ...options });
+}
+
+test('spectators watch without a player or a fish', async () => {
+  const room = await createTestRoom();
+  join(room, new TestClient('s1', 'alice'));
+  const watcher = spectate(room, 'w1');
+
+  assert.equal(room.state.players.size, 1);
+  assert.equal(room.state.getPlayer('w1'), undefined);
+  assert.equal(room.getSpectatorCount(), 1);
+  assert.equal(room.getPlayerSeatCount(), 1);
+  assert.equal(watcher.messages('room_info')[0].spectator, true);
+});
+
+test('spectators cannot send gameplay messages', async () => {
+  const room = await createTestRoom();
+  const watcher = spectate(room, 'w1');
+
+  sendMessage(room, watcher, 'create_shape', {});
+  sendMessage(room, watcher, 'chat', { text: 'hi' });
+  sendMessage(room, watcher, 'ping', { clientTime: 1 });
+
+  assert.deepEqual(watcher.messages('error').map(error => error.code), [ERROR_CODES.WRONG_ROLE, ERROR_CODES.WRONG_ROLE]);
+  assert.equal(watcher.messages('pong').length, 1);
+  assert.equal(room.state.players.size, 0);
+});
+
+test('spectators follow players, and only spectators can', async () => {
+  const room = await createTestRoom();
+  const alice = join(room, new TestClient('s1', 'alice'));
+  const watcher = spectate(room, 'w1', { follow: 'alice' });
+  assert.equal(watcher.messages('room_info')[0].following, 'alice');
+
+  sendMessage(room, watcher, 'follow', {});
+  sendMessage(room, watcher, 'follow', { playerId: 'nobody' });
+  sendMessage(room, alice, 'follow', { playerId: 'alice' });
+
+  assert.deepEqual(watcher.messages('following'), [{ playerId: null }]);
+  assert.equal(watcher.messages('error')[0].code, ERROR_CODES.INVALID_FIELD);
+  assert.equal(alice.messages('error')[0].code, ERROR_CODES.WRONG_ROLE);
+});
+
+test('spectators of a player who leaves go back to the whole arena', async () => {
+  const room = await createTestRoom();
+  const alice = join(room, new TestClient('s1', 'alice'));
+  const watcher = spectate(room, 'w1', { follow: 'alice' });
+
+  await drop(room, alice, true);
+
+  assert.equal(watcher.userData.followPlayerId, null);
+  assert.deepEqual(watcher.messages('following').at(-1), { playerId: null });
+});
+
+test('players and spectators have seats of their own', async () => {
+  const room = await createTestRoom({ maxClients: 2, maxSpectators: 1 });
+  assert.equal(room.maxClients, 3);
+  join(room, new TestClient('s1', 's1'));
+  join(room, new TestClient('s2', 's2'));
+  spectate(room, 'w1');
+
+  assert.throws(() => room.onAuth(new TestClient('s3'), {}), /No free player seats/);
+  assert.throws(() => room.onAuth(new TestClient('w2'), { spectator: true }), /No free spectator seats/);
+  // Already in the room, e.g. from another tab
+  assert.deepEqual(room.onAuth(new TestClient('s1'), {}), { playerId: 's1', guest: true });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StateValidator, DEFAULT_THRESHOLDS } = require('../stateValidator');
+const { TestClient, createTestRoom, join, sendMessage } = require('./support/room');
+
+// Pretend the player's last violation was this long ago
+function age(validator, playerId, ms) {
+  validator.violations.get(playerId).lastViolation -= ms;
+}
+
+test('velocities within the limit pass untouched and score nothing', () => {
+  const validator = new StateValidator();
+
+  const result = validator.validateVelocity('alice', { x: 20, y: -50 });
+
+  assert.deepEqual(result, { velocity: { x: 20, y: -50 }, escalation: null });
+  assert.equal(validator.getViolationScore('alice'), 0);
+});
+
+test('velocities past the limit are clamped per axis and scored', () => {
+  const validator = new StateValidator();
+
+  const result = validator.validateVelocity('alice', { x: 500, y: -80 });
+
+  assert.deepEqual(result.velocity, { x: DEFAULT_THRESHOLDS.maxVelocity, y: -DEFAULT_THRESHOLDS.maxVelocity });
+  assert.equal(result.escalation, null);
+  assert.equal(Math.round(validator.getViolationScore('alice')), 1);
+});
+
+test('violations warn once at warnScore and kick at kickScore', () => {
+  const validator = new StateValidator({ warnScore: 3, kickScore: 5, decayPerSecond: 0 });
+
+  const escalations = [];
+  for (let i = 0; i < 6; i++) {
+    escalations.push(validator.recordViolation('alice'));
+  }
+
+  assert.deepEqual(escalations, [null, null, 'warn', null, 'kick', 'kick']);
+  assert.equal(validator.recordViolation('bob'), null);
+});
+
+test('scores drain over time and a calmed down player can be warned again', () => {
+  // Thresholds between whole scores, so the few ms the test takes don't matter
+  const validator = new StateValidator({ warnScore: 2.5, kickScore: 4.5, decayPerSecond: 1 });
+  const escalations = [1, 2, 3].map(() => validator.recordViolation('alice'));
+  assert.deepEqual(escalations, [null, null, 'warn']);
+
+  age(validator, 'alice', 2000);
+  assert.ok(validator.getViolationScore('alice') < 1.1);
+
+  assert.equal(validator.recordViolation('alice'), null);
+  assert.equal(validator.recordViolation('alice'), 'warn');
+
+  validator.removePlayer('alice');
+  assert.equal(validator.getViolationScore('alice'), 0);
+});
+
+test('clients sending clamped flings are warned, then kicked', async () => {
+  const room = await createTestRoom({ validationThresholds: { maxVelocity: 10, warnScore: 2, kickScore: 3, decayPerSecond: 0 } });
+  const client = join(room, new TestClient('s1', 'alice'));
+  const fling = seq => sendMessage(room, client, 'input', { seq, tick: 0, fling: { x: 40, y: 0 } });
+
+  fling(1);
+  assert.deepEqual(client.messages('validation_warning'), []);
+  assert.deepEqual(room.pendingInputs.get('alice')[0].fling, { x: 10, y: 0 });
+
+  fling(2);
+  assert.equal(client.messages('validation_warning').length, 1);
+  assert.equal(client.messages('validation_warning')[0].kickScore, 3);
+  assert.equal(client.closeCode, null);
+
+  fling(3);
+  assert.equal(client.closeCode, 4001);
+  assert.equal(client.userData.kicked, true);
+});
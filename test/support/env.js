@@ -0,0 +1,5 @@
+// Loaded before any test file (see the test script in package.json) so the
+// logger neither appends to ./server-logs.txt nor floods the TAP output.
+// Set LOG_LEVEL yourself to see a test's logs.
+process.env.LOG_STDOUT_ONLY = 'true';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
@@ -0,0 +1,100 @@
+require('./env');
+const { Deferred, LocalPresence } = require('colyseus');
+const { PhysicsRoom } = require('../../rooms/PhysicsRoom');
+const { NullSnapshotStore } = require('../../lib/snapshotStore');
+
+// Test rooms never write snapshots unless a test swaps in its own store
+PhysicsRoom.snapshotStore = new NullSnapshotStore();
+
+// Shared by every test room, like rooms in one server process
+const presence = new LocalPresence();
+
+// Stand-in for a connected client; records what the room sends it
+class TestClient {
+  constructor(sessionId, playerId = sessionId) {
+    this.sessionId = sessionId;
+    this.id = sessionId;
+    this.auth = { playerId };
+    this.userData = {};
+    this.readyState = 1; // WebSocket.OPEN
+    this.sent = [];
+    this.closeCode = null;
+  }
+
+  send(type, message) {
+    this.sent.push({ type, message });
+  }
+
+  // State patches and broadcasts arrive encoded; the tests read the room
+  // instead
+  raw() {}
+
+  enqueueRaw() {}
+
+  leave(code) {
+    this.closeCode = code;
+  }
+
+  messages(type) {
+    return this.sent.filter(entry => entry.type === type).map(entry => entry.message);
+  }
+}
+
+// A PhysicsRoom without timers or matchmaking: the test steps it and calls
+// its hooks. allowReconnection() hands out deferreds the test settles itself.
+async function createTestRoom(options = {}) {
+  const room = new PhysicsRoom();
+  room.roomId = 'test-room';
+  room.listing = {}; // Never saved, the room isn't registered with the matchmaker
+  room.presence = presence;
+  try {
+    await room.onCreate(options);
+  } finally {
+    // Rooms that fail to create still have the patch interval running
+    stopTimers(room);
+  }
+
+  room.startPingInterval = () => {};
+  room.reconnections = new Map(); // sessionId -> Deferred
+  room.allowReconnection = (client) => {
+    const deferred = new Deferred();
+    room.reconnections.set(client.sessionId, deferred);
+    return deferred;
+  };
+  return room;
+}
+
+function stopTimers(room) {
+  room.setSimulationInterval();
+  room.setPatchRate(null);
+  room.clock.clear();
+  // Set by the Room constructor to dispose rooms nobody joins
+  clearTimeout(room._autoDisposeTimeout);
+  room._autoDisposeTimeout = undefined;
+}
+
+function join(room, client, options = {}) {
+  room.clients.push(client);
+  room.onJoin(client, options);
+  return client;
+}
+
+// Drop a client the way a closed socket does, without finishing onLeave
+function drop(room, client, consented = false) {
+  const index = room.clients.indexOf(client);
+  if (index !== -1) {
+    room.clients.splice(index, 1);
+  }
+  return room.onLeave(client, consented);
+}
+
+// Deliver a message the way Colyseus does once it's decoded
+function sendMessage(room, client, type, message) {
+  if (room.onMessageHandlers[type]) {
+    room.onMessageHandlers[type](client, message);
+  } else if (room.onMessageHandlers['*']) {
+    room.onMessageHandlers['*'](client, type, message);
+  }
+}
+
+module.exports = { TestClient, createTestRoom, join, drop, sendMessage };
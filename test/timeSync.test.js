@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TestClient, createTestRoom, join, sendMessage } = require('./support/room');
+
+test('every simulation step advances the tick by one', async () => {
+  const room = await createTestRoom({ tickRate: 30 });
+  join(room, new TestClient('s1', 'alice'));
+
+  room.stepSimulation();
+  room.stepSimulation();
+  assert.equal(room.state.tick, 2);
+
+  // update() steps as many whole ticks as the elapsed time covers
+  room.update(room.fixedTimeStepMs * 2.5);
+  assert.equal(room.state.tick, 4);
+  room.update(room.fixedTimeStepMs * 0.5);
+  assert.equal(room.state.tick, 5);
+});
+
+test('time_sync answers with server times, the tick and the tick interval', async () => {
+  const room = await createTestRoom({ tickRate: 30 });
+  const client = join(room, new TestClient('s1', 'alice'));
+  room.stepSimulation();
+  const before = Date.now();
+
+  sendMessage(room, client, 'time_sync', { clientTime: 12345 });
+
+  const [reply] = client.messages('time_sync');
+  assert.equal(reply.clientTime, 12345);
+  assert.equal(reply.tick, 1);
+  assert.equal(reply.tickIntervalMs, 1000 / 30);
+  assert.equal(reply.interpolationDelayMs, 100);
+  assert.ok(reply.serverReceiveTime >= before);
+  assert.ok(reply.serverSendTime >= reply.serverReceiveTime);
+});
+
+test('ping echoes the client clock with the tick', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+  room.stepSimulation();
+
+  sendMessage(room, client, 'ping', { clientTime: 777 });
+  sendMessage(room, client, 'ping', {});
+
+  const [withClock, withoutClock] = client.messages('pong');
+  assert.equal(withClock.clientTime, 777);
+  assert.equal(withClock.tick, 1);
+  assert.equal(withoutClock.clientTime, null);
+});
+
+test('pongs to the server\'s pings update the smoothed round-trip time', async () => {
+  const room = await createTestRoom();
+  const client = join(room, new TestClient('s1', 'alice'));
+
+  sendMessage(room, client, 'pong', { timestamp: Date.now() - 100 });
+  const first = client.userData.rtt;
+  sendMessage(room, client, 'pong', { timestamp: Date.now() - 200 });
+  sendMessage(room, client, 'pong', { timestamp: Date.now() + 1000 });
+
+  assert.ok(first >= 100 && first < 150);
+  assert.ok(Math.abs(client.userData.rtt - (first * 0.8 + 200 * 0.2)) < 50);
+});
+
+test('shape positions are kept per tick for lag compensation', async () => {
+  const room = await createTestRoom();
+  join(room, new TestClient('s1', 'alice'));
+  const shape = room.state.getPlayer('alice').shapes[0];
+  shape.setPosition(500, 500);
+
+  room.stepSimulation();
+  const afterFirst = { x: shape.x, y: shape.y };
+  room.stepSimulation();
+
+  assert.deepEqual({ x: room.shapeHistory.getAt(shape.id, 1).x, y: room.shapeHistory.getAt(shape.id, 1).y }, afterFirst);
+  assert.equal(room.shapeHistory.getAt(shape.id, 2).y, shape.y);
+  assert.notEqual(shape.y, afterFirst.y);
+});